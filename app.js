@@ -0,0 +1,3040 @@
+const express = require('express');
+const axios = require('axios');
+const bodyParser = require('body-parser');
+const twilio = require('twilio');
+const { createClient } = require('@supabase/supabase-js');
+const cors = require('cors');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createStateStore, createMemoryStateStore, createSupabaseStateStore } = require('./services/state-store');
+const { t, formatDate, detectLanguage, findLanguage, resolveLanguage, SUPPORTED_LANGUAGES } = require('./i18n');
+const { createTwilioSignatureMiddleware } = require('./middleware/twilio-signature');
+const { createApiKeyMiddleware } = require('./middleware/api-key');
+const { createTwilioChannel, createMetaChannel } = require('./channels');
+const { createCartService, MAX_ITEM_QUANTITY } = require('./services/cart');
+const { createCatalogSearch } = require('./services/catalog-search');
+const { createFuzzyIndex } = require('./services/fuzzy-index');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createOutboundMessagesRouter } = require('./routes/outbound-messages');
+const { createMessageQueue, createFileQueueStorage, createSupabaseQueueStorage } = require('./services/message-queue');
+const { selectStorage } = require('./services/storage');
+const { createAccountLinking, CODE_LENGTH } = require('./services/account-linking');
+const { maskName, maskEmail, maskPhone, maskAddress } = require('./services/masking');
+const { describeOrderTracking, normalizeTrackingStatus, getStoredStatusValues, CANCELLABLE_STATUSES, PAYMENT_METHODS, PAYMENT_STATUSES } = require('./services/order-tracking');
+const { toDatabasePhone, toE164, toWhatsAppAddress, getLookupCandidates } = require('./services/phone-number');
+const { createPrescriptionService, PRESCRIPTION_STATUSES } = require('./services/prescriptions');
+const { createPrescriptionMediaStore } = require('./services/prescription-media');
+const { createHandoffService, createMemoryTicketStorage, createSupabaseTicketStorage } = require('./services/handoff');
+const { createAgentConversationsRouter } = require('./routes/agent-conversations');
+const { createTranscriptService, createMemoryTranscriptStorage, createSupabaseTranscriptStorage } = require('./services/transcripts');
+const { createTranscriptsRouter } = require('./routes/transcripts');
+const { createAnalytics, createMemoryAnalyticsStorage, createSupabaseAnalyticsStorage } = require('./services/analytics');
+const { createAnalyticsRouter } = require('./routes/analytics');
+const { createConsentService, createMemoryConsentStorage, createSupabaseConsentStorage } = require('./services/consent');
+const { createConsentRouter } = require('./routes/consent');
+const { createCampaignService, createMemoryCampaignStorage, createSupabaseCampaignStorage, createSupabaseSegmentResolver } = require('./services/campaigns');
+const { createCampaignsRouter } = require('./routes/campaigns');
+const { createDevChatRouter } = require('./routes/dev-chat');
+const { createIntentRegistry } = require('./services/intent-registry');
+const { extractEntities, isPackQuantity } = require('./services/entities');
+const { createIntentsRouter } = require('./routes/intents');
+const { createRefillReminderService, createMemoryReminderStorage, createSupabaseReminderStorage, estimateRefills, MAX_INTERVAL_DAYS } = require('./services/refill-reminders');
+
+// Helper function to create the Twilio client from TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN
+function createTwilioClient() {
+  try {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    
+    // Validate Twilio credentials
+    if (!accountSid || !accountSid.startsWith('AC')) {
+      throw new Error('Invalid Twilio Account SID. Must start with "AC".');
+    }
+    
+    if (!authToken) {
+      throw new Error('Twilio Auth Token is missing.');
+    }
+    
+    // Log the first few characters of the account SID for debugging
+    console.log(`Initializing Twilio client with SID: ${accountSid.substring(0, 5)}...`);
+    
+    const client = twilio(accountSid, authToken);
+    console.log('Twilio client initialized successfully');
+    return client;
+  } catch (error) {
+    console.error('Error initializing Twilio client:', error.message);
+    console.warn('WhatsApp messaging functionality will be disabled.');
+    return null;
+  }
+}
+
+// Helper function to import the main server's search controllers, which skip the HTTP round trip
+// Only works when the bot is deployed next to the server; returns null otherwise
+function loadSearchControllers() {
+  try {
+    const medicineController = require('../server/controllers/fetch-medicines');
+    const productController = require('../server/controllers/fetch-products');
+    
+    console.log('Successfully imported controller modules');
+    return {
+      searchMedicines: medicineController.searchMedicines,
+      searchProducts: productController.searchProducts
+    };
+  } catch (importError) {
+    console.error('Error importing controller modules:', importError.message);
+    return null;
+  }
+}
+
+// Build the bot: an Express app plus the services behind it.
+// Supabase, Twilio and the main server are reached through clients that can be passed in
+// (supabase, twilioClient, httpClient); anything not passed is created from the environment.
+// Nothing listens or runs in the background until start() is called.
+function createApp(options = {}) {
+  // Initialize Express
+  const app = express();
+
+  // Initialize Supabase client
+  const supabase = options.supabase || createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_KEY
+  );
+
+  // User state tracking for conversation context
+  // STATE_STORE=supabase keeps state in the bot_user_states table so it survives restarts
+  const userStates = createStateStore({
+    driver: process.env.STATE_STORE || 'memory',
+    supabase
+  });
+
+  // The reply language a user chose is kept for good, so unlike the rest of the state it is saved in
+  // Supabase (the bot_user_states table) unless LANGUAGE_STORE=memory
+  const languages = selectStorage('LANGUAGE_STORE', {
+    supabase: () => createSupabaseStateStore(supabase),
+    memory: () => createMemoryStateStore()
+  }, 'supabase');
+
+  // Conversation states used by processMessage
+  const CONVERSATION_STATES = {
+    AWAITING_SEARCH_QUERY: 'awaiting_search_query',
+    AWAITING_ORDER_ID: 'awaiting_order_id',
+    AWAITING_ADDRESS: 'awaiting_address',
+    AWAITING_SUGGESTION: 'awaiting_suggestion',
+    AWAITING_LANGUAGE: 'awaiting_language',
+    AWAITING_LINK_IDENTIFIER: 'awaiting_link_identifier',
+    AWAITING_LINK_CODE: 'awaiting_link_code',
+    AWAITING_CONFIRMATION: 'awaiting_confirmation',
+    AWAITING_INTENT_CHOICE: 'awaiting_intent_choice'
+  };
+
+  // How long a pending conversation state is kept before it expires
+  const STATE_TIMEOUT_MS = (parseInt(process.env.STATE_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+
+  // Language used when a user's language can't be detected (DEFAULT_LANGUAGE=en|hi)
+  const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
+
+  // Search results are shown SEARCH_PAGE_SIZE at a time and remembered per user
+  const SEARCH_PAGE_SIZE = 5;
+  const SEARCH_RESULT_LIMIT = 50;
+  const SEARCH_CACHE_TTL_MS = (parseInt(process.env.SEARCH_CACHE_TTL_MINUTES) || 30) * 60 * 1000;
+
+  // Shopping carts for ordering directly from WhatsApp
+  const carts = createCartService({ store: userStates });
+
+  // Server API base URL
+  const SERVER_URL = options.serverUrl || process.env.SERVER_URL || 'https://localhost:5001';
+
+  // HTTP client for the main server and other outbound requests (axios-compatible)
+  const httpClient = options.httpClient || axios;
+
+  // Middleware
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use(bodyParser.json({
+    // Keep the raw body around for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    }
+  }));
+  app.use(cors());
+
+  // Initialize Twilio client (null disables sending outside of webhook replies)
+  const twilioClient = options.twilioClient !== undefined ? options.twilioClient : createTwilioClient();
+
+  // Channel adapters normalize inbound messages and send outbound replies
+  const webhookBaseUrl = process.env.WEBHOOK_BASE_URL || process.env.NGROK_URL;
+
+  const twilioChannel = createTwilioChannel({
+    client: twilioClient,
+    phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    statusCallback: webhookBaseUrl ? `${webhookBaseUrl.replace(/\/+$/, '')}/api/webhook/status` : undefined
+  });
+
+  const metaChannel = createMetaChannel({
+    accessToken: process.env.META_ACCESS_TOKEN,
+    phoneNumberId: process.env.META_PHONE_NUMBER_ID,
+    verifyToken: process.env.META_VERIFY_TOKEN,
+    appSecret: process.env.META_APP_SECRET,
+    apiVersion: process.env.META_API_VERSION
+  });
+
+  // Adapters by the channel name set on inbound messages
+  const channels = { twilio: twilioChannel, meta: metaChannel };
+
+  // Channel used for messages the bot sends on its own (WHATSAPP_CHANNEL=twilio|meta)
+  const outboundChannel = process.env.WHATSAPP_CHANNEL === 'meta' ? metaChannel : twilioChannel;
+
+  // Messaging consent: STOP/START replies, checked before every proactive message
+  // Kept in the consent_events table unless CONSENT_STORE=memory
+  const consent = createConsentService({
+    storage: selectStorage('CONSENT_STORE', {
+      supabase: () => createSupabaseConsentStorage(supabase),
+      memory: () => createMemoryConsentStorage()
+    }, 'supabase')
+  });
+
+  // With consent in memory an opt-out is forgotten on restart, so order notifications,
+  // refill reminders and campaigns stay off until a durable consent store is configured
+  const proactiveMessagesEnabled = (process.env.CONSENT_STORE || 'supabase') !== 'memory';
+  if (!proactiveMessagesEnabled) {
+    console.warn('[Consent] CONSENT_STORE=memory: order notifications, refill reminders and campaigns are disabled');
+  }
+
+  // Keywords that opt a customer out of, or back in to, proactive messages
+  const OPT_OUT_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'opt out', 'optout'];
+  const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'opt in', 'optin'];
+
+  // Durable queue for messages the bot sends on its own, retried with exponential backoff
+  // MESSAGE_QUEUE_STORE=supabase keeps the queue in the outbound_messages table, otherwise a local JSON file is used
+  const messageQueue = createMessageQueue({
+    storage: selectStorage('MESSAGE_QUEUE_STORE', {
+      supabase: () => createSupabaseQueueStorage(supabase),
+      file: () => createFileQueueStorage(process.env.MESSAGE_QUEUE_FILE || path.join(__dirname, 'data', 'outbound-messages.json'), {
+        retentionDays: parseInt(process.env.MESSAGE_QUEUE_RETENTION_DAYS) || 7
+      })
+    }, 'file'),
+    // Checked again on every attempt of a proactive message, so retries stop once a customer opts out
+    send: async (to, body, metadata = {}) => {
+      if (metadata.proactive !== false && !await consent.canSend(to)) {
+        throw new Error('Recipient has opted out of WhatsApp messages');
+      }
+      return outboundChannel.sendMessage(to, body);
+    },
+    maxAttempts: parseInt(process.env.MESSAGE_MAX_ATTEMPTS) || 5
+  });
+
+  // One-time code linking for WhatsApp numbers that don't match an account's phone number
+  const accountLinking = createAccountLinking({
+    supabase,
+    deliverCode: deliverAccountLinkCode,
+    codeTtlMs: (parseInt(process.env.ACCOUNT_LINK_CODE_TTL_MINUTES) || 10) * 60 * 1000,
+    maxAttempts: parseInt(process.env.ACCOUNT_LINK_MAX_ATTEMPTS) || 5
+  });
+
+  // Prescription status lookups, scoped to the number that uploaded them
+  const prescriptions = createPrescriptionService({ supabase, serverUrl: SERVER_URL, httpClient });
+
+  // Prescription photos and PDFs are copied to Supabase Storage (PRESCRIPTION_BUCKET, PRESCRIPTION_MAX_FILE_MB)
+  const prescriptionMedia = createPrescriptionMediaStore({
+    supabase,
+    bucket: process.env.PRESCRIPTION_BUCKET || 'prescriptions',
+    maxBytes: (parseInt(process.env.PRESCRIPTION_MAX_FILE_MB) || 10) * 1024 * 1024
+  });
+
+  // Human agent handoff: while a ticket is open the customer's messages go to agents instead of the bot
+  // HANDOFF_STORE=supabase keeps tickets in the support_tickets and support_messages tables
+  const handoff = createHandoffService({
+    storage: selectStorage('HANDOFF_STORE', {
+      supabase: () => createSupabaseTicketStorage(supabase),
+      memory: () => createMemoryTicketStorage()
+    }, 'memory'),
+    // Agents answer a conversation the customer started, so replies reach customers who opted out too
+    sendMessage: (to, body) => sendTransactionalMessage(to, body),
+    onClose: async (ticket, reason) => {
+      // Customers who end the chat themselves get the reply inline
+      if (reason === 'customer') {
+        return;
+      }
+      const lang = await getUserLanguage(ticket.phone);
+      await sendTransactionalMessage(ticket.phone, t(lang, reason === 'inactivity' ? 'handoff.closedInactive' : 'handoff.closed'));
+    },
+    inactivityMs: (parseInt(process.env.HANDOFF_INACTIVITY_MINUTES) || 30) * 60 * 1000
+  });
+
+  // Conversation transcripts for support and compliance review
+  // Kept in the conversation_transcripts table unless TRANSCRIPT_STORE=memory; TRANSCRIPT_RETENTION_DAYS sets how long
+  const transcripts = createTranscriptService({
+    storage: selectStorage('TRANSCRIPT_STORE', {
+      supabase: () => createSupabaseTranscriptStorage(supabase),
+      memory: () => createMemoryTranscriptStorage()
+    }, 'supabase'),
+    retentionDays: parseInt(process.env.TRANSCRIPT_RETENTION_DAYS) || 90
+  });
+
+  // Intent detected for the message currently being handled, per phone number, for the transcript
+  const messageIntents = new Map();
+
+  // Helper function to note what the bot took a message to mean
+  function noteIntent(phoneNumber, intent) {
+    messageIntents.set(phoneNumber, intent);
+  }
+
+  // Main menu and the intents messages are matched to, from config/intents.js (INTENTS_CONFIG to use another file)
+  const intentRegistry = createIntentRegistry(require(process.env.INTENTS_CONFIG
+    ? path.resolve(process.env.INTENTS_CONFIG)
+    : './config/intents'));
+
+  // Refill reminders: sent by an in-process scheduler every REMINDER_CHECK_MINUTES
+  // Kept in the refill_reminders table unless REMINDER_STORE=memory
+  const refillReminders = createRefillReminderService({
+    storage: selectStorage('REMINDER_STORE', {
+      supabase: () => createSupabaseReminderStorage(supabase),
+      memory: () => createMemoryReminderStorage()
+    }, 'supabase'),
+    sendReminder: async (reminder) => {
+      // Customers who opted out keep their reminders but aren't sent them
+      if (!await consent.canSend(reminder.phone)) {
+        return 'skipped';
+      }
+      const lang = await getUserLanguage(reminder.phone);
+      // Remember what was reminded about so a "reorder" reply knows what to add to the cart
+      await userStates.set(`lastReminder:${reminder.phone}`, { medicine: reminder.medicine, quantity: reminder.quantity }, REORDER_REPLY_TTL_MS);
+      return sendWhatsAppMessage(reminder.phone, t(lang, 'reminders.due', { medicine: reminder.medicine, quantity: reminder.quantity }));
+    },
+    pollIntervalMs: (parseInt(process.env.REMINDER_CHECK_MINUTES) || 15) * 60 * 1000
+  });
+
+  // Broadcast campaigns to customer segments, sent at CAMPAIGN_RATE_PER_MINUTE unless a campaign sets its own rate
+  // CAMPAIGN_STORE=supabase keeps campaigns and per-recipient results in the campaigns and campaign_recipients tables
+  const campaigns = createCampaignService({
+    storage: selectStorage('CAMPAIGN_STORE', {
+      supabase: () => createSupabaseCampaignStorage(supabase),
+      memory: () => createMemoryCampaignStorage()
+    }, 'memory'),
+    resolveSegment: createSupabaseSegmentResolver(supabase),
+    sendMessage: (to, body) => sendWhatsAppMessage(to, body),
+    canSend: (to) => consent.canSend(to),
+    defaultRatePerMinute: parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE) || 30
+  });
+
+  // How long a "reorder" reply to a refill reminder is accepted
+  const REORDER_REPLY_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+  // Days one unit of a medicine is assumed to last when it has only been ordered once
+  const REFILL_DAYS_PER_UNIT = parseInt(process.env.REFILL_DAYS_PER_UNIT) || 30;
+
+  // Replies that end a chat with an agent and return the customer to the bot
+  const END_CHAT_COMMANDS = ['end chat', 'end', 'exit', 'bot', 'back to bot'];
+
+  // Verify that webhook requests really come from Twilio
+  // TWILIO_SIGNATURE_BYPASS=true disables the check for local development only
+  const verifyTwilioSignature = createTwilioSignatureMiddleware({
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    baseUrl: webhookBaseUrl,
+    bypass: process.env.TWILIO_SIGNATURE_BYPASS === 'true'
+  });
+
+  // Print our webhook URL for easier configuration
+  console.log(`WebHook URL for Twilio: ${process.env.NGROK_URL}/api/webhook`);
+
+  // Usage stats for /api/analytics: intents, search outcomes, order lookups and upstream latency.
+  // Each instance saves its daily counts every ANALYTICS_FLUSH_SECONDS to the bot_analytics_daily table
+  // unless ANALYTICS_STORE=memory.
+  const analytics = createAnalytics({
+    storage: selectStorage('ANALYTICS_STORE', {
+      supabase: () => createSupabaseAnalyticsStorage(supabase),
+      memory: () => createMemoryAnalyticsStorage()
+    }, 'supabase'),
+    flushIntervalMs: (parseInt(process.env.ANALYTICS_FLUSH_SECONDS) || 60) * 1000
+  });
+
+  // Configure controllers for medicine and product searches
+  let searchMedicinesAPI;
+  let searchProductsAPI;
+
+  // Try to import the controllers directly for better performance
+  // An injected httpClient stands in for the main server, so searches go through it instead
+  const searchControllers = options.httpClient ? null : loadSearchControllers();
+  if (searchControllers) {
+    // Set the API functions to use the controller methods directly
+    searchMedicinesAPI = searchControllers.searchMedicines;
+    searchProductsAPI = searchControllers.searchProducts;
+  
+    console.log('Enhanced search functionality enabled via direct controller imports');
+  } else {
+    console.log('Will fall back to API-based search');
+  
+    // Define fallback functions that use the API
+    searchMedicinesAPI = async (query, limit = 100) => {
+      try {
+        console.log(`[API Fallback] Searching for medicines with query: "${query}"`);
+        // Sanitize query to prevent issues
+        const sanitizedQuery = query.trim();
+      
+        if (!sanitizedQuery) {
+          console.log('[API Fallback] Empty query, returning empty results');
+          return { medicines: [], count: 0 };
+        }
+      
+        const response = await analytics.timeUpstream('medicines_search', () => httpClient.get(`${SERVER_URL}/api/medicines/search`, {
+          params: { query: sanitizedQuery, limit }
+        }));
+      
+        if (response.data && response.data.medicines) {
+          console.log(`[API Fallback] Found ${response.data.medicines.length} medicines via API`);
+          return response.data;  // Return the whole response object with medicines property
+        } else {
+          console.log('[API Fallback] Received unexpected response format from medicines API:', response.data);
+          return { medicines: [], count: 0 };
+        }
+      } catch (error) {
+        console.error('[API Fallback] Error searching medicines via API:', error.message);
+        // Return empty results instead of throwing to avoid breaking the search flow
+        return { medicines: [], count: 0, error: error.message };
+      }
+    };
+  
+    searchProductsAPI = async (query, limit = 100) => {
+      try {
+        console.log(`[API Fallback] Searching for products with query: "${query}"`);
+        // Sanitize query to prevent issues
+        const sanitizedQuery = query.trim();
+      
+        if (!sanitizedQuery) {
+          console.log('[API Fallback] Empty query, returning empty results');
+          return { products: [], count: 0 };
+        }
+      
+        const response = await analytics.timeUpstream('products_search', () => httpClient.get(`${SERVER_URL}/api/products/search`, {
+          params: { query: sanitizedQuery, limit }
+        }));
+      
+        if (response.data && response.data.products) {
+          console.log(`[API Fallback] Found ${response.data.products.length} products via API`);
+          return response.data;  // Return the whole response object with products property
+        } else {
+          console.log('[API Fallback] Received unexpected response format from products API:', response.data);
+          return { products: [], count: 0 };
+        }
+      } catch (error) {
+        console.error('[API Fallback] Error searching products via API:', error.message);
+        // Return empty results instead of throwing to avoid breaking the search flow
+        return { products: [], count: 0, error: error.message };
+      }
+    };
+  }
+
+  // Combined medicine + product search on top of whichever search functions were wired up above
+  const catalogSearch = createCatalogSearch({ searchMedicinesAPI, searchProductsAPI });
+
+  // Index of catalog names for "did you mean" suggestions, refreshed every FUZZY_INDEX_REFRESH_HOURS
+  const fuzzyIndex = createFuzzyIndex({
+    catalogSearch,
+    refreshIntervalMs: (parseFloat(process.env.FUZZY_INDEX_REFRESH_HOURS) || 6) * 60 * 60 * 1000
+  });
+
+  // Helper function to send proactive WhatsApp messages (order notifications, refill reminders, campaigns, menus)
+  // These aren't replies to anything the customer sent, so customers who opted out are skipped.
+  // Returns true once the message is sent or queued for a retry.
+  async function sendWhatsAppMessage(to, body) {
+    try {
+      if (!await consent.canSend(to)) {
+        console.log(`Not sending message to ${to}: recipient opted out`);
+        return false;
+      }
+    } catch (error) {
+      console.error('Error checking consent:', error.message);
+      return false;
+    }
+    return queueWhatsAppMessage(to, body, { proactive: true });
+  }
+
+  // Helper function to send messages in a conversation the customer started, such as agent replies.
+  // They are sent whatever the customer's consent, like the bot's own replies.
+  function sendTransactionalMessage(to, body) {
+    return queueWhatsAppMessage(to, body, { proactive: false });
+  }
+
+  // Helper function to send a message through the outbound queue, so a failed send is retried later
+  // instead of being lost, and add it to the transcript. Returns true once it is sent or queued for a retry.
+  async function queueWhatsAppMessage(to, body, metadata) {
+    try {
+      const record = await messageQueue.enqueue(to, body, metadata);
+      await transcripts.record({ phone: toE164(to) || to, direction: 'outbound', channel: outboundChannel.name, body });
+      if (record.status === 'dead') {
+        console.error(`Message to ${to} could not be sent and was moved to the dead-letter queue`);
+        return false;
+      }
+      console.log(`Message to ${to} ${record.status === 'sent' ? 'sent' : 'queued for retry'} via ${outboundChannel.name}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending WhatsApp message:', error.message);
+      return false;
+    }
+  }
+
+  // Helper function to send an account linking code
+  // Codes for a registered phone go over WhatsApp; codes for an email are posted to ACCOUNT_LINK_EMAIL_URL
+  async function deliverAccountLinkCode({ whatsappNumber, channel, destination, code, expiresInMinutes }) {
+    const lang = await getUserLanguage(whatsappNumber);
+    const message = t(lang, 'account.codeMessage', { code, minutes: expiresInMinutes });
+  
+    if (channel === 'whatsapp') {
+      const to = toWhatsAppAddress(destination);
+      if (!to) {
+        throw new Error('Could not send code over WhatsApp');
+      }
+      // Codes are only ever stored as hashes, so this skips the outbound queue (which stores the body)
+      // and the transcript gets the message with the code masked
+      await outboundChannel.sendMessage(to, message);
+      await transcripts.record({
+        phone: toE164(to) || to,
+        direction: 'outbound',
+        channel: outboundChannel.name,
+        body: t(lang, 'account.codeMessage', { code: '*'.repeat(String(code).length), minutes: expiresInMinutes })
+      });
+      return;
+    }
+  
+    if (!process.env.ACCOUNT_LINK_EMAIL_URL) {
+      throw new Error('ACCOUNT_LINK_EMAIL_URL is not configured, cannot email codes');
+    }
+  
+    await httpClient.post(process.env.ACCOUNT_LINK_EMAIL_URL, {
+      to: destination,
+      subject: t(lang, 'account.codeSubject'),
+      text: message
+    }, { timeout: 8000 });
+  }
+
+  // Handle a normalized inbound message from any channel and return the reply text
+  // Both the message and the reply are added to the conversation transcript, except a message
+  // answering the account link code prompt: that would store a working code in plain text
+  async function handleIncomingMessage(inbound) {
+    const receivedAt = Date.now();
+    const conversation = await getConversationState(inbound.from);
+    const isLinkCode = Boolean(conversation && conversation.state === CONVERSATION_STATES.AWAITING_LINK_CODE);
+    const reply = await replyToMessage(inbound);
+  
+    const phone = toE164(inbound.from) || inbound.from;
+    const intent = messageIntents.get(inbound.from) || null;
+    messageIntents.delete(inbound.from);
+    analytics.recordMessage(intent, Date.now() - receivedAt);
+  
+    if (!isLinkCode) {
+      await transcripts.record({
+        phone,
+        direction: 'inbound',
+        channel: inbound.channel,
+        body: inbound.body,
+        intent,
+        media: inbound.media,
+        messageId: inbound.messageId,
+        createdAt: new Date(receivedAt).toISOString()
+      });
+    }
+    if (reply) {
+      await transcripts.record({ phone, direction: 'outbound', channel: inbound.channel, body: reply, intent });
+    }
+    return reply;
+  }
+
+  // Helper function to work out the reply to an inbound message
+  async function replyToMessage(inbound) {
+    const fromNumber = inbound.from;
+    const message = inbound.body;
+  
+    console.log(`Received message from ${fromNumber} via ${inbound.channel}: ${message}`);
+    const lang = await getUserLanguage(fromNumber);
+
+    try {
+      // STOP and START are handled before anything else, even during a chat with an agent
+      const consentResponse = await handleConsentKeyword(inbound, lang);
+      if (consentResponse !== undefined) {
+        return consentResponse;
+      }
+    
+      // Customers talking to an agent skip the bot until the ticket is closed
+      const handoffResponse = await handleHandoffMessage(inbound, lang);
+      if (handoffResponse !== undefined) {
+        return handoffResponse;
+      }
+    
+      // Handle media messages (images, documents)
+      if (inbound.media.length > 0) {
+        try {
+          console.log(`Received media message with ${inbound.media.length} attachments`);
+        
+          inbound.media.forEach((item, i) => console.log(`Media ${i}: ${item.url} (${item.contentType})`));
+        
+          // Check if this is likely a prescription upload
+          const isPrescription = message.toLowerCase().includes('prescription') || 
+                               message.toLowerCase().includes('medicine') ||
+                               inbound.media.some(item => item.contentType.includes('image') || item.contentType.includes('pdf'));
+        
+          if (isPrescription) {
+            noteIntent(fromNumber, 'prescription_upload');
+            // Process all attachments as the pages of one prescription
+            return await handlePrescriptionUpload(fromNumber, inbound.media, message, channels[inbound.channel]);
+          }
+        
+          // Generic response for other media
+          noteIntent(fromNumber, 'media');
+          return t(lang, 'media.notPrescription');
+        } catch (mediaError) {
+          console.error('Error handling media message:', mediaError);
+          return t(lang, 'media.error');
+        }
+      }
+    
+      // Process text messages
+      console.log(`Processing message: "${message}"`);
+      let response = '';
+    
+      try {
+        // Use our main message processing function
+        response = await processMessage(message, fromNumber);
+      } catch (error) {
+        console.error('Error processing message:', error);
+        response = t(lang, 'common.error');
+      }
+    
+      console.log(`Response generated: "${response}"`);
+      return response;
+    } catch (error) {
+      console.error('Webhook error:', error);
+      return t(lang, 'common.webhookError');
+    }
+  }
+
+  // Helper function to handle opt-out and opt-in keywords
+  // Returns undefined for other messages. START from a customer who never opted out is
+  // recorded as an explicit opt-in and then handled by the bot as a greeting.
+  async function handleConsentKeyword(inbound, lang) {
+    const keyword = inbound.body.toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+    const isOptOut = OPT_OUT_KEYWORDS.includes(keyword);
+    if (!isOptOut && !OPT_IN_KEYWORDS.includes(keyword)) {
+      return undefined;
+    }
+  
+    try {
+      const current = await consent.getConsent(inbound.from);
+    
+      if (isOptOut) {
+        noteIntent(inbound.from, 'opt_out');
+        if (!current || current.status !== 'opted_out') {
+          await consent.optOut(inbound.from, { source: `whatsapp:${inbound.channel}`, keyword });
+        }
+        return t(lang, 'consent.optedOut');
+      }
+    
+      if (!current || current.status !== 'opted_in') {
+        await consent.optIn(inbound.from, { source: `whatsapp:${inbound.channel}`, keyword });
+      }
+      if (current && current.status === 'opted_out') {
+        noteIntent(inbound.from, 'opt_in');
+        return t(lang, 'consent.optedIn');
+      }
+      return undefined;
+    } catch (error) {
+      console.error('[Consent] Error handling consent keyword:', error);
+      return t(lang, 'consent.error');
+    }
+  }
+
+  // Helper function to pass a message to the customer's open support ticket
+  // Returns undefined when the customer isn't talking to an agent, so the bot handles the message
+  async function handleHandoffMessage(inbound, lang) {
+    let ticket;
+    try {
+      ticket = await handoff.getOpenTicket(inbound.from);
+    } catch (error) {
+      console.error('[Handoff] Error checking for an open ticket:', error.message);
+      return undefined;
+    }
+  
+    if (!ticket) {
+      return undefined;
+    }
+  
+    if (END_CHAT_COMMANDS.includes(inbound.body.toLowerCase().trim())) {
+      noteIntent(inbound.from, 'end_agent_chat');
+      await handoff.closeTicket(ticket.id, { closedBy: inbound.from, reason: 'customer' });
+      return t(lang, 'handoff.endedByCustomer');
+    }
+  
+    // Agents reply through the agent API, so there is nothing to send back now
+    noteIntent(inbound.from, 'agent_chat');
+    await handoff.recordCustomerMessage(ticket, inbound.body, inbound.media);
+    return null;
+  }
+
+  // Open a support ticket so the customer can chat with an agent
+  async function startHandoff(phoneNumber, reason) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      await clearConversationState(phoneNumber);
+      const ticket = await handoff.openTicket(phoneNumber, { reason });
+      return t(lang, 'handoff.opened', { ticketId: ticket.id.split('-')[0] });
+    } catch (error) {
+      console.error('[Handoff] Error opening ticket:', error);
+      return t(lang, 'handoff.error');
+    }
+  }
+
+  // Build a webhook route handler for a channel adapter
+  // IDs of inbound messages handled in the last hour, oldest first, so a webhook the provider
+  // delivers again (e.g. a retried "yes" to a checkout) isn't acted on twice
+  const MESSAGE_ID_TTL_MS = 60 * 60 * 1000;
+  const recentMessageIds = new Map();
+
+  // Helper function to note an inbound message ID; true if it was already handled
+  function isRepeatedMessage(messageId) {
+    if (!messageId) {
+      return false;
+    }
+    const now = Date.now();
+    for (const [id, expiresAt] of recentMessageIds) {
+      if (expiresAt > now) {
+        break;
+      }
+      recentMessageIds.delete(id);
+    }
+    if (recentMessageIds.has(messageId)) {
+      return true;
+    }
+    recentMessageIds.set(messageId, now + MESSAGE_ID_TTL_MS);
+    return false;
+  }
+
+  function createWebhookHandler(channel) {
+    return async (req, res) => {
+      console.log(`[${channel.name}] Request body:`, JSON.stringify(req.body));
+    
+      // Channels that retry slow deliveries (Meta) are acknowledged before any work is done
+      if (channel.acknowledgeFirst) {
+        res.sendStatus(200);
+      }
+    
+      try {
+        await handleWebhookRequest(channel, req, res);
+      } catch (error) {
+        console.error(`[${channel.name}] Error handling webhook request:`, error);
+        if (!res.headersSent) {
+          res.sendStatus(500);
+        }
+      }
+    };
+  }
+
+  // Helper function to handle the messages and delivery updates in one webhook request
+  async function handleWebhookRequest(channel, req, res) {
+    // Record delivery updates for messages we sent (Meta sends these on the message webhook)
+    if (channel.parseStatusUpdates) {
+      for (const update of channel.parseStatusUpdates(req)) {
+        try {
+          await messageQueue.recordDeliveryStatus(update.messageId, update.status, update.errorCode);
+        } catch (error) {
+          console.error(`[${channel.name}] Error recording delivery status:`, error.message);
+        }
+      }
+    }
+  
+    let inboundMessages = [];
+    try {
+      inboundMessages = await channel.parseInbound(req);
+    } catch (error) {
+      console.error(`[${channel.name}] Error parsing webhook request:`, error);
+    }
+  
+    const replies = [];
+    for (const inbound of inboundMessages) {
+      if (isRepeatedMessage(inbound.messageId)) {
+        console.log(`[${channel.name}] Ignoring message ${inbound.messageId}, it was already handled`);
+        continue;
+      }
+      const body = await handleIncomingMessage(inbound);
+      if (body) {
+        replies.push({ to: inbound.from, body });
+      }
+    }
+  
+    await channel.respond(req, res, replies);
+  }
+
+  // Route to handle incoming WhatsApp messages
+  app.post('/api/webhook', verifyTwilioSignature, createWebhookHandler(twilioChannel));
+
+  // Add another webhook route without the /api prefix
+  // This allows both /api/webhook and /webhook to work
+  app.post('/webhook', async (req, res) => {
+    // Just forward to the main webhook handler
+    app.handle(req, res, req.url = '/api/webhook');
+  });
+
+  // Twilio StatusCallback: delivery updates for messages sent through the outbound queue
+  app.post('/api/webhook/status', verifyTwilioSignature, async (req, res) => {
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+  
+    try {
+      if (MessageSid && MessageStatus) {
+        await messageQueue.recordDeliveryStatus(MessageSid, MessageStatus, ErrorCode);
+      }
+    } catch (error) {
+      console.error('Error recording message status:', error.message);
+    }
+  
+    res.sendStatus(204);
+  });
+
+  // Meta WhatsApp Cloud API webhook: GET for the verify-token handshake, POST for messages
+  app.get('/api/webhook/meta', (req, res) => metaChannel.verifyWebhook(req, res));
+  app.post('/api/webhook/meta', (req, res, next) => metaChannel.verifyRequest(req, res, next), createWebhookHandler(metaChannel));
+
+  // Local chat page for trying the bot as any phone number (DEV_CHAT=true)
+  // Messages skip the Twilio signature check, so it is never mounted with NODE_ENV=production
+  if (options.devChat || process.env.DEV_CHAT === 'true') {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('[Dev Chat] /dev/chat is not allowed in production, ignoring DEV_CHAT');
+    } else {
+      app.use('/dev/chat', createDevChatRouter({ webhookHandler: createWebhookHandler(twilioChannel) }));
+      console.warn('[Dev Chat] /dev/chat is enabled: anyone who can reach this server can message the bot as any number');
+    }
+  }
+
+  // Helper function to check if a user exists by phone number and get their details
+  async function getUserDetailsByPhone(phoneNumber) {
+    try {
+      // Match the number in every format it may have been stored in ("9876543210", "+919876543210", ...)
+      const phoneCandidates = getLookupCandidates(phoneNumber);
+    
+      console.log(`[User Lookup] Checking for user with phone: ${phoneCandidates.join(', ')}`);
+    
+      // Query the users table to find a matching user
+      let { data: userData, error: userError } = await supabase
+        .from("users")
+        .select("*")
+        .in("phone", phoneCandidates)
+        .limit(1)
+        .maybeSingle();
+    
+      // Fall back to an account this WhatsApp number was linked to with a one-time code
+      if (userError || !userData) {
+        const linkedUserId = await accountLinking.getLinkedUserId(phoneNumber);
+        if (linkedUserId) {
+          console.log(`[User Lookup] Using linked account ${linkedUserId} for ${phoneNumber}`);
+          ({ data: userData, error: userError } = await supabase
+            .from("users")
+            .select("*")
+            .eq("id", linkedUserId)
+            .single());
+        }
+      }
+      
+      if (userError) {
+        console.error(`[User Lookup] Error searching for user: ${userError.message}`);
+        return { exists: false, error: userError.message };
+      }
+    
+      if (!userData) {
+        console.log(`[User Lookup] No user found with phone: ${toDatabasePhone(phoneNumber)}`);
+        return { exists: false };
+      }
+    
+      console.log(`[User Lookup] Found user: ${userData.id}, username: ${userData.username}`);
+    
+      // First check the table structure to see what columns actually exist
+      console.log(`[User Lookup] Checking orders table structure...`);
+      try {
+        // Get all orders for this user (without specifying columns that might not exist)
+        const { data: orders, error: ordersError } = await supabase
+          .from("orders")
+          .select('*')
+          .eq("user_id", userData.id)
+          .order("created_at", { ascending: false })
+          .limit(5);
+
+        if (ordersError) {
+          console.error(`[User Lookup] Error fetching orders: ${ordersError.message}`);
+          return { 
+            exists: true, 
+            user: userData,
+            orders: [],
+            error: `Found user but couldn't fetch orders: ${ordersError.message}`
+          };
+        }
+
+        console.log(`[User Lookup] Successfully fetched ${orders?.length || 0} orders`);
+      
+        // Process the orders we found
+        let processedOrders = [];
+        if (orders && orders.length > 0) {
+          processedOrders = orders.map(order => {
+            // Process items if they're stored as a string
+            let processedItems = [];
+            try {
+              if (typeof order.items === 'string') {
+                processedItems = JSON.parse(order.items);
+              } else if (Array.isArray(order.items)) {
+                processedItems = order.items;
+              }
+            } catch (e) {
+              console.error(`[User Lookup] Error parsing order items: ${e.message}`);
+            }
+          
+            // Return a processed order with only fields that exist
+            return {
+              id: order.id,
+              status: order.status || 'Processing',
+              total_amount: order.total_amount || order.total_price || 0,
+              created_at: order.created_at,
+              updated_at: order.updated_at,
+              items: processedItems,
+              // Only include these fields if they exist in the order object
+              ...(order.payment_method && { payment_method: order.payment_method }),
+              ...(order.payment_status && { payment_status: order.payment_status }),
+              ...(order.delivery_info && { 
+                delivery_info: typeof order.delivery_info === 'string' 
+                  ? JSON.parse(order.delivery_info) 
+                  : order.delivery_info 
+              }),
+              ...(order.shipping_address && { 
+                shipping_address: typeof order.shipping_address === 'string' 
+                  ? JSON.parse(order.shipping_address) 
+                  : order.shipping_address 
+              })
+            };
+          });
+        }
+      
+        return {
+          exists: true,
+          user: userData,
+          orders: processedOrders
+        };
+      } catch (error) {
+        console.error(`[User Lookup] Error processing orders: ${error.message}`);
+        return { 
+          exists: true, 
+          user: userData,
+          orders: [],
+          error: `Error processing orders: ${error.message}`
+        };
+      }
+    } catch (error) {
+      console.error(`[User Lookup] Unexpected error: ${error.message}`);
+      return { exists: false, error: error.message };
+    }
+  }
+
+  // Helper functions to read and update a user's conversation state
+  async function getConversationState(phoneNumber) {
+    return userStates.get(`conversation:${phoneNumber}`);
+  }
+
+  async function setConversationState(phoneNumber, state, data = {}) {
+    console.log(`[State] ${phoneNumber} -> ${state}`);
+    return userStates.set(`conversation:${phoneNumber}`, { state, data, updatedAt: new Date().toISOString() }, STATE_TIMEOUT_MS);
+  }
+
+  async function clearConversationState(phoneNumber) {
+    return userStates.delete(`conversation:${phoneNumber}`);
+  }
+
+  // Helper functions for the user's reply language
+  async function getUserLanguage(phoneNumber) {
+    const language = phoneNumber ? await languages.get(`language:${phoneNumber}`) : null;
+    return resolveLanguage(language, DEFAULT_LANGUAGE);
+  }
+
+  async function setUserLanguage(phoneNumber, language) {
+    console.log(`[Language] ${phoneNumber} -> ${language}`);
+    return languages.set(`language:${phoneNumber}`, language);
+  }
+
+  // Use the saved language, or detect it from the script of the user's first message
+  async function resolveUserLanguage(phoneNumber, message) {
+    const savedLanguage = await languages.get(`language:${phoneNumber}`);
+    if (savedLanguage) {
+      return resolveLanguage(savedLanguage, DEFAULT_LANGUAGE);
+    }
+
+    const language = resolveLanguage(detectLanguage(message), DEFAULT_LANGUAGE);
+    await setUserLanguage(phoneNumber, language);
+    return language;
+  }
+
+  // Show the list of languages the user can pick from
+  async function promptLanguageChoice(phoneNumber, lang) {
+    await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_LANGUAGE);
+    const options = SUPPORTED_LANGUAGES.map((language, index) => `${index + 1}. ${language.name}`).join('\n');
+    return t(lang, 'language.prompt', { options });
+  }
+
+  // Actions that can be confirmed with YES/NO while in the awaiting_confirmation state.
+  // Each flow registers a handler keyed by action name: { confirm(phoneNumber, payload), decline(phoneNumber, payload) }
+  const confirmationHandlers = {};
+
+  // Ask the user to confirm an action with YES/NO
+  // declineLabel describes what replying NO does (defaults to cancelling)
+  async function requestConfirmation(phoneNumber, action, payload, prompt, declineLabel) {
+    const lang = await getUserLanguage(phoneNumber);
+    await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_CONFIRMATION, { action, payload });
+    return t(lang, 'confirm.prompt', { prompt, declineLabel: declineLabel || t(lang, 'confirm.cancelLabel') });
+  }
+
+  // Replies accepted as YES/NO in any language
+  const YES_REPLIES = ['yes', 'y', 'confirm', 'ok', 'haan', 'ha', 'हाँ', 'हां', 'जी'];
+  const NO_REPLIES = ['no', 'n', 'nahi', 'nahin', 'नहीं', 'ना'];
+
+  // Handle a message while the user is in the middle of a multi-turn flow
+  async function handleConversationState(conversation, message, phoneNumber) {
+    const lowerMessage = message.toLowerCase().trim();
+    const lang = await getUserLanguage(phoneNumber);
+
+    switch (conversation.state) {
+      case CONVERSATION_STATES.AWAITING_SEARCH_QUERY:
+        await clearConversationState(phoneNumber);
+        return await searchMedicines(message, phoneNumber);
+
+      case CONVERSATION_STATES.AWAITING_ORDER_ID: {
+        // The bot asked for an ID, so any ID-like word counts, even in a sentence
+        const [orderId] = extractEntities(message, { expectOrderId: true }).orderIds;
+        if (orderId) {
+          await clearConversationState(phoneNumber);
+          return await trackOrder(orderId, phoneNumber);
+        }
+        return t(lang, 'state.invalidOrderId');
+      }
+
+      case CONVERSATION_STATES.AWAITING_ADDRESS:
+        if (message.trim().length < 10) {
+          return t(lang, 'state.invalidAddress');
+        }
+        return await confirmCheckout(phoneNumber, message.trim());
+
+      case CONVERSATION_STATES.AWAITING_SUGGESTION: {
+        const suggestions = (conversation.data && conversation.data.suggestions) || [];
+      
+        if (/^\d+$/.test(lowerMessage)) {
+          const suggestion = suggestions[parseInt(lowerMessage) - 1];
+          if (!suggestion) {
+            return t(lang, 'state.invalidSuggestion', { max: suggestions.length });
+          }
+          await clearConversationState(phoneNumber);
+          return await searchMedicines(suggestion, phoneNumber, { query: suggestion });
+        }
+      
+        // Anything else is handled as a new message
+        await clearConversationState(phoneNumber);
+        return null;
+      }
+
+      case CONVERSATION_STATES.AWAITING_LANGUAGE: {
+        const language = /^\d+$/.test(lowerMessage)
+          ? SUPPORTED_LANGUAGES[parseInt(lowerMessage) - 1]
+          : findLanguage(lowerMessage);
+      
+        if (!language) {
+          return t(lang, 'state.invalidLanguage', { max: SUPPORTED_LANGUAGES.length });
+        }
+      
+        await clearConversationState(phoneNumber);
+        await setUserLanguage(phoneNumber, language.code);
+        return t(language.code, 'language.changed');
+      }
+
+      case CONVERSATION_STATES.AWAITING_LINK_IDENTIFIER:
+        return await startAccountLinking(phoneNumber, message.trim());
+
+      case CONVERSATION_STATES.AWAITING_LINK_CODE:
+        return await verifyAccountLinkCode(phoneNumber, lowerMessage);
+
+      case CONVERSATION_STATES.AWAITING_CONFIRMATION: {
+        const { action, payload } = conversation.data || {};
+        const handler = confirmationHandlers[action];
+
+        if (!handler) {
+          console.warn(`[State] No confirmation handler registered for action: ${action}`);
+          await clearConversationState(phoneNumber);
+          return null;
+        }
+
+        if (YES_REPLIES.includes(lowerMessage)) {
+          await clearConversationState(phoneNumber);
+          return await handler.confirm(phoneNumber, payload);
+        }
+
+        if (NO_REPLIES.includes(lowerMessage)) {
+          await clearConversationState(phoneNumber);
+          return handler.decline
+            ? await handler.decline(phoneNumber, payload)
+            : t(lang, 'confirm.declined');
+        }
+
+        return t(lang, 'confirm.reprompt');
+      }
+
+      case CONVERSATION_STATES.AWAITING_INTENT_CHOICE: {
+        const { message: originalMessage, choices = [] } = conversation.data || {};
+
+        if (/^\d+$/.test(lowerMessage)) {
+          const choice = choices[parseInt(lowerMessage) - 1];
+          if (!choice) {
+            return t(lang, 'intents.invalidChoice', { max: choices.length });
+          }
+          await clearConversationState(phoneNumber);
+          return await dispatchIntent(choice, originalMessage, phoneNumber, lang) ||
+            await searchMedicines(originalMessage, phoneNumber);
+        }
+
+        // Anything else is handled as a new message
+        await clearConversationState(phoneNumber);
+        return null;
+      }
+
+      default:
+        console.warn(`[State] Unknown conversation state: ${conversation.state}`);
+        await clearConversationState(phoneNumber);
+        return null;
+    }
+  }
+
+  // Update the processMessage function to recognize and handle the user's order history
+  async function processMessage(message, phoneNumber) {
+    try {
+      console.log(`Processing message from ${phoneNumber}: "${message}"`);
+    
+      const lang = await resolveUserLanguage(phoneNumber, message);
+    
+      // Handle empty or null messages
+      if (!message || message.trim() === '') {
+        noteIntent(phoneNumber, 'greeting');
+        return getWelcomeMessage(lang);
+      }
+
+      const conversation = await getConversationState(phoneNumber);
+      const entities = extractEntities(message);
+      const match = intentRegistry.match(message, { state: conversation ? conversation.state : null, entities });
+      console.log(`[Intents] "${message}" -> ${match.intent ? `${match.intent.intent} (${match.intent.score})` : 'none'}${match.ambiguous ? ', ambiguous' : ''}`);
+    
+      // "cancel", greetings, language changes and menu numbers work even in the middle of a flow
+      if (match.intent && match.intent.interruptsFlow) {
+        return await dispatchIntent(match.intent, message, phoneNumber, lang, entities);
+      }
+    
+      // Continue a multi-turn flow if the user is in one
+      if (conversation) {
+        console.log(`Continuing conversation state "${conversation.state}" for ${phoneNumber}`);
+        const stateResponse = await handleConversationState(conversation, message, phoneNumber);
+        if (stateResponse) {
+          noteIntent(phoneNumber, `flow:${conversation.state}`);
+          return stateResponse;
+        }
+      }
+    
+      // Too close to call: ask which one the user meant instead of guessing
+      if (match.ambiguous) {
+        noteIntent(phoneNumber, 'clarify');
+        return await askWhichIntent(phoneNumber, message, match.choices, lang);
+      }
+    
+      // Best match first; handlers return null for messages that turn out not to be theirs
+      for (const candidate of match.candidates) {
+        const response = await dispatchIntent(candidate, message, phoneNumber, lang, entities);
+        if (response) {
+          return response;
+        }
+      }
+      return null;
+    } catch (error) {
+      console.error("Error processing message:", error);
+      return t(await getUserLanguage(phoneNumber), 'common.error');
+    }
+  }
+
+  // Reply for each intent in config/intents.js. Handlers get the message, the entities extracted
+  // from it and the match, whose groups are the capture groups of the pattern that matched
+  // (or the values of the entity that did).
+  const intentHandlers = {
+    cancel: async ({ phoneNumber, lang }) => {
+      await clearConversationState(phoneNumber);
+      return t(lang, 'common.cancelled');
+    },
+
+    greeting: async ({ phoneNumber, lang }) => {
+      await clearConversationState(phoneNumber);
+      return getWelcomeMessage(lang);
+    },
+
+    change_language: async ({ phoneNumber, lang, match }) => {
+      const language = match.groups[0] && findLanguage(match.groups[0]);
+      if (language) {
+        await setUserLanguage(phoneNumber, language.code);
+        return t(language.code, 'language.changed');
+      }
+      return await promptLanguageChoice(phoneNumber, lang);
+    },
+
+    search_navigation: ({ lowerMessage, phoneNumber }) => handleSearchNavigation(lowerMessage, phoneNumber),
+
+    cart: ({ lowerMessage, phoneNumber }) => handleCartCommand(lowerMessage, phoneNumber),
+
+    prescription_status: ({ phoneNumber, match }) => checkPrescriptionStatus(match.groups[0], phoneNumber),
+
+    prescription_list: ({ phoneNumber }) => listUserPrescriptions(phoneNumber),
+
+    prescription_help: ({ lang }) => t(lang, 'menu.prescriptionHelp'),
+
+    agent_handoff: ({ message, phoneNumber }) => startHandoff(phoneNumber, message),
+
+    support: ({ lang }) => t(lang, 'menu.support'),
+
+    refill_reminder: ({ message, phoneNumber }) => handleReminderCommand(message, phoneNumber),
+
+    cancel_order: ({ phoneNumber, lang, match, entities }) => {
+      const orderId = entities.orderIds[0] || match.groups[0];
+      return orderId ? requestOrderCancellation(phoneNumber, orderId) : t(lang, 'orderActions.cancelHint');
+    },
+
+    reorder: ({ phoneNumber, lang, match, entities }) => {
+      const orderId = entities.orderIds[0] || match.groups[0];
+      return orderId ? requestReorder(phoneNumber, orderId) : t(lang, 'orderActions.reorderHint');
+    },
+
+    track_prompt: async ({ phoneNumber, lang }) => {
+      await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_ORDER_ID);
+      return t(lang, 'menu.trackPrompt');
+    },
+
+    recent_orders: ({ phoneNumber }) => fetchRecentOrders(phoneNumber),
+
+    account_info: ({ phoneNumber }) => showAccountInfo(phoneNumber),
+
+    track_order: ({ message, phoneNumber, entities }) => trackOrder(entities.orderIds[0] || message.trim(), phoneNumber),
+
+    search_prompt: async ({ phoneNumber, lang }) => {
+      await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_SEARCH_QUERY);
+      return t(lang, 'menu.searchPrompt');
+    },
+
+    search: ({ message, phoneNumber, entities }) => searchMedicines(message, phoneNumber, entities)
+  };
+
+  // A configured intent without a handler is a deployment mistake, so refuse to start
+  intentRegistry.intentNames().forEach(name => {
+    if (!intentHandlers[name]) {
+      throw new Error(`No handler for intent "${name}" in the intents config`);
+    }
+  });
+
+  // Helper function to run the handler of a matched intent
+  async function dispatchIntent(match, message, phoneNumber, lang, entities = extractEntities(message)) {
+    if (match.matchedBy === 'menu') {
+      console.log(`User ${phoneNumber} selected option ${match.trigger}`);
+      await clearConversationState(phoneNumber);
+    }
+    
+    noteIntent(phoneNumber, match.intent);
+    return await intentHandlers[match.intent]({
+      message,
+      lowerMessage: message.toLowerCase().trim(),
+      phoneNumber,
+      lang,
+      match,
+      entities
+    });
+  }
+
+  // Helper function to ask which of several equally likely intents the user meant
+  async function askWhichIntent(phoneNumber, message, choices, lang) {
+    const text = message.trim();
+    const options = choices
+      .map((choice, index) => `${index + 1}. ${t(lang, `intents.labels.${choice.intent}`, { text })}`)
+      .join('\n');
+    
+    await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_INTENT_CHOICE, { message, choices });
+    return t(lang, 'intents.clarify', { options });
+  }
+
+  // Helper function to list the main menu entries, e.g. "1️⃣ Search Medicines & Products"
+  function formatMenuOptions(lang) {
+    return intentRegistry.menu
+      .map(entry => `${entry.option <= 9 ? `${entry.option}\uFE0F\u20E3` : `${entry.option}.`} ${t(lang, entry.label)}`)
+      .join('\n');
+  }
+
+  // Helper function to generate welcome message
+  function getWelcomeMessage(lang) {
+    return t(lang, 'menu.welcome', { options: formatMenuOptions(lang), max: intentRegistry.menu.length });
+  }
+
+  // Search function that combines medicine and product search
+  // entities are extracted from the message unless given: filler words are left out of the
+  // query, and a pack quantity ("2 strips of ...") becomes the default for "add <number>"
+  async function searchMedicines(query, phoneNumber, entities = extractEntities(query)) {
+    try {
+      console.log(`[Search] Searching for: "${query}"`);
+      const lang = await getUserLanguage(phoneNumber);
+    
+      // Skip the order ID check for medicine searches
+      // We only treat inputs with # prefix as order IDs now
+    
+      // Define a threshold for minimum query length
+      if (!query || query.trim().length < 2) {
+        return t(lang, 'search.tooShort');
+      }
+    
+      // Clean up the query
+      const cleanedQuery = entities.query || query.trim();
+    
+      // Search medicines and products in parallel
+      const { results, total, failedSources } = await catalogSearch.search(cleanedQuery, SEARCH_RESULT_LIMIT);
+      analytics.recordSearch(cleanedQuery, results.length === 0 && failedSources.length === 2 ? null : results.length);
+    
+      if (results.length === 0) {
+        if (failedSources.length === 2) {
+          return t(lang, 'search.error');
+        }
+      
+        // Fall back to close matches from the local name index
+        const suggestions = fuzzyIndex.suggest(cleanedQuery, 3);
+        if (suggestions.length > 0 && phoneNumber) {
+          console.log(`[Search] No exact results for "${cleanedQuery}", suggesting: ${suggestions.join(', ')}`);
+          await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_SUGGESTION, { suggestions });
+        
+          return t(lang, 'search.didYouMean', {
+            query: cleanedQuery,
+            suggestions: suggestions.map((suggestion, index) => `${index + 1}. ${suggestion}`).join('\n')
+          });
+        }
+      
+        return t(lang, 'search.noResults', { query: cleanedQuery });
+      }
+    
+      const search = { query: cleanedQuery, results, total, page: 1 };
+      if (isPackQuantity(entities.quantity)) {
+        search.requestedQuantity = entities.quantity.value;
+      }
+    
+      // Remember the query and results so the user can page through them and add items to their cart.
+      // A new search replaces the previous one.
+      if (phoneNumber) {
+        await userStates.set(`lastSearch:${phoneNumber}`, search, SEARCH_CACHE_TTL_MS);
+      }
+    
+      return formatSearchResultsPage(search, 1, lang);
+    } catch (error) {
+      console.error("[Search] Error searching medicines:", error);
+      return t(await getUserLanguage(phoneNumber), 'search.error');
+    }
+  }
+
+  // Format one page of remembered search results. Results keep the same
+  // numbers on every page so "add <number>" always refers to the same item.
+  function formatSearchResultsPage(search, page, lang) {
+    const totalPages = Math.ceil(search.results.length / SEARCH_PAGE_SIZE);
+    const start = (page - 1) * SEARCH_PAGE_SIZE;
+    const end = Math.min(start + SEARCH_PAGE_SIZE, search.results.length);
+  
+    // Format the response
+    let result = totalPages > 1
+      ? t(lang, 'search.titlePaged', { query: search.query, page, totalPages })
+      : t(lang, 'search.title', { query: search.query });
+    result += `\n\n`;
+  
+    for (let i = start; i < end; i++) {
+      const item = search.results[i];
+      const isProduct = item.type === 'product';
+    
+      result += `${i + 1}. ${item.name} (${t(lang, isProduct ? 'search.product' : 'search.medicine')})\n`;
+      result += `${isProduct ? '🧴' : '💊'} ${t(lang, 'search.by', { manufacturer: item.manufacturer })}\n`;
+      result += `💰 ${t(lang, 'search.price', { price: item.price !== null ? item.price : t(lang, 'search.priceUnavailable') })}\n`;
+    
+      // Add prescription info if available
+      if (item.prescriptionRequired) {
+        result += `⚠️ ${t(lang, 'search.requiresPrescription')}\n`;
+      }
+    
+      if (i < end - 1) {
+        result += `\n`;
+      }
+    }
+  
+    result += `\n${t(lang, 'search.showing', { start: start + 1, end, total: search.total })}\n`;
+    if (search.total > search.results.length && page === totalPages) {
+      result += `${t(lang, 'search.limited', { count: search.results.length })}\n`;
+    }
+  
+    // Navigation hints
+    const navigation = [];
+    if (page < totalPages) {
+      navigation.push(t(lang, 'search.navNext'));
+    }
+    if (page > 1) {
+      navigation.push(t(lang, 'search.navPrev'));
+    }
+    if (totalPages > 2) {
+      navigation.push(t(lang, 'search.navPage', { totalPages }));
+    }
+    if (navigation.length > 0) {
+      result += `${t(lang, 'search.navigation', { options: navigation.join(', ') })}\n`;
+    }
+  
+    result += `\n${t(lang, 'search.orderHint')}`;
+  
+    return result;
+  }
+
+  // Helper function to handle "more", "prev" and "page N" on the last search results
+  // Returns null if the message isn't a navigation command
+  async function handleSearchNavigation(lowerMessage, phoneNumber) {
+    let requestedPage;
+    const pageMatch = lowerMessage.match(/^page\s+(\d+)$/);
+    const isNext = ['more', 'next'].includes(lowerMessage);
+    const isPrev = ['prev', 'previous', 'back'].includes(lowerMessage);
+  
+    if (!pageMatch && !isNext && !isPrev) {
+      return null;
+    }
+  
+    const lang = await getUserLanguage(phoneNumber);
+    const search = await userStates.get(`lastSearch:${phoneNumber}`);
+    if (!search) {
+      return t(lang, 'search.noRecentResults');
+    }
+  
+    const totalPages = Math.ceil(search.results.length / SEARCH_PAGE_SIZE);
+  
+    if (pageMatch) {
+      requestedPage = parseInt(pageMatch[1]);
+    } else {
+      requestedPage = isNext ? search.page + 1 : search.page - 1;
+    }
+  
+    if (requestedPage > totalPages) {
+      return totalPages === 1
+        ? t(lang, 'search.allShown')
+        : t(lang, 'search.lastPage', { page: totalPages });
+    }
+  
+    if (requestedPage < 1) {
+      return t(lang, 'search.firstPage');
+    }
+  
+    search.page = requestedPage;
+    await userStates.set(`lastSearch:${phoneNumber}`, search, SEARCH_CACHE_TTL_MS);
+  
+    console.log(`[Search] ${phoneNumber} viewing page ${requestedPage} of "${search.query}"`);
+    return formatSearchResultsPage(search, requestedPage, lang);
+  }
+
+  // Helper function to confirm an item was added, saying so when the per-item limit cut the quantity
+  function formatAddedToCart(cart, product, requested, added, lang) {
+    if (added === 0) {
+      return `${t(lang, 'cart.limitReached', { max: MAX_ITEM_QUANTITY, name: product.name })}\n\n` + carts.formatCart(cart, lang);
+    }
+  
+    let result = `${t(lang, 'cart.added', { quantity: added, name: product.name })}\n`;
+    if (added < requested) {
+      result += `${t(lang, 'cart.limitReached', { max: MAX_ITEM_QUANTITY, name: product.name })}\n`;
+    }
+    return `${result}\n` + carts.formatCart(cart, lang) + `\n${t(lang, 'cart.addedHint')}`;
+  }
+
+  // Helper function to handle cart commands ("add 2 x 3", "cart", "remove 1", "clear cart", "checkout")
+  // Returns null if the message isn't a cart command
+  async function handleCartCommand(lowerMessage, phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+    const addMatch = lowerMessage.match(/^add\s+(\d+)(?:\s*[x*]\s*(\d+))?$/);
+    if (addMatch) {
+      const position = parseInt(addMatch[1]);
+    
+      const lastSearch = await userStates.get(`lastSearch:${phoneNumber}`);
+      if (!lastSearch || !lastSearch.results.length) {
+        return t(lang, 'cart.searchFirst');
+      }
+    
+      // Without "x <quantity>", add as many as the search asked for ("2 strips of ...")
+      const quantity = addMatch[2] ? parseInt(addMatch[2]) : (lastSearch.requestedQuantity || 1);
+    
+      const product = lastSearch.results[position - 1];
+      if (!product) {
+        return t(lang, 'cart.invalidPosition', { max: lastSearch.results.length });
+      }
+    
+      if (quantity < 1) {
+        return t(lang, 'cart.invalidQuantity');
+      }
+    
+      if (quantity > MAX_ITEM_QUANTITY) {
+        return t(lang, 'cart.quantityTooHigh', { max: MAX_ITEM_QUANTITY });
+      }
+    
+      if (product.price === null) {
+        return t(lang, 'cart.notOrderable', { name: product.name });
+      }
+    
+      const { cart, added } = await carts.addItem(phoneNumber, product, quantity);
+      console.log(`[Cart] ${phoneNumber} added ${added}x ${product.name}`);
+    
+      return formatAddedToCart(cart, product, quantity, added, lang);
+    }
+  
+    if (['cart', 'my cart', 'view cart'].includes(lowerMessage)) {
+      const cart = await carts.getCart(phoneNumber);
+      if (cart.items.length === 0) {
+        return t(lang, 'cart.empty');
+      }
+      return carts.formatCart(cart, lang) + `\n${t(lang, 'cart.viewHint')}`;
+    }
+  
+    const removeMatch = lowerMessage.match(/^remove(?:\s+(\d+))?$/);
+    if (removeMatch) {
+      if (!removeMatch[1]) {
+        return t(lang, 'cart.removePrompt');
+      }
+    
+      const removed = await carts.removeItem(phoneNumber, parseInt(removeMatch[1]));
+      if (!removed) {
+        return t(lang, 'cart.removeInvalid');
+      }
+    
+      const cart = await carts.getCart(phoneNumber);
+      return `${t(lang, 'cart.removed', { name: removed.name })}\n\n` +
+             (cart.items.length > 0 ? carts.formatCart(cart, lang) : t(lang, 'cart.nowEmpty'));
+    }
+  
+    if (['clear cart', 'empty cart'].includes(lowerMessage)) {
+      await carts.clearCart(phoneNumber);
+      return t(lang, 'cart.cleared');
+    }
+  
+    if (lowerMessage === 'checkout') {
+      return await startCheckout(phoneNumber);
+    }
+  
+    return null;
+  }
+
+  // Helper function to handle refill reminder commands. Returns null for other messages.
+  async function handleReminderCommand(message, phoneNumber) {
+    const lowerMessage = message.toLowerCase().trim();
+    const lang = await getUserLanguage(phoneNumber);
+  
+    if (['reminders', 'my reminders', 'refill reminders', 'refill'].includes(lowerMessage)) {
+      return await showRefillReminders(phoneNumber);
+    }
+  
+    if (lowerMessage === 'reorder') {
+      return await reorderFromReminder(phoneNumber);
+    }
+  
+    try {
+      // "remind me every 30 days for Dolo 650"
+      const remindMatch = message.trim().match(/^remind me every\s+(\d+)\s+days?\s+(?:for|to reorder|to buy)\s+(.+)$/i);
+      if (remindMatch) {
+        const { reminder, error } = await refillReminders.addReminder(phoneNumber, {
+          medicine: remindMatch[2],
+          intervalDays: parseInt(remindMatch[1]),
+          source: 'manual'
+        });
+        return reminder ? formatReminderCreated(reminder, lang) : formatReminderError(error, lang);
+      }
+    
+      if (/^remind me\b/.test(lowerMessage)) {
+        return t(lang, 'reminders.howTo');
+      }
+    
+      // "set reminder 2" accepts the second suggestion from order history
+      const suggestionMatch = lowerMessage.match(/^set reminder\s+(\d+)$/);
+      if (suggestionMatch) {
+        const position = parseInt(suggestionMatch[1]);
+        const suggestions = await userStates.get(`reminderSuggestions:${phoneNumber}`);
+        const suggestion = suggestions && suggestions[position - 1];
+        if (!suggestion) {
+          return t(lang, 'reminders.invalidSuggestion', { position });
+        }
+      
+        const { reminder, error } = await refillReminders.addReminder(phoneNumber, {
+          medicine: suggestion.medicine,
+          quantity: suggestion.quantity,
+          intervalDays: suggestion.intervalDays,
+          nextDueAt: suggestion.nextDueAt,
+          source: 'estimated'
+        });
+        return reminder ? formatReminderCreated(reminder, lang) : formatReminderError(error, lang);
+      }
+    
+      // "pause reminder 1", "resume reminder 1", "delete reminder 1"
+      const manageMatch = lowerMessage.match(/^(pause|resume|delete|remove)\s+reminder\s+(\d+)$/);
+      if (manageMatch) {
+        const position = parseInt(manageMatch[2]);
+      
+        if (manageMatch[1] === 'pause') {
+          const reminder = await refillReminders.pauseReminder(phoneNumber, position);
+          return reminder
+            ? t(lang, 'reminders.paused', { medicine: reminder.medicine, position })
+            : t(lang, 'reminders.invalidPosition', { position });
+        }
+      
+        if (manageMatch[1] === 'resume') {
+          const reminder = await refillReminders.resumeReminder(phoneNumber, position);
+          return reminder
+            ? t(lang, 'reminders.resumed', { medicine: reminder.medicine, date: formatDate(reminder.next_due_at, lang) })
+            : t(lang, 'reminders.invalidPosition', { position });
+        }
+      
+        const reminder = await refillReminders.deleteReminder(phoneNumber, position);
+        return reminder
+          ? t(lang, 'reminders.deleted', { medicine: reminder.medicine })
+          : t(lang, 'reminders.invalidPosition', { position });
+      }
+    } catch (error) {
+      console.error('[Reminders] Error handling reminder command:', error);
+      return t(lang, 'reminders.error');
+    }
+  
+    return null;
+  }
+
+  // Helper function to list a customer's reminders and suggest new ones from their order history
+  async function showRefillReminders(phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      const reminders = await refillReminders.listReminders(phoneNumber);
+    
+      // Suggest medicines they order regularly that don't have a reminder yet
+      const userDetails = await getUserDetailsByPhone(phoneNumber);
+      const reminded = reminders.map(reminder => reminder.medicine.toLowerCase());
+      const suggestions = estimateRefills(userDetails.orders || [], { daysPerUnit: REFILL_DAYS_PER_UNIT })
+        .filter(suggestion => !reminded.includes(suggestion.medicine.toLowerCase()))
+        .slice(0, 5);
+    
+      if (suggestions.length > 0) {
+        await userStates.set(`reminderSuggestions:${phoneNumber}`, suggestions, SEARCH_CACHE_TTL_MS);
+      } else {
+        await userStates.delete(`reminderSuggestions:${phoneNumber}`);
+      }
+    
+      let response = `${t(lang, 'reminders.title')}\n\n`;
+    
+      if (reminders.length === 0) {
+        response += `${t(lang, 'reminders.none')}\n`;
+      } else {
+        reminders.forEach((reminder, index) => {
+          response += `${t(lang, 'reminders.item', {
+            position: index + 1,
+            medicine: reminder.medicine,
+            days: reminder.interval_days,
+            date: formatDate(reminder.next_due_at, lang)
+          })}${reminder.status === 'paused' ? ` ${t(lang, 'reminders.pausedTag')}` : ''}\n`;
+        });
+        response += `\n${t(lang, 'reminders.manageHint')}\n`;
+      }
+    
+      if (suggestions.length > 0) {
+        response += `\n${t(lang, 'reminders.suggestionsTitle')}\n`;
+        suggestions.forEach((suggestion, index) => {
+          response += `${t(lang, 'reminders.suggestion', {
+            position: index + 1,
+            medicine: suggestion.medicine,
+            days: suggestion.intervalDays,
+            date: formatDate(suggestion.nextDueAt, lang)
+          })}\n`;
+        });
+        response += `\n${t(lang, 'reminders.suggestionsHint')}\n`;
+      }
+    
+      response += `\n${t(lang, 'reminders.howTo')}`;
+      return response;
+    } catch (error) {
+      console.error('[Reminders] Error listing reminders:', error);
+      return t(lang, 'reminders.error');
+    }
+  }
+
+  // Helper function to add the medicine from the last refill reminder to the cart
+  async function reorderFromReminder(phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+    const lastReminder = await userStates.get(`lastReminder:${phoneNumber}`);
+    if (!lastReminder) {
+      return t(lang, 'reminders.nothingToReorder');
+    }
+  
+    try {
+      // Take the best catalog match that can be ordered
+      const { results } = await catalogSearch.search(lastReminder.medicine, SEARCH_PAGE_SIZE);
+      const product = results.find(result => result.price !== null);
+      if (!product) {
+        return t(lang, 'reminders.reorderNotFound', { medicine: lastReminder.medicine });
+      }
+    
+      const { cart, added } = await carts.addItem(phoneNumber, product, lastReminder.quantity || 1);
+      await userStates.delete(`lastReminder:${phoneNumber}`);
+      console.log(`[Reminders] ${phoneNumber} reordered ${added}x ${product.name}`);
+    
+      return formatAddedToCart(cart, product, lastReminder.quantity || 1, added, lang);
+    } catch (error) {
+      console.error('[Reminders] Error reordering from reminder:', error);
+      return t(lang, 'reminders.error');
+    }
+  }
+
+  // Helper function to confirm a new or updated reminder
+  function formatReminderCreated(reminder, lang) {
+    return t(lang, 'reminders.created', {
+      medicine: reminder.medicine,
+      days: reminder.interval_days,
+      date: formatDate(reminder.next_due_at, lang)
+    });
+  }
+
+  // Helper function to explain why a reminder couldn't be saved
+  function formatReminderError(error, lang) {
+    if (error === 'invalid_interval') {
+      return t(lang, 'reminders.invalidInterval', { max: MAX_INTERVAL_DAYS });
+    }
+    return t(lang, 'reminders.limit');
+  }
+
+  // Helper function to format a stored address (string or object) as a single line
+  function formatAddress(address) {
+    if (!address) {
+      return null;
+    }
+  
+    if (typeof address === 'string') {
+      try {
+        address = JSON.parse(address);
+      } catch (e) {
+        return address.trim() || null;
+      }
+    }
+  
+    const parts = [
+      address.line1 || address.address_line1 || address.street || address.address,
+      address.line2 || address.address_line2,
+      address.city,
+      address.state,
+      address.pincode || address.postal_code || address.zip
+    ].filter(Boolean);
+  
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
+  // Start checkout: confirm the saved delivery address or ask for one
+  async function startCheckout(phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+    const cart = await carts.getCart(phoneNumber);
+    if (cart.items.length === 0) {
+      return t(lang, 'cart.empty');
+    }
+  
+    const userDetails = await getUserDetailsByPhone(phoneNumber);
+    if (!userDetails.exists) {
+      return t(lang, 'checkout.noAccount');
+    }
+  
+    const savedAddress = formatAddress(userDetails.user.address || userDetails.user.default_address);
+    if (!savedAddress) {
+      await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_ADDRESS);
+      return carts.formatCart(cart, lang) + `\n${t(lang, 'checkout.addressPrompt')}`;
+    }
+  
+    return await confirmCheckout(phoneNumber, savedAddress);
+  }
+
+  // Show the order summary and ask the user to confirm the delivery address
+  async function confirmCheckout(phoneNumber, address) {
+    const lang = await getUserLanguage(phoneNumber);
+    const cart = await carts.getCart(phoneNumber);
+    let summary = carts.formatCart(cart, lang);
+    summary += `\n${t(lang, 'checkout.deliverTo', { address })}\n`;
+    summary += `${t(lang, 'checkout.payment')}\n`;
+  
+    if (cart.items.some(item => item.prescriptionRequired)) {
+      summary += `\n${t(lang, 'checkout.prescriptionWarning')}\n`;
+    }
+  
+    return await requestConfirmation(phoneNumber, 'checkout', { address }, summary.trim(), t(lang, 'checkout.declineLabel'));
+  }
+
+  // Create an order from the user's cart through the main server, falling back to Supabase
+  async function placeOrderFromCart(phoneNumber, address) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      const cart = await carts.getCart(phoneNumber);
+      if (cart.items.length === 0) {
+        return t(lang, 'cart.empty');
+      }
+    
+      const items = cart.items.map(item => ({
+        product_id: item.id,
+        name: item.name,
+        type: item.type,
+        quantity: item.quantity,
+        price: item.price,
+        prescription_required: item.prescriptionRequired
+      }));
+      const totalAmount = carts.getCartTotal(cart);
+    
+      const { orderId, error } = await createOrder(phoneNumber, items, totalAmount, address);
+      if (error === 'account_missing') {
+        return t(lang, 'checkout.accountMissing');
+      }
+      if (!orderId) {
+        return t(lang, 'checkout.failedCartSaved');
+      }
+    
+      await carts.clearCart(phoneNumber);
+    
+      // trackOrder looks orders up by the first part of the ID
+      const shortOrderId = String(orderId).split('-')[0];
+      console.log(`[Checkout] Order ${orderId} placed for ${phoneNumber}`);
+    
+      return t(lang, 'checkout.placed', { orderId: shortOrderId, total: totalAmount.toFixed(2), address });
+    } catch (error) {
+      console.error('[Checkout] Error placing order:', error);
+      return t(lang, 'checkout.failed');
+    }
+  }
+
+  // Helper function to create a cash-on-delivery order through the main server, or directly
+  // in the database if the server is unavailable.
+  // Returns { orderId }, or { error } with 'account_missing' or 'failed'.
+  async function createOrder(phoneNumber, items, totalAmount, address) {
+    const formattedPhone = toDatabasePhone(phoneNumber);
+    let orderId = null;
+  
+    try {
+      console.log(`[Checkout] Creating order via API for phone: ${formattedPhone}`);
+      const response = await httpClient.post(`${SERVER_URL}/orders/create-by-phone`, {
+        phone: formattedPhone,
+        items,
+        total_amount: totalAmount,
+        shipping_address: address,
+        payment_method: 'cod',
+        source: 'whatsapp'
+      }, { timeout: 8000 });
+    
+      orderId = response.data && (response.data.order ? response.data.order.id : response.data.orderId);
+    } catch (error) {
+      console.error(`[Checkout] API error: ${error.message}`);
+    }
+  
+    if (orderId) {
+      return { orderId };
+    }
+  
+    // Fall back to creating the order directly in the database
+    console.log(`[Checkout] Trying alternative method to create the order...`);
+  
+    const userDetails = await getUserDetailsByPhone(phoneNumber);
+    if (!userDetails.exists) {
+      return { error: 'account_missing' };
+    }
+  
+    const { data, error: insertError } = await supabase
+      .from('orders')
+      .insert([
+        {
+          user_id: userDetails.user.id,
+          items,
+          total_amount: totalAmount,
+          shipping_address: { address },
+          payment_method: 'cod',
+          payment_status: 'pending',
+          status: 'Processing',
+          created_at: new Date()
+        }
+      ])
+      .select();
+  
+    if (insertError || !data || !data[0]) {
+      console.error(`[Checkout] Database insert failed: ${insertError?.message || 'No order returned'}`);
+      return { error: 'failed' };
+    }
+  
+    return { orderId: data[0].id };
+  }
+
+  // Confirming the checkout summary places the order; declining asks for a different address
+  confirmationHandlers.checkout = {
+    confirm: (phoneNumber, payload) => placeOrderFromCart(phoneNumber, payload.address),
+    decline: async (phoneNumber) => {
+      await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_ADDRESS);
+      return t(await getUserLanguage(phoneNumber), 'checkout.newAddressPrompt');
+    }
+  };
+
+  // Helper function to find one of the sender's own orders by its full or short ID.
+  // The order is looked up through the main server for the sender's phone, then among the
+  // account's orders in the database, and must belong to the sender's account either way.
+  // Returns { user, order }: user is null without an account, order is null if it isn't theirs.
+  async function findOwnOrder(phoneNumber, orderIdInput) {
+    const orderId = orderIdInput.replace(/\s+/g, '').replace(/^#/, '').toLowerCase();
+    const partialId = orderId.split('-')[0];
+  
+    const userDetails = await getUserDetailsByPhone(phoneNumber);
+    if (!userDetails.exists) {
+      return { user: null, order: null };
+    }
+    const user = userDetails.user;
+  
+    // The order must name this account, or this number when it has no user_id; orders naming neither are someone else's
+    const belongsToUser = order => {
+      if (order.user_id) {
+        return order.user_id === user.id;
+      }
+      const orderPhone = order.phone || order.user_phone || order.customer_phone;
+      return Boolean(orderPhone) && toDatabasePhone(orderPhone) === toDatabasePhone(phoneNumber);
+    };
+
+    const isOwnOrder = order => {
+      if (!order || !belongsToUser(order)) {
+        return false;
+      }
+      const id = String(order.id || order.order_id || '').toLowerCase();
+      return orderId.includes('-') ? id === orderId : id.startsWith(partialId);
+    };
+  
+    try {
+      const response = await httpClient.get(`${SERVER_URL}/orders/${partialId}/track`, {
+        params: { phone: toDatabasePhone(phoneNumber) },
+        timeout: 8000
+      });
+      const order = response.data && response.data.order;
+      if (isOwnOrder(order)) {
+        return { user, order };
+      }
+    } catch (error) {
+      console.log(`[Orders] Couldn't look up order ${partialId} via API: ${error.message}`);
+    }
+  
+    // Fall back to the account's orders in the database
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+      .limit(100);
+  
+    if (error) {
+      throw new Error(`Couldn't fetch orders: ${error.message}`);
+    }
+    return { user, order: (orders || []).find(isOwnOrder) || null };
+  }
+
+  // Helper function to read an order's items, which may be stored as a JSON string
+  function getOrderItems(order) {
+    let items = order.items;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (e) {
+        console.error(`[Orders] Error parsing order items: ${e.message}`);
+        items = [];
+      }
+    }
+    return Array.isArray(items) ? items : [];
+  }
+
+  function getOrderItemName(item) {
+    return item.name || item.medicine_name || item.product_name || null;
+  }
+
+  // Helper function to explain why an order can't be cancelled, or null if it can
+  function getCancellationRefusal(order, orderId, lang) {
+    const status = normalizeTrackingStatus(order.status || 'processing');
+    if (CANCELLABLE_STATUSES.includes(status)) {
+      return null;
+    }
+    if (status === 'cancelled' || status === 'refunded') {
+      return t(lang, 'orderActions.alreadyCancelled', { orderId });
+    }
+    return t(lang, 'orderActions.notCancellable', { orderId, status: formatTrackingStatus(order.status, lang) });
+  }
+
+  // "cancel #<id>": check the order can be cancelled and ask the user to confirm
+  async function requestOrderCancellation(phoneNumber, orderIdInput) {
+    const lang = await getUserLanguage(phoneNumber);
+    const orderId = orderIdInput.replace(/^#/, '').split('-')[0];
+  
+    try {
+      const { user, order } = await findOwnOrder(phoneNumber, orderIdInput);
+      if (!user) {
+        return t(lang, 'checkout.noAccount');
+      }
+      if (!order) {
+        return t(lang, 'orderActions.notFound', { orderId });
+      }
+    
+      const refusal = getCancellationRefusal(order, orderId, lang);
+      if (refusal) {
+        return refusal;
+      }
+    
+      const lines = [t(lang, 'orderActions.cancelTitle', { orderId }), ''];
+      getOrderItems(order).forEach(item => {
+        const quantity = item.quantity || 1;
+        lines.push(`• ${quantity}x ${getOrderItemName(item) || t(lang, 'tracking.defaultItemName')} - ₹${(item.price || 0) * quantity}`);
+      });
+      lines.push('', t(lang, 'tracking.total', { total: order.total_price || order.total_amount || 0 }));
+    
+      console.log(`[Orders] ${phoneNumber} asked to cancel order ${order.id}`);
+      return await requestConfirmation(phoneNumber, 'cancel_order', { orderId: order.id }, lines.join('\n'), t(lang, 'orderActions.keepLabel'));
+    } catch (error) {
+      console.error('[Orders] Error preparing cancellation:', error);
+      return t(lang, 'orderActions.error');
+    }
+  }
+
+  // Cancel a confirmed order through the main server, or directly in the database if the
+  // server is unavailable. The status is checked again since the order may have moved on.
+  async function cancelOrder(phoneNumber, fullOrderId) {
+    const lang = await getUserLanguage(phoneNumber);
+    const orderId = String(fullOrderId).split('-')[0];
+  
+    try {
+      const { user, order } = await findOwnOrder(phoneNumber, fullOrderId);
+      if (!user || !order) {
+        return t(lang, 'orderActions.notFound', { orderId });
+      }
+    
+      const refusal = getCancellationRefusal(order, orderId, lang);
+      if (refusal) {
+        return refusal;
+      }
+    
+      let cancelled = false;
+      try {
+        await httpClient.post(`${SERVER_URL}/orders/${order.id}/cancel`, {
+          phone: toDatabasePhone(phoneNumber),
+          reason: 'Cancelled by the customer on WhatsApp',
+          source: 'whatsapp'
+        }, { timeout: 8000 });
+        cancelled = true;
+      } catch (error) {
+        // The server turned the cancellation down, e.g. the order was packed in the meantime
+        if (error.response && [400, 409, 422].includes(error.response.status)) {
+          console.log(`[Orders] Server refused to cancel order ${order.id}: ${error.message}`);
+          return t(lang, 'orderActions.cancelRefused', { orderId });
+        }
+        console.error(`[Orders] Cancel API error: ${error.message}`);
+      }
+    
+      if (!cancelled) {
+        // Fall back to updating the order directly in the database, only while it is still cancellable
+        console.log(`[Orders] Trying alternative method to cancel order ${order.id}...`);
+        const { data, error: updateError } = await supabase
+          .from('orders')
+          .update({ status: 'Cancelled', updated_at: new Date() })
+          .eq('id', order.id)
+          .eq('user_id', user.id)
+          .in('status', getStoredStatusValues(CANCELLABLE_STATUSES))
+          .select();
+      
+        if (updateError) {
+          console.error(`[Orders] Database update failed: ${updateError.message}`);
+          return t(lang, 'orderActions.cancelFailed', { orderId });
+        }
+        // The order moved on (e.g. was packed) since it was checked
+        if (!data || !data[0]) {
+          console.log(`[Orders] Order ${order.id} is no longer cancellable`);
+          return t(lang, 'orderActions.cancelRefused', { orderId });
+        }
+      }
+    
+      console.log(`[Orders] Order ${order.id} cancelled by ${phoneNumber}`);
+      let response = t(lang, 'orderActions.cancelled', { orderId });
+      if (String(order.payment_status || '').toLowerCase() === 'paid') {
+        response += `\n\n${t(lang, 'orderActions.refundNote', { total: order.total_price || order.total_amount || 0 })}`;
+      }
+      return response;
+    } catch (error) {
+      console.error('[Orders] Error cancelling order:', error);
+      return t(lang, 'orderActions.cancelFailed', { orderId });
+    }
+  }
+
+  // Declining keeps the order as it is
+  confirmationHandlers.cancel_order = {
+    confirm: (phoneNumber, payload) => cancelOrder(phoneNumber, payload.orderId),
+    decline: async (phoneNumber, payload) =>
+      t(await getUserLanguage(phoneNumber), 'orderActions.kept', { orderId: String(payload.orderId).split('-')[0] })
+  };
+
+  // Helper function to find the catalog entry a past order item refers to, at today's price.
+  // Only the same product counts; a similar one isn't ordered in its place.
+  async function findCurrentProduct(item, name) {
+    const { results } = await catalogSearch.search(name, SEARCH_PAGE_SIZE);
+    return results.find(result =>
+      result.price !== null &&
+      ((item.product_id && result.id === item.product_id) || result.name.toLowerCase() === name.toLowerCase())
+    ) || null;
+  }
+
+  // "reorder #<id>": price the items of a past order again and ask the user to confirm
+  async function requestReorder(phoneNumber, orderIdInput) {
+    const lang = await getUserLanguage(phoneNumber);
+    const orderId = orderIdInput.replace(/^#/, '').split('-')[0];
+  
+    try {
+      const { user, order } = await findOwnOrder(phoneNumber, orderIdInput);
+      if (!user) {
+        return t(lang, 'checkout.noAccount');
+      }
+      if (!order) {
+        return t(lang, 'orderActions.notFound', { orderId });
+      }
+    
+      const items = getOrderItems(order).filter(getOrderItemName);
+      if (items.length === 0) {
+        return t(lang, 'orderActions.reorderNoItems', { orderId });
+      }
+    
+      // Prices and prescription requirements may have changed since the order was placed
+      const available = [];
+      const unavailable = [];
+      for (const item of items) {
+        const name = getOrderItemName(item);
+        const product = await findCurrentProduct(item, name);
+        if (product) {
+          available.push({ product, quantity: item.quantity || 1, previousPrice: item.price });
+        } else {
+          unavailable.push(name);
+        }
+      }
+    
+      if (available.length === 0) {
+        return t(lang, 'orderActions.reorderUnavailable', { orderId });
+      }
+    
+      const address = formatAddress(order.shipping_address) || formatAddress(user.address || user.default_address);
+      if (!address) {
+        return t(lang, 'orderActions.reorderNoAddress');
+      }
+    
+      const total = available.reduce((sum, { product, quantity }) => sum + product.price * quantity, 0);
+      const lines = [t(lang, 'orderActions.reorderTitle', { orderId }), ''];
+      available.forEach(({ product, quantity, previousPrice }) => {
+        let line = `• ${quantity}x ${product.name} - ₹${(product.price * quantity).toFixed(2)}`;
+        if (previousPrice !== undefined && previousPrice !== null && Number(previousPrice) !== product.price) {
+          line += ` ${t(lang, 'orderActions.priceChanged', { price: (Number(previousPrice) * quantity).toFixed(2) })}`;
+        }
+        lines.push(line);
+        if (product.prescriptionRequired) {
+          lines.push(`   ⚠️ ${t(lang, 'search.requiresPrescription')}`);
+        }
+      });
+    
+      if (unavailable.length > 0) {
+        lines.push('', t(lang, 'orderActions.unavailableItems'), ...unavailable.map(name => `• ${name}`));
+      }
+    
+      lines.push('', t(lang, 'cart.total', { total: total.toFixed(2) }));
+      lines.push(t(lang, 'checkout.deliverTo', { address }), t(lang, 'checkout.payment'));
+      if (available.some(({ product }) => product.prescriptionRequired)) {
+        lines.push('', t(lang, 'checkout.prescriptionWarning'));
+      }
+    
+      const orderItems = available.map(({ product, quantity }) => ({
+        product_id: product.id,
+        name: product.name,
+        type: product.type,
+        quantity,
+        price: product.price,
+        prescription_required: product.prescriptionRequired
+      }));
+    
+      console.log(`[Orders] ${phoneNumber} asked to reorder ${order.id}`);
+      return await requestConfirmation(phoneNumber, 'reorder', { orderId, items: orderItems, total, address }, lines.join('\n'));
+    } catch (error) {
+      console.error('[Orders] Error preparing reorder:', error);
+      return t(lang, 'orderActions.error');
+    }
+  }
+
+  // Place the reorder at the prices the user confirmed
+  async function placeReorder(phoneNumber, { orderId, items, total, address }) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      const { orderId: newOrderId, error } = await createOrder(phoneNumber, items, total, address);
+      if (error === 'account_missing') {
+        return t(lang, 'checkout.accountMissing');
+      }
+      if (!newOrderId) {
+        return t(lang, 'orderActions.reorderFailed', { orderId });
+      }
+    
+      const shortOrderId = String(newOrderId).split('-')[0];
+      console.log(`[Orders] Order ${newOrderId} placed for ${phoneNumber} as a reorder of ${orderId}`);
+    
+      return t(lang, 'checkout.placed', { orderId: shortOrderId, total: total.toFixed(2), address });
+    } catch (error) {
+      console.error('[Orders] Error placing reorder:', error);
+      return t(lang, 'orderActions.reorderFailed', { orderId });
+    }
+  }
+
+  confirmationHandlers.reorder = {
+    confirm: (phoneNumber, payload) => placeReorder(phoneNumber, payload)
+  };
+
+  // Show a masked summary of the user's account, or offer to link one
+  async function showAccountInfo(phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      const userDetails = await getUserDetailsByPhone(phoneNumber);
+      if (!userDetails.exists) {
+        await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_LINK_IDENTIFIER);
+        return t(lang, 'account.notFound');
+      }
+    
+      const user = userDetails.user;
+    
+      // getUserDetailsByPhone only loads the last few orders, so count them separately
+      const { count, error: countError } = await supabase
+        .from('orders')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', user.id);
+    
+      if (countError) {
+        console.error(`[Account] Error counting orders: ${countError.message}`);
+      }
+    
+      const notSet = t(lang, 'account.notSet');
+      const lines = [
+        t(lang, 'account.title'),
+        '',
+        t(lang, 'account.name', { name: maskName(user.username || user.name) || notSet }),
+        t(lang, 'account.email', { email: maskEmail(user.email) || notSet }),
+        t(lang, 'account.phone', { phone: maskPhone(user.phone) || notSet }),
+        t(lang, 'account.address', { address: maskAddress(formatAddress(user.address || user.default_address)) || notSet }),
+        t(lang, 'account.orders', { count: countError ? userDetails.orders.length : (count || 0) }),
+        '',
+        t(lang, 'account.hint')
+      ];
+    
+      return lines.join('\n');
+    } catch (error) {
+      console.error('[Account] Error showing account info:', error);
+      return t(lang, 'account.error');
+    }
+  }
+
+  // Send a linking code to the account matching the email or phone the user entered
+  async function startAccountLinking(phoneNumber, identifier) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      const result = await accountLinking.startLinking(phoneNumber, identifier);
+    
+      if (result.status === 'invalid_identifier') {
+        return t(lang, 'account.invalidIdentifier');
+      }
+    
+      if (result.status === 'rate_limited') {
+        await clearConversationState(phoneNumber);
+        return t(lang, 'account.rateLimited');
+      }
+    
+      await setConversationState(phoneNumber, CONVERSATION_STATES.AWAITING_LINK_CODE);
+      return t(lang, 'account.codeSent', { length: CODE_LENGTH });
+    } catch (error) {
+      console.error('[Account Link] Error starting account linking:', error);
+      await clearConversationState(phoneNumber);
+      return t(lang, 'account.linkError');
+    }
+  }
+
+  // Check the code the user received and link the account when it matches
+  async function verifyAccountLinkCode(phoneNumber, code) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    if (!new RegExp(`^\\d{${CODE_LENGTH}}$`).test(code)) {
+      return t(lang, 'account.enterCode', { length: CODE_LENGTH });
+    }
+  
+    try {
+      const result = await accountLinking.verifyCode(phoneNumber, code);
+    
+      if (result.status === 'invalid') {
+        return t(lang, 'account.wrongCode', { attemptsLeft: result.attemptsLeft });
+      }
+    
+      await clearConversationState(phoneNumber);
+    
+      if (result.status === 'verified') {
+        return `${t(lang, 'account.linked')}\n\n${await showAccountInfo(phoneNumber)}`;
+      }
+    
+      if (result.status === 'locked') {
+        return t(lang, 'account.locked');
+      }
+    
+      return t(lang, 'account.codeExpired');
+    } catch (error) {
+      console.error('[Account Link] Error verifying code:', error);
+      await clearConversationState(phoneNumber);
+      return t(lang, 'account.linkError');
+    }
+  }
+
+  // Function to track an order
+  async function trackOrder(orderIdInput, phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      console.log(`[Tracking] Raw input: "${orderIdInput}"`);
+    
+      // Clean up the input - remove spaces and extract ID with or without # prefix
+      let cleanedInput = orderIdInput.replace(/\s+/g, '');
+      if (cleanedInput.startsWith('#')) {
+        cleanedInput = cleanedInput.substring(1); // Remove # prefix
+      }
+    
+      // Store both the original ID (could be full UUID) and first part (partial UUID)
+      let originalId = cleanedInput;
+      let partialId = cleanedInput;
+    
+      // If this is a UUID with dashes, extract the first part (before first dash)
+      if (cleanedInput.includes('-')) {
+        partialId = cleanedInput.split('-')[0];
+        console.log(`[Tracking] Full UUID detected, using first part: ${partialId}`);
+      } else {
+        // This is already a partial ID - use as is, but keep it for different query attempts
+        console.log(`[Tracking] Using order ID: ${partialId}`);
+      }
+
+      const formattedPhone = toDatabasePhone(phoneNumber);
+      console.log(`[Tracking] Tracking order for phone: ${formattedPhone}`);
+    
+      try {
+        // First try with the partial ID
+        console.log(`[Tracking] Attempting to find order with partial ID: ${partialId}`);
+        let response;
+      
+        try {
+          // Try with the partial ID first (most common case)
+          response = await analytics.timeUpstream('order_tracking', () => httpClient.get(`${SERVER_URL}/orders/${partialId}/track`, {
+            params: { phone: formattedPhone }
+          }));
+        
+          if (response.data && response.data.order) {
+            console.log(`[Tracking] Found order using partial ID: ${partialId}`);
+          }
+        } catch (partialError) {
+          console.log(`[Tracking] Error tracking with partial ID: ${partialError.message}`);
+        
+          // If partial ID fails and we have a full UUID, try with the full ID
+          if (originalId !== partialId) {
+            console.log(`[Tracking] Attempting to find order with full UUID: ${originalId}`);
+            try {
+              response = await analytics.timeUpstream('order_tracking', () => httpClient.get(`${SERVER_URL}/orders/${originalId}/track`, {
+                params: { phone: formattedPhone }
+              }));
+            
+              if (response.data && response.data.order) {
+                console.log(`[Tracking] Found order using full UUID: ${originalId}`);
+              }
+            } catch (fullError) {
+              console.error(`[Tracking] Error tracking with full UUID: ${fullError.message}`);
+              throw fullError; // Rethrow to be caught by outer catch
+            }
+          } else {
+            throw partialError; // Rethrow if we only had a partial ID to try
+          }
+        }
+      
+        // If we got a response with an order
+        if (response && response.data && response.data.order) {
+          const order = response.data.order;
+          console.log(`[Tracking] Found order: ${order.id || order.order_id}`);
+          analytics.recordOutcome('track_order', 'found');
+
+          return formatOrderTracking(order, partialId, lang);
+        }
+      
+        // If we got here, no order was found
+        analytics.recordOutcome('track_order', 'not_found');
+        return t(lang, 'tracking.notFound', { orderId: partialId });
+      } catch (error) {
+        console.error(`[Tracking] Error tracking order: ${error.message}`);
+        // The server answers 404 for orders that don't exist (or belong to another number)
+        if (error.response && error.response.status === 404) {
+          analytics.recordOutcome('track_order', 'not_found');
+        } else {
+          analytics.recordOutcome('track_order', 'failed', error);
+        }
+        return t(lang, 'tracking.error');
+      }
+    } catch (error) {
+      console.error('[Tracking] Error in trackOrder function:', error);
+      return t(lang, 'tracking.error');
+    }
+  }
+
+  // Helper function to show a tracking status in the user's language
+  function formatTrackingStatus(status, lang) {
+    const key = normalizeTrackingStatus(status);
+    return key ? t(lang, `tracking.statuses.${key}`) : status;
+  }
+
+  // Helper function to show a payment method or status in the user's language ("cod" -> "Cash on delivery")
+  function formatPaymentValue(group, known, value, lang) {
+    const key = String(value).toLowerCase().trim();
+    return known.includes(key) ? t(lang, `tracking.${group}.${key}`) : value;
+  }
+
+  // Helper function to format the tracking reply for an order
+  function formatOrderTracking(order, orderId, lang) {
+    const tracking = describeOrderTracking(order);
+    const totalAmount = order.total_price || order.total_amount || 0;
+    const lines = [t(lang, 'tracking.title', { orderId }), ''];
+
+    lines.push(t(lang, 'tracking.status', {
+      status: tracking.status ? formatTrackingStatus(tracking.status, lang) : t(lang, 'common.processing')
+    }));
+    if (order.created_at) {
+      lines.push(t(lang, 'tracking.date', { date: formatDate(order.created_at, lang) }));
+    }
+    if (tracking.deliveredAt && tracking.statusKey === 'delivered') {
+      lines.push(t(lang, 'tracking.deliveredOn', { date: formatDate(tracking.deliveredAt, lang) }));
+    }
+    if (tracking.estimatedDelivery) {
+      lines.push(t(lang, 'tracking.estimatedDelivery', { date: formatDate(tracking.estimatedDelivery, lang) }));
+    }
+
+    // Cancelled, returned, refunded and out-for-delivery orders get a line on what happens next
+    if (['out_for_delivery', 'cancelled', 'returned', 'refunded'].includes(tracking.statusKey)) {
+      lines.push('', t(lang, `tracking.notes.${tracking.statusKey}`, { amount: tracking.refundAmount || totalAmount }));
+    }
+
+    // Courier details only matter while the parcel is on its way or was just delivered
+    if (tracking.courier && ['shipped', 'out_for_delivery', 'delivered'].includes(tracking.statusKey)) {
+      lines.push('');
+      if (tracking.courier.name) {
+        lines.push(t(lang, 'tracking.courier', { courier: tracking.courier.name }));
+      }
+      if (tracking.courier.trackingNumber) {
+        lines.push(t(lang, 'tracking.trackingNumber', { trackingNumber: tracking.courier.trackingNumber }));
+      }
+      if (tracking.courier.trackingUrl) {
+        lines.push(t(lang, 'tracking.trackingLink', { url: tracking.courier.trackingUrl }));
+      }
+    }
+
+    if (tracking.timeline.length > 0) {
+      lines.push('', t(lang, 'tracking.timeline'));
+      tracking.timeline.forEach(entry => {
+        const status = formatTrackingStatus(entry.status, lang);
+        const date = entry.at ? ` - ${formatDate(entry.at, lang)}` : '';
+        const note = entry.note ? ` (${entry.note})` : '';
+        lines.push(`• ${status}${date}${note}`);
+      });
+    }
+
+    // Include order items if available
+    const items = getOrderItems(order);
+    if (items.length > 0) {
+      lines.push('', t(lang, 'tracking.items'));
+      items.forEach(item => {
+        const itemName = getOrderItemName(item) || t(lang, 'tracking.defaultItemName');
+        const quantity = item.quantity || 1;
+        const price = item.price || 0;
+        lines.push(`• ${quantity}x ${itemName} - ₹${price * quantity}`);
+      });
+    }
+
+    // The address is masked: anyone holding the phone can see this reply
+    const address = maskAddress(formatAddress(tracking.shippingAddress));
+    if (address) {
+      lines.push('', t(lang, 'tracking.address', { address }));
+    }
+
+    // Include payment details
+    lines.push('', t(lang, 'tracking.paymentDetails'));
+    if (tracking.payment.method) {
+      lines.push(t(lang, 'tracking.paymentMethod', { method: formatPaymentValue('paymentMethods', PAYMENT_METHODS, tracking.payment.method, lang) }));
+    }
+    if (tracking.payment.status) {
+      lines.push(t(lang, 'tracking.paymentStatus', { status: formatPaymentValue('paymentStatuses', PAYMENT_STATUSES, tracking.payment.status, lang) }));
+    }
+    lines.push(t(lang, 'tracking.total', { total: totalAmount }));
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Order status notifications sent by the main server when an order changes state
+  app.use('/api/notifications', createNotificationsRouter({
+    supabase,
+    sendWhatsAppMessage,
+    getUserLanguage,
+    consent,
+    proactiveMessagesEnabled,
+    requireApiKey: createApiKeyMiddleware(process.env.NOTIFICATIONS_API_KEY, 'notifications')
+  }));
+
+  // Admin routes to list and retry failed outbound messages
+  app.use('/api/admin/messages', createOutboundMessagesRouter({
+    messageQueue,
+    requireApiKey: createApiKeyMiddleware(process.env.ADMIN_API_KEY, 'admin')
+  }));
+
+  // Agent routes to list, answer and close conversations handed off to a person
+  app.use('/api/agent/conversations', createAgentConversationsRouter({
+    handoff,
+    requireApiKey: createApiKeyMiddleware(process.env.AGENT_API_KEY, 'agent')
+  }));
+
+  // Admin API for reading and exporting conversation transcripts
+  app.use('/api/admin/transcripts', createTranscriptsRouter({
+    transcripts,
+    requireApiKey: createApiKeyMiddleware(process.env.ADMIN_API_KEY, 'admin')
+  }));
+
+  // Admin API for broadcast campaigns: dry-run previews, sending, progress and cancelling
+  app.use('/api/admin/campaigns', createCampaignsRouter({
+    campaigns,
+    proactiveMessagesEnabled,
+    requireApiKey: createApiKeyMiddleware(process.env.ADMIN_API_KEY, 'admin')
+  }));
+
+  // Admin API to look up and record messaging consent and export the audit log
+  app.use('/api/admin/consent', createConsentRouter({
+    consent,
+    requireApiKey: createApiKeyMiddleware(process.env.ADMIN_API_KEY, 'admin')
+  }));
+
+  // Admin API to inspect the intent config and debug which intent a message matches
+  app.use('/api/admin/intents', createIntentsRouter({
+    intentRegistry,
+    requireApiKey: createApiKeyMiddleware(process.env.ADMIN_API_KEY, 'admin')
+  }));
+
+  // Aggregated usage stats: intents, top and zero-result searches, order lookups, upstream latency
+  app.use('/api/analytics', createAnalyticsRouter({
+    analytics,
+    requireApiKey: createApiKeyMiddleware(process.env.ANALYTICS_API_KEY, 'analytics')
+  }));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'ok', message: 'WhatsApp bot server is running' });
+  });
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.send('MediHut WhatsApp Bot Server is running. Send messages to our WhatsApp number to interact!');
+  });
+
+  // Function to send WhatsApp interactive buttons
+  async function sendWhatsAppButtons(to) {
+    // For Twilio sandbox accounts, just use the text-based menu
+    // We'll use a simple numbered list that works in all WhatsApp accounts
+    try {
+      if (!await consent.canSend(to)) {
+        console.log(`[Menu] Not sending menu to ${to}: recipient opted out`);
+        return false;
+      }
+    
+      console.log(`[Menu] Sending menu via ${outboundChannel.name}`);
+    
+      const lang = await getUserLanguage(to);
+      const sent = await sendWhatsAppMessage(to, t(lang, 'menu.buttons', { options: formatMenuOptions(lang) }));
+    
+      if (sent) {
+        console.log(`Menu sent to ${to}`);
+      }
+      return sent;
+    } catch (error) {
+      console.error('Error sending menu message:', error.message);
+      return false;
+    }
+  }
+
+  // Test connectivity to main server when the bot starts
+  async function testApiConnectivity() {
+    let medicinesEndpointWorking = false;
+    let productsEndpointWorking = false;
+  
+    try {
+      console.log(`Testing connectivity to server at ${SERVER_URL}...`);
+    
+      // Test medicines endpoint
+      try {
+        console.log(`Testing medicines search endpoint...`);
+        // Try using the direct controller first
+        if (typeof searchMedicinesAPI === 'function') {
+          const testQuery = 'paracetamol';
+          const medicineResponse = await searchMedicinesAPI(testQuery, 5);
+        
+          if (Array.isArray(medicineResponse)) {
+            console.log(`✅ Successfully connected to medicines API via controller! Found ${medicineResponse.length} medicines.`);
+            medicinesEndpointWorking = true;
+          } else if (medicineResponse && medicineResponse.medicines) {
+            console.log(`✅ Successfully connected to medicines API! Found ${medicineResponse.medicines.length} medicines.`);
+            medicinesEndpointWorking = true;
+          } else {
+            console.log('❌ Connected to medicines API but received unexpected response format:', medicineResponse);
+          }
+        } else {
+          console.log('⚠️ searchMedicinesAPI is not a function, falling back to direct API test');
+          const medicineResponse = await httpClient.get(`${SERVER_URL}/api/medicines/search`, {
+            params: { query: 'paracetamol', limit: 5 }
+          });
+        
+          if (medicineResponse.data && medicineResponse.data.medicines) {
+            console.log(`✅ Successfully connected to medicines API! Found ${medicineResponse.data.medicines.length} medicines.`);
+            medicinesEndpointWorking = true;
+          } else {
+            console.log('❌ Connected to medicines API but received unexpected response format:', medicineResponse.data);
+          }
+        }
+      } catch (medicineError) {
+        console.error('❌ Failed to connect to medicines API:', medicineError.message);
+      }
+    
+      // Test products endpoint
+      try {
+        console.log(`Testing products search endpoint...`);
+        // Try using the direct controller first
+        if (typeof searchProductsAPI === 'function') {
+          const testQuery = 'cream';
+          const productResponse = await searchProductsAPI(testQuery, 5);
+        
+          if (Array.isArray(productResponse)) {
+            console.log(`✅ Successfully connected to products API via controller! Found ${productResponse.length} products.`);
+            productsEndpointWorking = true;
+          } else if (productResponse && productResponse.products) {
+            console.log(`✅ Successfully connected to products API! Found ${productResponse.products.length} products.`);
+            productsEndpointWorking = true;
+          } else {
+            console.log('❌ Connected to products API but received unexpected response format:', productResponse);
+          }
+        } else {
+          console.log('⚠️ searchProductsAPI is not a function, falling back to direct API test');
+          const productResponse = await httpClient.get(`${SERVER_URL}/api/products/search`, {
+            params: { query: 'cream', limit: 5 }
+          });
+        
+          if (productResponse.data && productResponse.data.products) {
+            console.log(`✅ Successfully connected to products API! Found ${productResponse.data.products.length} products.`);
+            productsEndpointWorking = true;
+          } else {
+            console.log('❌ Connected to products API but received unexpected response format:', productResponse.data);
+          }
+        }
+      } catch (productError) {
+        console.error('❌ Failed to connect to products API:', productError.message);
+      }
+    
+      // Overall status
+      if (medicinesEndpointWorking && productsEndpointWorking) {
+        console.log('✅ All API endpoints are working correctly!');
+        return true;
+      } else if (!medicinesEndpointWorking && !productsEndpointWorking) {
+        console.log('❌ Both API endpoints failed. Please check server connections and configuration.');
+        return false;
+      } else {
+        console.log('⚠️ Some API endpoints are working, but not all. Search functionality may be limited.');
+        return true;
+      }
+    } catch (error) {
+      console.error('❌ General error testing API connectivity:', error.message);
+      console.error('Error details:', error.response ? error.response.data : 'No response data');
+      console.log('Please make sure the main server is running and the SERVER_URL is correct.');
+      return false;
+    }
+  }
+
+  // Function to get recent orders for a user
+  async function fetchRecentOrders(phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      console.log(`[Orders] Fetching recent orders for phone: ${phoneNumber}`);
+    
+      const formattedPhone = toDatabasePhone(phoneNumber);
+      console.log(`[Orders] Using formatted phone: ${formattedPhone}`);
+    
+      try {
+        // Make API request with clear error handling
+        console.log(`[Orders] Making API request to: ${SERVER_URL}/orders/history-by-phone?phone=${formattedPhone}`);
+      
+        const response = await analytics.timeUpstream('order_history', () => httpClient.get(`${SERVER_URL}/orders/history-by-phone`, {
+          params: { phone: formattedPhone },
+          timeout: 8000 // Set a reasonable timeout
+        }));
+      
+        // Check if we have any orders
+        if (!response.data || !response.data.orders || response.data.orders.length === 0) {
+          console.log('[Orders] No orders found for this user');
+          analytics.recordOutcome('recent_orders', 'none');
+          return t(lang, 'orders.none');
+        }
+      
+        const orders = response.data.orders;
+        console.log(`[Orders] Found ${orders.length} orders for user`);
+        analytics.recordOutcome('recent_orders', 'found');
+      
+        // Format the response with order details
+        let formattedResponse = `${t(lang, 'orders.title')}\n\n`;
+      
+        // Show up to 3 orders
+        orders.slice(0, 3).forEach((order, index) => {
+          // Format the date
+          const orderDate = order.created_at ? formatDate(order.created_at, lang) : t(lang, 'common.unknownDate');
+        
+          formattedResponse += `${t(lang, 'orders.orderTitle', { orderId: order.id || order.order_id })}\n`;
+          formattedResponse += `${t(lang, 'orders.date', { date: orderDate })}\n`;
+          formattedResponse += `${t(lang, 'orders.status', { status: order.status || t(lang, 'common.processing') })}\n`;
+        
+          // Include items if available
+          if (order.items && Array.isArray(order.items) && order.items.length > 0) {
+            formattedResponse += `\n${t(lang, 'orders.items')}\n`;
+          
+            // Show up to 5 items
+            order.items.slice(0, 5).forEach(item => {
+              const itemName = item.name || t(lang, 'orders.unknownProduct');
+              const quantity = item.quantity || 1;
+              const price = item.price || 0;
+            
+              formattedResponse += `• ${quantity}x ${itemName} - ₹${(price * quantity).toFixed(2)}\n`;
+            });
+          
+            // Show count of additional items
+            if (order.items.length > 5) {
+              formattedResponse += `${t(lang, 'orders.moreItems', { count: order.items.length - 5 })}\n`;
+            }
+          }
+        
+          // Show total amount
+          const totalAmount = order.total_price || order.total_amount || 0;
+          formattedResponse += `\n${t(lang, 'orders.total', { total: totalAmount })}\n`;
+        
+          // Add tracking info
+          formattedResponse += `\n${t(lang, 'orders.trackHint', { orderId: order.id || order.order_id })}\n`;
+        
+          // Add separator between orders
+          if (index < Math.min(orders.length, 3) - 1) {
+            formattedResponse += `\n${'─'.repeat(20)}\n\n`;
+          }
+        });
+      
+        return formattedResponse;
+      
+      } catch (error) {
+        console.error(`[Orders] API error: ${error.message}`);
+        analytics.recordOutcome('recent_orders', 'server_failed', error);
+      
+        // Try alternative method - get user details first
+        try {
+          console.log(`[Orders] Trying alternative method to get user orders...`);
+        
+          // Get user details from database
+          const { data: userData, error: userError } = await supabase
+            .from("users")
+            .select("id, phone, username")
+            .in("phone", getLookupCandidates(phoneNumber))
+            .limit(1)
+            .maybeSingle();
+          
+          if (userError || !userData) {
+            console.error(`[Orders] No user found: ${userError?.message || 'User not found'}`);
+            return t(lang, 'orders.noneForNumber');
+          }
+        
+          console.log(`[Orders] Found user: ${userData.username || userData.id}`);
+        
+          // Now get their orders
+          const { data: orders, error: ordersError } = await supabase
+            .from("orders")
+            .select("*")
+            .eq("user_id", userData.id)
+            .order("created_at", { ascending: false })
+            .limit(5);
+          
+          if (ordersError || !orders || orders.length === 0) {
+            console.error(`[Orders] No orders found: ${ordersError?.message || 'No orders'}`);
+            return t(lang, 'orders.noneForUser', { name: userData.username || t(lang, 'orders.there') });
+          }
+        
+          console.log(`[Orders] Found ${orders.length} orders directly from database`);
+        
+          // Format the response
+          let formattedResponse = `${t(lang, 'orders.title')}\n\n`;
+        
+          // Show up to 3 orders
+          orders.slice(0, 3).forEach((order, index) => {
+            const orderDate = order.created_at ? formatDate(order.created_at, lang) : t(lang, 'common.unknownDate');
+          
+            formattedResponse += `${t(lang, 'orders.orderTitle', { orderId: order.id })}\n`;
+            formattedResponse += `${t(lang, 'orders.date', { date: orderDate })}\n`;
+            formattedResponse += `${t(lang, 'orders.status', { status: order.status || t(lang, 'common.processing') })}\n`;
+            formattedResponse += `${t(lang, 'orders.total', { total: order.total_price || order.total_amount || 0 })}\n`;
+          
+            // Add separator between orders
+            if (index < Math.min(orders.length, 3) - 1) {
+              formattedResponse += `\n${'─'.repeat(20)}\n\n`;
+            }
+          });
+        
+          return formattedResponse;
+        } catch (directError) {
+          console.error(`[Orders] Direct database access failed: ${directError.message}`);
+          return t(lang, 'orders.fetchError');
+        }
+      }
+    } catch (error) {
+      console.error(`[Orders] Unexpected error: ${error.message}`);
+      return t(lang, 'orders.error');
+    }
+  }
+
+  // Function to handle prescription uploads
+  // Every attachment is downloaded through the channel it arrived on, checked and stored in
+  // Supabase Storage, and all of them are saved as the pages of one prescription.
+  async function handlePrescriptionUpload(fromNumber, media, caption, channel) {
+    const lang = await getUserLanguage(fromNumber);
+    const phone = toDatabasePhone(fromNumber);
+    const prescriptionId = uuidv4();
+    const maxMb = Math.round(prescriptionMedia.maxBytes / (1024 * 1024));
+  
+    let stored;
+    try {
+      console.log(`Handling prescription upload from ${fromNumber} with ${media.length} attachment(s)`);
+    
+      stored = await prescriptionMedia.saveAttachments({
+        phone,
+        prescriptionId,
+        attachments: media,
+        download: (url, options) => channel.downloadMedia(url, options)
+      });
+    } catch (error) {
+      console.error('Error storing prescription media:', error);
+      return t(lang, 'prescription.error');
+    }
+  
+    const { pages, rejected } = stored;
+    if (pages.length === 0) {
+      // Only blame the file type when that is why nothing could be used
+      return rejected.some(item => item.reason !== 'download')
+        ? t(lang, 'prescription.unsupported', { maxMb })
+        : t(lang, 'prescription.error');
+    }
+  
+    const skippedNote = rejected.length > 0
+      ? `\n\n${t(lang, 'prescription.skipped', { count: rejected.length, maxMb })}`
+      : '';
+    const files = pages.map(({ path, contentType, size }) => ({ path, contentType, size }));
+  
+    try {
+      // Use the server's upload endpoint to process the prescription
+      const response = await httpClient.post(`${SERVER_URL}/upload/upload-prescription`, {
+        phone,
+        prescriptionId,
+        bucket: prescriptionMedia.bucket,
+        files,
+        mediaUrl: files[0].path,
+        caption: caption || 'Prescription uploaded via WhatsApp'
+      });
+    
+      if (response.data && response.data.success) {
+        console.log('Prescription upload successful:', response.data);
+      
+        // Extract the prescription ID or reference number if available
+        const referenceId = response.data.prescriptionId || response.data.referenceNumber || prescriptionId;
+      
+        return t(lang, 'prescription.received', { referenceId }) + skippedNote;
+      } else {
+        console.error('Prescription upload failed:', response.data);
+        return t(lang, 'prescription.error');
+      }
+    } catch (error) {
+      console.error('Error handling prescription upload:', error.message);
+    
+      // Fallback to direct handling if server API fails
+      try {
+        // Store the prescription details in Supabase as a fallback
+        const { data, error: uploadError } = await supabase
+          .from('prescriptions')
+          .insert([
+            {
+              id: prescriptionId,
+              user_phone: phone,
+              media_url: files[0].path,
+              media_paths: files.map(file => file.path),
+              page_count: files.length,
+              caption: caption || 'Prescription uploaded via WhatsApp',
+              status: 'pending',
+              created_at: new Date()
+            }
+          ])
+          .select();
+      
+        if (uploadError) {
+          console.error('Supabase upload error:', uploadError);
+          return t(lang, 'prescription.error');
+        }
+      
+        const referenceId = data && data[0] ? data[0].id : prescriptionId;
+      
+        return t(lang, 'prescription.received', { referenceId }) + skippedNote;
+      } catch (fallbackError) {
+        console.error('Fallback upload error:', fallbackError);
+        return t(lang, 'prescription.error');
+      }
+    }
+  }
+
+  // Helper function to show a prescription status in the user's language
+  function formatPrescriptionStatus(status, lang) {
+    return PRESCRIPTION_STATUSES.includes(status) ? t(lang, `prescription.statuses.${status}`) : status;
+  }
+
+  // Function to show the review status of one prescription
+  async function checkPrescriptionStatus(reference, phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      console.log(`[Prescriptions] Checking prescription ${reference} for ${phoneNumber}`);
+      const prescription = await prescriptions.getPrescription(reference, phoneNumber);
+    
+      if (!prescription) {
+        return t(lang, 'prescription.notFound', { referenceId: reference });
+      }
+    
+      let response = `${t(lang, 'prescription.title', { referenceId: prescription.id })}\n\n`;
+      response += `${t(lang, 'prescription.status', { status: formatPrescriptionStatus(prescription.status, lang) })}\n`;
+    
+      if (prescription.createdAt) {
+        response += `${t(lang, 'prescription.uploaded', { date: formatDate(prescription.createdAt, lang) })}\n`;
+      }
+    
+      if (prescription.notes) {
+        response += `\n${t(lang, 'prescription.notes', { notes: prescription.notes })}\n`;
+      }
+    
+      if (prescription.medicines.length > 0) {
+        response += `\n${t(lang, 'prescription.approvedMedicines')}\n`;
+        prescription.medicines.forEach(medicine => {
+          response += `• ${medicine.quantity ? `${medicine.quantity}x ` : ''}${medicine.name}`;
+          response += medicine.dosage ? ` (${medicine.dosage})\n` : '\n';
+        });
+      } else if (['pending', 'in_review'].includes(prescription.status)) {
+        response += `\n${t(lang, 'prescription.pendingHint')}\n`;
+      }
+    
+      return response.trim();
+    } catch (error) {
+      console.error('[Prescriptions] Error checking prescription status:', error);
+      return t(lang, 'prescription.statusError');
+    }
+  }
+
+  // Function to list the prescriptions a user has uploaded
+  async function listUserPrescriptions(phoneNumber) {
+    const lang = await getUserLanguage(phoneNumber);
+  
+    try {
+      const userPrescriptions = await prescriptions.listPrescriptions(phoneNumber);
+      if (userPrescriptions.length === 0) {
+        return t(lang, 'prescription.none');
+      }
+    
+      let response = `${t(lang, 'prescription.listTitle')}\n\n`;
+      userPrescriptions.forEach((prescription, index) => {
+        const date = prescription.createdAt ? formatDate(prescription.createdAt, lang) : t(lang, 'common.unknownDate');
+        response += `${index + 1}. #${prescription.id} - ${formatPrescriptionStatus(prescription.status, lang)} (${date})\n`;
+      });
+    
+      response += `\n${t(lang, 'prescription.listHint')}`;
+      return response;
+    } catch (error) {
+      console.error('[Prescriptions] Error listing prescriptions:', error);
+      return t(lang, 'prescription.statusError');
+    }
+  }
+
+  let server = null;
+
+  // Start the server and the background jobs
+  function start(port) {
+    server = app.listen(port, '0.0.0.0', async () => {
+      console.log(`WhatsApp bot server running on port ${port}`);
+      console.log(`WEBHOOK URL: ${process.env.NGROK_URL}/api/webhook`);
+      console.log(`Set this in Twilio WhatsApp Sandbox settings.`);
+      console.log(`Twilio Phone: ${process.env.TWILIO_PHONE_NUMBER}`);
+      console.log(`Base server URL: ${SERVER_URL}`);
+      console.log(`Enhanced search functionality: ${searchMedicinesAPI && searchProductsAPI ? 'Enabled' : 'Disabled'}`);
+    
+      // Test Twilio connection
+      try {
+        const testMessage = await twilioClient.messages.list({limit: 1});
+        console.log(`✅ Successfully connected to Twilio! Account is working.`);
+      } catch (error) {
+        console.error(`❌ Error connecting to Twilio:`, error.message);
+        console.log(`Check your Twilio credentials in .env file.`);
+      }
+
+      // Test API connectivity
+      await testApiConnectivity();
+    
+      // Retry queued outbound messages in the background
+      messageQueue.start();
+    
+      // Close support tickets nobody has written on for a while
+      handoff.start();
+    
+      // Purge transcripts older than the retention period
+      transcripts.start();
+    
+      // Save usage stats periodically
+      analytics.start();
+    
+      if (proactiveMessagesEnabled) {
+        // Send refill reminders as they come due
+        refillReminders.start();
+
+        // Continue campaigns that were still sending when the bot stopped
+        campaigns.resumeRunning();
+      }
+    
+      // Build the "did you mean" name index in the background
+      fuzzyIndex.start();
+    });
+    return server;
+  }
+
+  // Stop the background jobs and the server
+  function stop() {
+    messageQueue.stop();
+    handoff.stop();
+    transcripts.stop();
+    refillReminders.stop();
+    fuzzyIndex.stop();
+    analytics.stop();
+    if (server) {
+      server.close();
+      server = null;
+    }
+  }
+
+  return {
+    app,
+    start,
+    stop,
+    handleIncomingMessage
+  };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,7 @@
+const { createTwilioChannel } = require('./twilio');
+const { createMetaChannel } = require('./meta');
+
+module.exports = {
+  createTwilioChannel,
+  createMetaChannel
+};
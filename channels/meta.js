@@ -0,0 +1,182 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { toE164, toWhatsAppAddress } = require('../services/phone-number');
+
+// Meta WhatsApp Cloud API channel: JSON webhooks in, Graph API sends out
+function createMetaChannel({ accessToken, phoneNumberId, verifyToken, appSecret, apiVersion = 'v19.0' }) {
+  const graphUrl = `https://graph.facebook.com/${apiVersion}`;
+  const authHeaders = () => ({ Authorization: `Bearer ${accessToken}` });
+
+  // Look up the download URL for a media ID (the URL itself needs the access token)
+  async function getMediaUrl(mediaId) {
+    try {
+      const response = await axios.get(`${graphUrl}/${mediaId}`, { headers: authHeaders() });
+      return response.data.url;
+    } catch (error) {
+      console.error(`[Meta] Error fetching media URL for ${mediaId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  return {
+    name: 'meta',
+
+    // GET handshake Meta performs when the webhook is configured
+    verifyWebhook(req, res) {
+      const mode = req.query['hub.mode'];
+      const token = req.query['hub.verify_token'];
+      const challenge = req.query['hub.challenge'];
+
+      if (mode === 'subscribe' && verifyToken && token === verifyToken) {
+        console.log('[Meta] Webhook verified');
+        return res.status(200).send(challenge);
+      }
+
+      console.warn('[Meta] Webhook verification failed');
+      return res.sendStatus(403);
+    },
+
+    // Middleware that rejects requests without a valid X-Hub-Signature-256 header.
+    // Without META_APP_SECRET nothing can be verified, so every request is rejected.
+    verifyRequest(req, res, next) {
+      if (!appSecret) {
+        console.error('[Meta] Cannot verify request: META_APP_SECRET is missing');
+        return res.sendStatus(403);
+      }
+
+      const signature = req.get('X-Hub-Signature-256') || '';
+      const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody || '').digest('hex')}`;
+
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        console.warn('[Meta] Rejected request with invalid signature');
+        return res.sendStatus(403);
+      }
+
+      next();
+    },
+
+    // Normalize a Cloud API webhook payload into a list of inbound messages
+    async parseInbound(req) {
+      const messages = [];
+      const entries = (req.body && req.body.entry) || [];
+
+      for (const entry of entries) {
+        for (const change of entry.changes || []) {
+          // Status updates (sent/delivered/read) arrive on the same webhook without messages
+          for (const message of (change.value && change.value.messages) || []) {
+            let body = '';
+            const media = [];
+
+            if (message.type === 'text') {
+              body = message.text.body;
+            } else if (message.type === 'interactive') {
+              const reply = message.interactive.button_reply || message.interactive.list_reply || {};
+              body = reply.title || reply.id || '';
+            } else if (message.type === 'button') {
+              body = message.button.text || message.button.payload || '';
+            } else if (['image', 'document'].includes(message.type)) {
+              const attachment = message[message.type];
+              body = attachment.caption || '';
+              media.push({
+                id: attachment.id,
+                url: await getMediaUrl(attachment.id),
+                contentType: attachment.mime_type || ''
+              });
+            }
+
+            messages.push({
+              channel: 'meta',
+              // Use the same address format as Twilio so processMessage doesn't care
+              from: toWhatsAppAddress(`+${message.from}`),
+              body: body.trim(),
+              media,
+              messageId: message.id
+            });
+          }
+        }
+      }
+
+      return messages;
+    },
+
+    // Delivery status updates (sent/delivered/read/failed) for messages we sent
+    parseStatusUpdates(req) {
+      const updates = [];
+      const entries = (req.body && req.body.entry) || [];
+
+      for (const entry of entries) {
+        for (const change of entry.changes || []) {
+          for (const status of (change.value && change.value.statuses) || []) {
+            updates.push({
+              messageId: status.id,
+              status: status.status,
+              errorCode: status.errors && status.errors[0] ? status.errors[0].code : null
+            });
+          }
+        }
+      }
+
+      return updates;
+    },
+
+    // Meta retries deliveries that aren't acknowledged quickly, so the webhook handler
+    // acknowledges before handling the messages
+    acknowledgeFirst: true,
+
+    // Cloud API doesn't support inline replies: acknowledge (unless already done), then send each reply
+    async respond(req, res, replies) {
+      if (!res.headersSent) {
+        res.sendStatus(200);
+      }
+
+      for (const reply of replies) {
+        try {
+          await this.sendMessage(reply.to, reply.body);
+        } catch (error) {
+          console.error(`[Meta] Error sending reply to ${reply.to}: ${error.message}`);
+        }
+      }
+    },
+
+    // Download an inbound media file from the URL returned for its media ID
+    async downloadMedia(url, { maxBytes } = {}) {
+      if (!url) {
+        throw new Error('Media URL is not available');
+      }
+
+      const response = await axios.get(url, {
+        headers: authHeaders(),
+        responseType: 'arraybuffer',
+        timeout: 20000,
+        ...(maxBytes && { maxContentLength: maxBytes })
+      });
+      return { data: Buffer.from(response.data), contentType: response.headers['content-type'] || '' };
+    },
+
+    // Send a text message through the Graph API
+    async sendMessage(to, body) {
+      if (!accessToken || !phoneNumberId) {
+        throw new Error('Meta WhatsApp Cloud API is not configured');
+      }
+
+      const recipient = toE164(to);
+      if (!recipient) {
+        throw new Error(`Invalid WhatsApp number: ${to}`);
+      }
+
+      const response = await axios.post(`${graphUrl}/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        // The Graph API takes the number without the leading "+"
+        to: recipient.slice(1),
+        type: 'text',
+        text: { body }
+      }, { headers: authHeaders() });
+
+      const sent = response.data.messages && response.data.messages[0];
+      return { id: sent ? sent.id : null };
+    }
+  };
+}
+
+module.exports = { createMetaChannel };
@@ -0,0 +1,79 @@
+const axios = require('axios');
+const twilio = require('twilio');
+const MessagingResponse = twilio.twiml.MessagingResponse;
+const { toWhatsAppAddress } = require('../services/phone-number');
+
+// Twilio WhatsApp channel: form-encoded webhooks in, TwiML replies out
+// statusCallback is the URL Twilio posts delivery updates (sent/delivered/read/failed) to
+// accountSid/authToken are needed to download media, which Twilio only serves to the account
+function createTwilioChannel({ client, phoneNumber, statusCallback, accountSid, authToken }) {
+  return {
+    name: 'twilio',
+
+    // Normalize a Twilio webhook request into a list of inbound messages
+    async parseInbound(req) {
+      const body = req.body || {};
+      const numMedia = parseInt(body.NumMedia) || 0;
+      const media = [];
+
+      // Collect all media URLs and types
+      for (let i = 0; i < numMedia; i++) {
+        media.push({
+          url: body[`MediaUrl${i}`],
+          contentType: body[`MediaContentType${i}`] || ''
+        });
+      }
+
+      return [{
+        channel: 'twilio',
+        from: body.From || '',
+        body: body.Body ? body.Body.trim() : '',
+        media,
+        messageId: body.MessageSid || null
+      }];
+    },
+
+    // Reply inline with TwiML
+    async respond(req, res, replies) {
+      const twiml = new MessagingResponse();
+      replies.forEach(reply => twiml.message(reply.body));
+
+      console.log('TwiML response:', twiml.toString());
+      res.writeHead(200, { 'Content-Type': 'text/xml' });
+      res.end(twiml.toString());
+    },
+
+    // Download an inbound media file with the account credentials
+    async downloadMedia(url, { maxBytes } = {}) {
+      const response = await axios.get(url, {
+        auth: { username: accountSid, password: authToken },
+        responseType: 'arraybuffer',
+        timeout: 20000,
+        ...(maxBytes && { maxContentLength: maxBytes })
+      });
+      return { data: Buffer.from(response.data), contentType: response.headers['content-type'] || '' };
+    },
+
+    // Send a message outside of a webhook reply
+    async sendMessage(to, body) {
+      if (!client) {
+        throw new Error('Twilio client is not initialized');
+      }
+
+      const recipient = toWhatsAppAddress(to);
+      if (!recipient) {
+        throw new Error(`Invalid WhatsApp number: ${to}`);
+      }
+
+      const message = await client.messages.create({
+        from: toWhatsAppAddress(phoneNumber),
+        to: recipient,
+        body,
+        ...(statusCallback && { statusCallback })
+      });
+      return { id: message.sid };
+    }
+  };
+}
+
+module.exports = { createTwilioChannel };
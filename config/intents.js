@@ -0,0 +1,161 @@
+// Main menu and the intents free-text messages are matched against.
+// See services/intent-registry.js for how triggers are scored. Every intent needs a handler
+// in app.js and a label under intents.labels in each locale (used when the bot has to ask
+// which intent was meant).
+//
+// Intent fields:
+//   phrases        - the whole message is one of these
+//   keywords       - the message contains one of these as whole words
+//   patterns       - regexes tested against the whole message, optionally { pattern, score }
+//   entities       - entities (see services/entities.js) whose presence triggers the intent,
+//                    optionally { name, score }
+//   priority       - breaks ties between intents with the same score
+//   states         - conversation states the intent is limited to ('none' = not in a flow)
+//   excludeStates  - conversation states the intent never matches in
+//   interruptsFlow - handled even when the user is in the middle of a multi-turn flow
+
+module.exports = {
+  menu: {
+    // label is a message key; entries are shown in this order
+    entries: [
+      { option: 1, intent: 'search_prompt', label: 'menu.options.search' },
+      { option: 2, intent: 'track_prompt', label: 'menu.options.track' },
+      { option: 3, intent: 'recent_orders', label: 'menu.options.recentOrders' },
+      { option: 4, intent: 'prescription_help', label: 'menu.options.prescriptionHelp' },
+      { option: 5, intent: 'support', label: 'menu.options.support' },
+      { option: 6, intent: 'account_info', label: 'menu.options.account' }
+    ],
+    // Numbers pick from these flows' own numbered lists instead of the menu
+    excludeStates: ['awaiting_suggestion', 'awaiting_language', 'awaiting_intent_choice']
+  },
+
+  intents: [
+    {
+      name: 'cancel',
+      phrases: ['cancel'],
+      priority: 100,
+      interruptsFlow: true
+    },
+    {
+      name: 'greeting',
+      phrases: ['hi', 'hey', 'hello', 'hola', 'hy', 'start', 'menu', 'help', 'namaste', 'नमस्ते', 'नमस्कार'],
+      priority: 90,
+      interruptsFlow: true
+    },
+    {
+      // "language" shows the options, "language hindi" switches directly
+      name: 'change_language',
+      patterns: [/^(?:language|lang|भाषा)(?:\s+(.+))?$/i],
+      priority: 80,
+      interruptsFlow: true
+    },
+    {
+      name: 'search_navigation',
+      phrases: ['more', 'next', 'prev', 'previous', 'back'],
+      patterns: [/^page\s+\d+$/i],
+      priority: 60
+    },
+    {
+      name: 'cart',
+      phrases: ['cart', 'my cart', 'view cart', 'clear cart', 'empty cart', 'checkout'],
+      patterns: [/^add\s+\d+(?:\s*[x*]\s*\d+)?$/i, /^remove(?:\s+\d+)?$/i],
+      priority: 60
+    },
+    {
+      // References always contain a digit, so "prescription help" isn't taken for one
+      name: 'prescription_status',
+      patterns: [/^(?:check\s+)?prescription(?:\s+status)?\s+#?((?=[A-Za-z-]*\d)[A-Za-z0-9-]+)$/i],
+      priority: 55
+    },
+    {
+      name: 'prescription_list',
+      phrases: ['my prescriptions', 'prescriptions', 'check prescription', 'prescription status'],
+      priority: 50
+    },
+    {
+      name: 'prescription_help',
+      phrases: ['prescription help', 'upload prescription'],
+      priority: 50
+    },
+    {
+      name: 'agent_handoff',
+      phrases: ['talk to agent', 'agent', 'human', 'talk to human', 'talk to a person', 'customer care', 'live chat'],
+      priority: 50
+    },
+    {
+      name: 'support',
+      phrases: ['support', 'customer support', 'contact support', 'contact us'],
+      priority: 40
+    },
+    {
+      name: 'refill_reminder',
+      phrases: ['reminders', 'my reminders', 'refill reminders', 'refill', 'reorder'],
+      patterns: [
+        /^remind me\b/i,
+        /^set reminder\s+\d+$/i,
+        /^(?:pause|resume|delete|remove)\s+reminder\s+\d+$/i
+      ],
+      priority: 50
+    },
+    {
+      // "cancel #c0ffee12" / "reorder #c0ffee12". Scored above track_order, which the ID alone
+      // would trigger. The bare phrases explain how to use the commands.
+      name: 'cancel_order',
+      phrases: ['cancel order', 'cancel my order'],
+      patterns: [{ pattern: /^cancel\s+(?:my\s+)?(?:order\s+)?#?((?=[A-Za-z-]*\d)[A-Za-z0-9-]{6,36})$/i, score: 1 }],
+      priority: 60
+    },
+    {
+      name: 'reorder',
+      phrases: ['repeat order', 'repeat my order', 'order again'],
+      patterns: [{ pattern: /^(?:reorder|re-order|repeat|order again)\s+(?:my\s+)?(?:order\s+)?#?((?=[A-Za-z-]*\d)[A-Za-z0-9-]{6,36})$/i, score: 1 }],
+      priority: 60
+    },
+    {
+      name: 'track_prompt',
+      phrases: ['track', 'track order', 'track my order', 'order status'],
+      keywords: ['track order', 'track my order', 'order status'],
+      priority: 40
+    },
+    {
+      name: 'recent_orders',
+      phrases: ['recent', 'recent orders', 'my orders', 'orders', 'order history'],
+      keywords: ['my order', 'my orders', 'order history'],
+      priority: 40
+    },
+    {
+      name: 'account_info',
+      phrases: ['account', 'my account', 'account info', 'profile'],
+      priority: 40
+    },
+    {
+      // An order ID on its own. IDs are the first part of the order's UUID, so a bare word is
+      // only a sure match when it is 8 hex characters with a digit; other words with digits
+      // (e.g. "dolo650") may be medicine names and are left close enough to search to ask.
+      name: 'track_order',
+      patterns: [
+        { pattern: /^#?[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i, score: 1 },
+        { pattern: /^#[A-Za-z0-9]{6,12}$/, score: 1 },
+        { pattern: /^(?=[a-f]*\d)[a-f0-9]{8}$/i, score: 0.9 },
+        { pattern: /^(?=[A-Za-z]*\d)(?=\d*[A-Za-z])[A-Za-z0-9]{6,12}$/, score: 0.6 }
+      ],
+      // An ID in a sentence about an order ("where is my order A12C1234?") or written as #id
+      entities: [{ name: 'orderIds', score: 0.95 }],
+      priority: 30
+    },
+    {
+      name: 'search_prompt',
+      phrases: ['search', 'medicines', 'medicine', 'products'],
+      priority: 30
+    }
+  ],
+
+  // Anything else is searched for in the catalog
+  fallback: { intent: 'search', score: 0.5 },
+
+  // Matches within clarifyMargin of the best one (and scoring at least minScore) are too close
+  // to call, so the bot asks which was meant, offering at most maxChoices of them
+  minScore: 0.5,
+  clarifyMargin: 0.15,
+  maxChoices: 3
+};
@@ -0,0 +1,129 @@
+// Message catalog lookup with interpolation and language fallbacks
+
+const locales = {
+  en: require('./locales/en'),
+  hi: require('./locales/hi')
+};
+
+// Languages users can pick, in the order they are offered
+const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English', aliases: ['english', 'eng'] },
+  { code: 'hi', name: 'हिन्दी (Hindi)', aliases: ['hindi', 'हिन्दी', 'हिंदी'] }
+];
+
+const BASE_LANGUAGE = 'en';
+
+// Regional languages that read Hindi more easily than English
+const LANGUAGE_FALLBACKS = {
+  mr: ['hi'],
+  ne: ['hi'],
+  bho: ['hi'],
+  mai: ['hi']
+};
+
+// Unicode script ranges used to guess a language from the first message
+const SCRIPT_LANGUAGES = [
+  { pattern: /[\u0900-\u097F]/, language: 'hi' },
+  { pattern: /[\u0980-\u09FF]/, language: 'bn' },
+  { pattern: /[\u0A00-\u0A7F]/, language: 'pa' },
+  { pattern: /[\u0A80-\u0AFF]/, language: 'gu' },
+  { pattern: /[\u0B80-\u0BFF]/, language: 'ta' },
+  { pattern: /[\u0C00-\u0C7F]/, language: 'te' },
+  { pattern: /[\u0C80-\u0CFF]/, language: 'kn' },
+  { pattern: /[\u0D00-\u0D7F]/, language: 'ml' }
+];
+
+// Date formatting locale for each supported language
+const DATE_LOCALES = {
+  en: 'en-IN',
+  hi: 'hi-IN'
+};
+
+function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(locales, language);
+}
+
+// Languages to try, in order: "hi-IN" -> ["hi", "en"], "mr" -> ["hi", "en"]
+function getFallbackChain(language, defaultLanguage = BASE_LANGUAGE) {
+  const chain = [];
+  if (language) {
+    const base = language.toLowerCase().split(/[-_]/)[0];
+    chain.push(language.toLowerCase(), base, ...(LANGUAGE_FALLBACKS[base] || []));
+  }
+  chain.push(defaultLanguage, BASE_LANGUAGE);
+
+  return [...new Set(chain)].filter(isSupportedLanguage);
+}
+
+// First supported language in the fallback chain
+function resolveLanguage(language, defaultLanguage) {
+  return getFallbackChain(language, defaultLanguage)[0];
+}
+
+// Guess the language from the script a message is written in. Returns null for Latin text.
+function detectLanguage(text) {
+  if (!text) {
+    return null;
+  }
+  const match = SCRIPT_LANGUAGES.find(entry => entry.pattern.test(text));
+  return match ? match.language : null;
+}
+
+// Find a supported language by code, English name or native name ("hi", "hindi", "हिन्दी")
+function findLanguage(input) {
+  const value = String(input || '').toLowerCase().trim();
+  return SUPPORTED_LANGUAGES.find(language =>
+    language.code === value || language.aliases.includes(value)
+  ) || null;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalog);
+}
+
+// Translate a key like "search.noResults", filling {placeholders} from params
+function t(language, key, params = {}) {
+  let message;
+  for (const candidate of getFallbackChain(language)) {
+    message = lookup(locales[candidate], key);
+    if (typeof message === 'string') {
+      break;
+    }
+  }
+
+  if (typeof message !== 'string') {
+    console.warn(`[i18n] Missing message for key: ${key}`);
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+  );
+}
+
+function formatDate(date, language) {
+  return new Date(date).toLocaleDateString(DATE_LOCALES[resolveLanguage(language)] || DATE_LOCALES[BASE_LANGUAGE]);
+}
+
+// Every key path in a catalog, e.g. ["common.error", "menu.welcome", ...]
+function listKeys(catalog, prefix = '') {
+  return Object.entries(catalog).reduce((keys, [name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return typeof value === 'object' && value !== null
+      ? keys.concat(listKeys(value, key))
+      : keys.concat(key);
+  }, []);
+}
+
+module.exports = {
+  t,
+  formatDate,
+  detectLanguage,
+  findLanguage,
+  resolveLanguage,
+  getFallbackChain,
+  listKeys,
+  locales,
+  SUPPORTED_LANGUAGES,
+  BASE_LANGUAGE
+};
@@ -0,0 +1,346 @@
+// English messages. This is the base locale: every other locale must define the same keys.
+// Placeholders in {braces} are filled in by t().
+
+module.exports = {
+  common: {
+    error: "Sorry, I encountered an error. Please try again or type 'menu' to see options.",
+    webhookError: 'Sorry, something went wrong. Please try again.',
+    cancelled: 'Okay, cancelled. Reply with "menu" to see options.',
+    unknown: 'Unknown',
+    unknownDate: 'Unknown date',
+    processing: 'Processing'
+  },
+
+  menu: {
+    welcome: 'Welcome to MediHut! How can I help you today?\n\n{options}\n\nReply with a number (1-{max}) or type your request.',
+    buttons: 'Please choose by sending the number:\n\n{options}',
+    options: {
+      search: 'Search Medicines & Products',
+      track: 'Track your order',
+      recentOrders: 'View your recent orders',
+      prescriptionHelp: 'Get prescription help',
+      support: 'Talk to customer support',
+      account: 'My Account Info'
+    },
+    searchPrompt: 'What medicine or product are you looking for? Please type the name.',
+    trackPrompt: 'Please provide your order ID to track.\n\nYou can enter it with or without the # prefix, for example: #A12C1234 or #65c53a12-4c6d-4569-a756-7a16a902c2e5',
+    prescriptionHelp: 'For prescription medicines, please upload your prescription through our website or app. ' +
+      'A pharmacist will review it and help you place an order.\n\n' +
+      'Visit our website at: https://medihut.com/prescriptions',
+    support: 'Our customer support team is available Monday to Saturday from 9am to 8pm.\n\n' +
+      'You can call us at: +91 1234567890\n' +
+      'Or email at: support@medihut.com\n\n' +
+      'To chat with a support agent here on WhatsApp, reply "talk to agent".',
+    account: 'I\'ll check if you have an account with us using your WhatsApp number. One moment please...'
+  },
+
+  state: {
+    invalidOrderId: 'That doesn\'t look like an order ID. Please send an ID like #A12C1234, or type "cancel" to go back.',
+    invalidAddress: 'Please type your full delivery address, including house number, street, city and PIN code. Type "cancel" to go back.',
+    invalidSuggestion: 'Please reply with a number between 1 and {max}, or type a different name.',
+    invalidLanguage: 'Please reply with a number between 1 and {max}, or type "cancel" to go back.'
+  },
+
+  confirm: {
+    prompt: '{prompt}\n\nReply *YES* to confirm or *NO* to {declineLabel}.',
+    cancelLabel: 'cancel',
+    reprompt: 'Please reply *YES* to confirm or *NO* to cancel.',
+    declined: 'Okay, I\'ve cancelled that. Reply with "menu" to see options.'
+  },
+
+  language: {
+    prompt: 'Please choose your language:\n\n{options}\n\nReply with a number.',
+    changed: 'Language set to English. Reply with "menu" to see options.'
+  },
+
+  consent: {
+    optedOut: 'You\'ve been unsubscribed and won\'t receive any more updates or reminders from MediHut on WhatsApp. You can still message us at any time.\n\nReply START to subscribe again.',
+    optedIn: '✅ You\'re subscribed again and will receive order updates and reminders from MediHut. Reply STOP at any time to unsubscribe.',
+    error: 'Sorry, I couldn\'t update your message preferences right now. Please try again in a few minutes.'
+  },
+
+  handoff: {
+    opened: '👩‍⚕️ You\'re now connected to our support team (ticket #{ticketId}). An agent will reply here shortly; our team is available Monday to Saturday from 9am to 8pm.\n\n' +
+      'Reply "end chat" at any time to go back to the MediHut bot.',
+    closed: 'Your chat with our support team has ended. You\'re back with the MediHut bot, reply with "menu" to see options.',
+    closedInactive: 'Your chat with our support team was closed because there were no new messages for a while. Reply "talk to agent" if you still need help, or "menu" to see options.',
+    endedByCustomer: 'You\'ve left the chat with our support team. Reply with "menu" to see options.',
+    error: 'Sorry, we couldn\'t connect you to an agent right now. Please call us at +91 1234567890 or email support@medihut.com.'
+  },
+
+  media: {
+    notPrescription: 'Thank you for sending media. If this is a prescription, please resend with the caption "prescription" or reply with "upload prescription" for instructions.',
+    error: 'Sorry, we had trouble processing your media. Please try again.'
+  },
+
+  search: {
+    tooShort: 'Please provide a more specific medicine or product name to search for (at least 2 characters).',
+    error: 'Sorry, I couldn\'t complete your search right now. Please try again later.',
+    noResults: 'No medicines or products found for "{query}". Please try a different search term.',
+    didYouMean: 'No exact matches for "{query}". Did you mean:\n\n{suggestions}\n\nReply with a number to search for it, or type a different name.',
+    title: 'Search Results for "{query}":',
+    titlePaged: 'Search Results for "{query}" (page {page} of {totalPages}):',
+    medicine: 'Medicine',
+    product: 'Product',
+    by: 'By: {manufacturer}',
+    price: 'Price: ₹{price}',
+    priceUnavailable: 'N/A',
+    requiresPrescription: 'Requires prescription',
+    showing: 'Showing {start}-{end} of {total} results.',
+    limited: 'Only the first {count} results are available here. Try a more specific search to narrow them down.',
+    navigation: 'Reply {options}.',
+    navNext: '"more" for the next page',
+    navPrev: '"prev" for the previous page',
+    navPage: '"page <1-{totalPages}>" to jump to a page',
+    orderHint: 'To order, reply "add <number>" (e.g. "add 1" or "add 1 x 2" for 2 units), or reply with "menu" to return to the main menu.',
+    noRecentResults: 'There are no recent search results to show. Please type the name of a medicine or product to search.',
+    allShown: 'All results are already shown. Reply "add <number>" to order or type a new search.',
+    lastPage: 'You\'re on the last page (page {page}). Reply "prev" to go back or type a new search.',
+    firstPage: 'You\'re already on the first page. Reply "more" to see more results.'
+  },
+
+  cart: {
+    title: '🛒 *Your Cart*',
+    total: '💰 *Total:* ₹{total}',
+    searchFirst: 'Please search for a medicine or product first, then reply "add <number>" to add it to your cart.',
+    invalidPosition: 'Please choose a number between 1 and {max} from your search results.',
+    invalidQuantity: 'Please choose a quantity of at least 1.',
+    quantityTooHigh: 'You can order at most {max} of one item over WhatsApp. Please choose a quantity between 1 and {max}.',
+    limitReached: 'You can order at most {max} of one item over WhatsApp, so your cart now has {max}x {name}.',
+    notOrderable: 'Sorry, {name} can\'t be ordered over WhatsApp right now. Please visit our website: https://medihut.com',
+    added: '✅ Added {quantity}x {name} to your cart.',
+    addedHint: 'Reply "checkout" to place your order, or search for more items.',
+    empty: 'Your cart is empty. Search for a medicine or product and reply "add <number>" to add it.',
+    viewHint: 'Reply "remove <number>" to remove an item, "clear cart" to empty it, or "checkout" to place your order.',
+    removePrompt: 'Please tell me which item to remove, for example: "remove 1". Reply "cart" to see your cart.',
+    removeInvalid: 'That item number isn\'t in your cart. Reply "cart" to see your cart.',
+    removed: 'Removed {name} from your cart.',
+    nowEmpty: 'Your cart is now empty.',
+    cleared: 'Your cart has been cleared.'
+  },
+
+  checkout: {
+    noAccount: 'We couldn\'t find a MediHut account for this WhatsApp number. Please sign up at https://medihut.com with this number to order over WhatsApp.',
+    addressPrompt: 'Please type your delivery address, including house number, street, city and PIN code.',
+    newAddressPrompt: 'Please type the delivery address you\'d like to use, including house number, street, city and PIN code.',
+    deliverTo: '📍 *Deliver to:* {address}',
+    payment: '💳 *Payment:* Cash on delivery',
+    prescriptionWarning: '⚠️ Some items require a prescription. Our pharmacist will verify it before your order is dispatched.',
+    declineLabel: 'use a different address',
+    accountMissing: 'Sorry, we couldn\'t find your MediHut account to place this order. Please try again later.',
+    failedCartSaved: 'Sorry, we couldn\'t place your order right now. Your cart has been saved, please try "checkout" again later.',
+    failed: 'Sorry, we couldn\'t place your order right now. Please try again later.',
+    placed: '✅ *Order placed!*\n\nYour order #{orderId} for ₹{total} has been received and will be delivered to:\n{address}\n\nTo track this order, send: *#{orderId}*'
+  },
+
+  tracking: {
+    title: '🧾 *Order #{orderId} Details*',
+    status: '*Status:* {status}',
+    date: '*Date:* {date}',
+    items: '*Order Items:*',
+    defaultItemName: 'Medicine',
+    paymentDetails: '*Payment Details:*',
+    total: '*Total:* ₹{total}',
+    deliveredOn: '*Delivered on:* {date}',
+    estimatedDelivery: '*Expected delivery:* {date}',
+    courier: '*Courier:* {courier}',
+    trackingNumber: '*Tracking number:* {trackingNumber}',
+    trackingLink: 'Track your package: {url}',
+    timeline: '*Timeline:*',
+    address: '*Delivery address:* {address}',
+    paymentMethod: '*Payment method:* {method}',
+    paymentStatus: '*Payment status:* {status}',
+    statuses: {
+      processing: '⏳ Processing',
+      confirmed: '✅ Confirmed',
+      packed: '📦 Packed',
+      shipped: '🚚 Shipped',
+      out_for_delivery: '🛵 Out for delivery',
+      delivered: '🎉 Delivered',
+      cancelled: '❌ Cancelled',
+      returned: '↩️ Returned',
+      refunded: '💸 Refunded'
+    },
+    notes: {
+      out_for_delivery: 'Your order is out for delivery and will reach you today.',
+      cancelled: 'This order has been cancelled and won\'t be delivered. If you paid online, the refund will reach your original payment method within 5-7 working days.',
+      returned: 'This order has been returned. Once the return is checked, your refund will be processed within 5-7 working days.',
+      refunded: 'A refund of ₹{amount} has been issued to your original payment method. It can take up to 5-7 working days to show up.'
+    },
+    paymentMethods: {
+      cod: 'Cash on delivery',
+      online: 'Paid online',
+      upi: 'UPI',
+      card: 'Card',
+      netbanking: 'Net banking',
+      wallet: 'Wallet'
+    },
+    paymentStatuses: {
+      pending: 'Pending',
+      paid: 'Paid',
+      failed: 'Failed',
+      refunded: 'Refunded'
+    },
+    notFound: 'We couldn\'t find order #{orderId}. Please check the order number and try again.',
+    error: 'Sorry, I encountered an error while tracking your order. Please try again later or contact our customer support for assistance.'
+  },
+
+  orderStatus: {
+    confirmed: '✅ Your MediHut order #{orderId} has been confirmed! We\'ll let you know when it\'s on its way.',
+    packed: '📦 Your order #{orderId} has been packed and will be shipped soon.',
+    shipped: '🚚 Your order #{orderId} has been shipped.',
+    shippedVia: '🚚 Your order #{orderId} has been shipped via {courier}.',
+    trackingNumber: 'Tracking number: {trackingNumber}',
+    trackingLink: 'Track your package: {url}',
+    out_for_delivery: '🛵 Your order #{orderId} is out for delivery and will reach you today.',
+    delivered: '🎉 Your order #{orderId} has been delivered. Thank you for shopping with MediHut!',
+    cancelled: '❌ Your order #{orderId} has been cancelled.',
+    reason: 'Reason: {reason}',
+    refundNote: 'If you have already paid, your refund will be processed within 5-7 working days.',
+    trackHint: 'To see your order details, send: *#{orderId}*'
+  },
+
+  orders: {
+    none: 'You don\'t have any recent orders. To place an order, please visit our website at https://medihut.com',
+    noneForNumber: 'No orders found for your number. To place an order, please visit our website at https://medihut.com',
+    noneForUser: 'Hello {name}! You don\'t have any recent orders. To place an order, please visit our website at https://medihut.com',
+    there: 'there',
+    title: '📋 *Your Recent Orders*',
+    orderTitle: '🧾 *Order #{orderId}*',
+    date: '📅 Date: {date}',
+    status: '📦 Status: {status}',
+    items: '*Items:*',
+    unknownProduct: 'Unknown Product',
+    moreItems: '• ...and {count} more items',
+    total: '💰 *Total:* ₹{total}',
+    trackHint: 'To track this order, send: *#{orderId}*',
+    fetchError: 'Sorry, I couldn\'t fetch your recent orders. Please try again later.',
+    error: 'Sorry, I encountered an error while retrieving your orders. Please try again later.'
+  },
+
+  orderActions: {
+    cancelHint: 'To cancel an order, send *cancel #<order ID>*, e.g. "cancel #c0ffee12". Reply "my orders" to see your recent orders.',
+    reorderHint: 'To order the same items again, send *reorder #<order ID>*, e.g. "reorder #c0ffee12". Reply "my orders" to see your recent orders.',
+    notFound: 'We couldn\'t find order #{orderId} for this WhatsApp number. Reply "my orders" to see your recent orders.',
+    alreadyCancelled: 'Order #{orderId} has already been cancelled.',
+    notCancellable: 'Order #{orderId} can no longer be cancelled because its status is {status}. Reply "talk to agent" if you need help with it.',
+    cancelTitle: '❌ *Cancel order #{orderId}?*',
+    keepLabel: 'keep the order',
+    kept: 'Okay, order #{orderId} has not been cancelled.',
+    cancelled: '✅ Order #{orderId} has been cancelled.',
+    refundNote: 'Your payment of ₹{total} will be refunded to your original payment method within 5-7 working days.',
+    cancelRefused: 'Sorry, order #{orderId} can no longer be cancelled, it may already be on its way. Send *#{orderId}* to see its status or reply "talk to agent" for help.',
+    cancelFailed: 'Sorry, we couldn\'t cancel order #{orderId} right now. Please try again later or reply "talk to agent" for help.',
+    reorderTitle: '🔁 *Reorder #{orderId}* at today\'s prices',
+    priceChanged: '(was ₹{price})',
+    unavailableItems: '*No longer available:*',
+    reorderNoItems: 'Order #{orderId} has no items we can order again.',
+    reorderUnavailable: 'None of the items in order #{orderId} are available right now. Reply "1" to search for alternatives.',
+    reorderNoAddress: 'We don\'t have a delivery address for this order. Please add the items to your cart with a search and send "checkout".',
+    reorderFailed: 'Sorry, we couldn\'t place the reorder of #{orderId} right now. Please try again later.',
+    error: 'Sorry, I couldn\'t look up that order right now. Please try again later.'
+  },
+
+  account: {
+    title: '👤 *Your Account*',
+    name: 'Name: {name}',
+    email: 'Email: {email}',
+    phone: 'Phone: {phone}',
+    address: 'Default address: {address}',
+    orders: 'Orders placed: {count}',
+    notSet: 'Not set',
+    hint: 'To update your details, visit https://medihut.com/account',
+    error: 'Sorry, I couldn\'t load your account details right now. Please try again later.',
+    notFound: 'We couldn\'t find a MediHut account for this WhatsApp number.\n\n' +
+      'To link your account, reply with the email address or phone number you registered with. Type "cancel" to go back.',
+    invalidIdentifier: 'Please reply with your registered email address (e.g. name@example.com) or 10-digit phone number, or type "cancel" to go back.',
+    codeSent: 'If that email or phone number is registered with MediHut, we\'ve sent a {length}-digit code to it. Please reply with the code.\n\n' +
+      'Didn\'t get it? Type "cancel" and reply 6 to try again.',
+    enterCode: 'Please reply with the {length}-digit code we sent you, or type "cancel" to go back.',
+    wrongCode: 'That code isn\'t right. You have {attemptsLeft} attempt(s) left.',
+    locked: 'Too many incorrect codes. Reply 6 to request a new code.',
+    codeExpired: 'That code has expired. Reply 6 to request a new code.',
+    rateLimited: 'You\'ve requested too many codes. Please try again in an hour.',
+    linkError: 'Sorry, we couldn\'t link your account right now. Please try again later.',
+    linked: '✅ Your WhatsApp number is now linked to your MediHut account.',
+    codeSubject: 'Your MediHut verification code',
+    codeMessage: 'Your MediHut verification code is {code}. It expires in {minutes} minutes.\n\nIf you didn\'t ask to link your WhatsApp number, you can ignore this message.'
+  },
+
+  prescription: {
+    received: 'Thank you for uploading your prescription!\n\n' +
+      'Your prescription has been received and is being processed. Reference #{referenceId}\n\n' +
+      'Our team will review it shortly and get back to you with available medicines and pricing. You can check the status of your prescription by sending "Check prescription #{referenceId}".',
+    error: 'Sorry, we encountered an issue while processing your prescription. Please try again later or contact our customer support for assistance.',
+    unsupported: 'Sorry, we can only accept prescriptions as photos (JPG, PNG or WEBP) or PDF files of up to {maxMb} MB. Please send your prescription in one of these formats.',
+    skipped: '⚠️ {count} file(s) couldn\'t be added because they weren\'t a photo or PDF of up to {maxMb} MB.',
+    title: '📄 *Prescription #{referenceId}*',
+    status: '*Status:* {status}',
+    uploaded: '*Uploaded:* {date}',
+    notes: '📝 *Pharmacist notes:* {notes}',
+    approvedMedicines: '💊 *Approved medicines:*',
+    pendingHint: 'Our pharmacist hasn\'t reviewed this prescription yet. We\'ll message you once it\'s done.',
+    notFound: 'We couldn\'t find prescription #{referenceId} for this WhatsApp number. Reply "my prescriptions" to see the prescriptions you\'ve uploaded.',
+    none: 'You haven\'t uploaded any prescriptions from this number yet. Send a photo of your prescription to upload one.',
+    listTitle: '📄 *Your Prescriptions*',
+    listHint: 'To see the details of one, send "Check prescription #<reference>".',
+    statusError: 'Sorry, I couldn\'t check your prescriptions right now. Please try again later.',
+    statuses: {
+      pending: '⏳ Waiting for review',
+      in_review: '🔍 Being reviewed',
+      approved: '✅ Approved',
+      partially_approved: '☑️ Partially approved',
+      rejected: '❌ Not approved'
+    }
+  },
+
+  reminders: {
+    title: '⏰ *Your refill reminders*',
+    none: 'You have no refill reminders yet.',
+    item: '{position}. *{medicine}* - every {days} days, next on {date}',
+    pausedTag: '(paused)',
+    manageHint: 'Reply "pause reminder <number>", "resume reminder <number>" or "delete reminder <number>" to change one.',
+    suggestionsTitle: '💡 *Based on your orders you may need these again:*',
+    suggestion: '{position}. *{medicine}* - about every {days} days, next around {date}',
+    suggestionsHint: 'Reply "set reminder <number>" to get a reminder before you run out.',
+    howTo: 'To add your own reminder, send e.g. "remind me every 30 days for Dolo 650".',
+    created: '✅ I\'ll remind you to reorder *{medicine}* every {days} days. Next reminder: {date}.\n\nReply "reminders" to see or change your reminders.',
+    invalidInterval: 'Please choose a number of days between 1 and {max}, e.g. "remind me every 30 days for Dolo 650".',
+    invalidPosition: 'There\'s no reminder {position}. Reply "reminders" to see your list.',
+    invalidSuggestion: 'There\'s no suggestion {position}. Reply "reminders" to see suggestions from your orders.',
+    limit: 'You already have the maximum number of reminders. Reply "reminders" and delete one first.',
+    paused: '⏸️ Reminder for *{medicine}* paused. Reply "resume reminder {position}" to turn it back on.',
+    resumed: '▶️ Reminder for *{medicine}* is back on. Next reminder: {date}.',
+    deleted: '🗑️ Reminder for *{medicine}* deleted.',
+    due: '⏰ Time to refill *{medicine}*?\n\nReply "reorder" to add {quantity}x {medicine} to your cart, or "reminders" to manage your reminders.',
+    nothingToReorder: 'I don\'t have a recent refill reminder to reorder from. Search for a medicine by name to add it to your cart.',
+    reorderNotFound: 'Sorry, I couldn\'t find *{medicine}* in our catalog right now. Try searching for it by name.',
+    error: 'Sorry, I couldn\'t update your reminders right now. Please try again later.'
+  },
+
+  intents: {
+    clarify: '🤔 I\'m not sure what you meant. Did you want to:\n\n{options}\n\nReply with the number, or type your request again.',
+    invalidChoice: 'Please reply with a number between 1 and {max}, or type your request again.',
+    labels: {
+      cancel: 'Cancel what you were doing',
+      greeting: 'See the main menu',
+      change_language: 'Change your language',
+      search_navigation: 'See more search results',
+      cart: 'Manage your cart',
+      prescription_status: 'Check the status of a prescription',
+      prescription_list: 'See your prescriptions',
+      prescription_help: 'Get prescription help',
+      agent_handoff: 'Talk to a person',
+      support: 'Contact customer support',
+      refill_reminder: 'Manage your refill reminders',
+      cancel_order: 'Cancel an order',
+      reorder: 'Order a past order again',
+      track_prompt: 'Track an order',
+      recent_orders: 'See your recent orders',
+      account_info: 'See your account info',
+      track_order: 'Track order #{text}',
+      search_prompt: 'Search for a medicine or product',
+      search: 'Search for "{text}"'
+    }
+  }
+};
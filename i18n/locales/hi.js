@@ -0,0 +1,345 @@
+// Hindi messages. Commands the bot understands (menu, add, cart, checkout...) stay in English.
+
+module.exports = {
+  common: {
+    error: 'क्षमा करें, कोई त्रुटि हुई। कृपया फिर से प्रयास करें या विकल्प देखने के लिए \'menu\' लिखें।',
+    webhookError: 'क्षमा करें, कुछ गलत हो गया। कृपया फिर से प्रयास करें।',
+    cancelled: 'ठीक है, रद्द कर दिया गया। विकल्प देखने के लिए "menu" लिखें।',
+    unknown: 'अज्ञात',
+    unknownDate: 'तारीख उपलब्ध नहीं',
+    processing: 'प्रोसेसिंग में'
+  },
+
+  menu: {
+    welcome: 'MediHut में आपका स्वागत है! आज हम आपकी क्या मदद कर सकते हैं?\n\n{options}\n\nकोई नंबर (1-{max}) भेजें या अपना अनुरोध लिखें।',
+    buttons: 'कृपया नंबर भेजकर चुनें:\n\n{options}',
+    options: {
+      search: 'दवाइयाँ और उत्पाद खोजें',
+      track: 'अपना ऑर्डर ट्रैक करें',
+      recentOrders: 'अपने हाल के ऑर्डर देखें',
+      prescriptionHelp: 'प्रिस्क्रिप्शन सहायता',
+      support: 'ग्राहक सहायता से बात करें',
+      account: 'मेरी खाता जानकारी'
+    },
+    searchPrompt: 'आप कौन सी दवा या उत्पाद ढूंढ रहे हैं? कृपया उसका नाम लिखें।',
+    trackPrompt: 'ट्रैक करने के लिए कृपया अपना ऑर्डर आईडी भेजें।\n\nआप इसे # के साथ या बिना भेज सकते हैं, उदाहरण: #A12C1234 या #65c53a12-4c6d-4569-a756-7a16a902c2e5',
+    prescriptionHelp: 'प्रिस्क्रिप्शन वाली दवाइयों के लिए कृपया अपना प्रिस्क्रिप्शन हमारी वेबसाइट या ऐप पर अपलोड करें। ' +
+      'हमारे फार्मासिस्ट उसकी जाँच करेंगे और ऑर्डर करने में आपकी मदद करेंगे।\n\n' +
+      'हमारी वेबसाइट: https://medihut.com/prescriptions',
+    support: 'हमारी ग्राहक सहायता टीम सोमवार से शनिवार सुबह 9 बजे से रात 8 बजे तक उपलब्ध है।\n\n' +
+      'हमें कॉल करें: +91 1234567890\n' +
+      'या ईमेल करें: support@medihut.com\n\n' +
+      'WhatsApp पर ही सहायता एजेंट से बात करने के लिए "talk to agent" भेजें।',
+    account: 'हम आपके WhatsApp नंबर से आपका खाता देख रहे हैं। कृपया एक क्षण रुकें...'
+  },
+
+  state: {
+    invalidOrderId: 'यह ऑर्डर आईडी नहीं लगता। कृपया #A12C1234 जैसा आईडी भेजें, या वापस जाने के लिए "cancel" लिखें।',
+    invalidAddress: 'कृपया मकान नंबर, गली, शहर और पिन कोड सहित अपना पूरा डिलीवरी पता लिखें। वापस जाने के लिए "cancel" लिखें।',
+    invalidSuggestion: 'कृपया 1 से {max} के बीच कोई नंबर भेजें, या कोई दूसरा नाम लिखें।',
+    invalidLanguage: 'कृपया 1 से {max} के बीच कोई नंबर भेजें, या वापस जाने के लिए "cancel" लिखें।'
+  },
+
+  confirm: {
+    prompt: '{prompt}\n\nपुष्टि करने के लिए *YES* या {declineLabel} के लिए *NO* भेजें।',
+    cancelLabel: 'रद्द करने',
+    reprompt: 'कृपया पुष्टि करने के लिए *YES* या रद्द करने के लिए *NO* भेजें।',
+    declined: 'ठीक है, रद्द कर दिया गया। विकल्प देखने के लिए "menu" लिखें।'
+  },
+
+  language: {
+    prompt: 'कृपया अपनी भाषा चुनें:\n\n{options}\n\nकोई नंबर भेजें।',
+    changed: 'भाषा हिन्दी पर सेट कर दी गई है। विकल्प देखने के लिए "menu" लिखें।'
+  },
+
+  consent: {
+    optedOut: 'आपकी सदस्यता समाप्त कर दी गई है और अब आपको WhatsApp पर MediHut से कोई अपडेट या रिमाइंडर नहीं मिलेगा। आप कभी भी हमें संदेश भेज सकते हैं।\n\nफिर से सदस्यता लेने के लिए START भेजें।',
+    optedIn: '✅ आपने फिर से सदस्यता ले ली है और अब आपको MediHut से ऑर्डर अपडेट और रिमाइंडर मिलेंगे। सदस्यता समाप्त करने के लिए कभी भी STOP भेजें।',
+    error: 'क्षमा करें, अभी आपकी संदेश प्राथमिकताएँ अपडेट नहीं हो सकीं। कृपया कुछ मिनट बाद फिर से प्रयास करें।'
+  },
+
+  handoff: {
+    opened: '👩‍⚕️ अब आप हमारी सहायता टीम से जुड़ गए हैं (टिकट #{ticketId})। एजेंट जल्द ही यहीं जवाब देंगे; हमारी टीम सोमवार से शनिवार सुबह 9 बजे से रात 8 बजे तक उपलब्ध है।\n\n' +
+      'MediHut बॉट पर वापस जाने के लिए कभी भी "end chat" भेजें।',
+    closed: 'हमारी सहायता टीम के साथ आपकी चैट समाप्त हो गई है। अब आप फिर से MediHut बॉट से बात कर रहे हैं, विकल्प देखने के लिए "menu" लिखें।',
+    closedInactive: 'कुछ समय तक कोई नया संदेश न आने के कारण सहायता टीम के साथ आपकी चैट बंद कर दी गई है। अगर अभी भी मदद चाहिए तो "talk to agent" भेजें, या विकल्प देखने के लिए "menu" लिखें।',
+    endedByCustomer: 'आपने सहायता टीम के साथ चैट छोड़ दी है। विकल्प देखने के लिए "menu" लिखें।',
+    error: 'क्षमा करें, अभी आपको एजेंट से नहीं जोड़ा जा सका। कृपया हमें +91 1234567890 पर कॉल करें या support@medihut.com पर ईमेल करें।'
+  },
+
+  media: {
+    notPrescription: 'मीडिया भेजने के लिए धन्यवाद। अगर यह प्रिस्क्रिप्शन है, तो कृपया इसे "prescription" कैप्शन के साथ दोबारा भेजें या निर्देशों के लिए "upload prescription" लिखें।',
+    error: 'क्षमा करें, आपका मीडिया प्रोसेस करने में समस्या हुई। कृपया फिर से प्रयास करें।'
+  },
+
+  search: {
+    tooShort: 'कृपया खोजने के लिए दवा या उत्पाद का स्पष्ट नाम लिखें (कम से कम 2 अक्षर)।',
+    error: 'क्षमा करें, अभी खोज पूरी नहीं हो सकी। कृपया बाद में फिर से प्रयास करें।',
+    noResults: '"{query}" के लिए कोई दवा या उत्पाद नहीं मिला। कृपया कोई दूसरा नाम आज़माएँ।',
+    didYouMean: '"{query}" के लिए सटीक परिणाम नहीं मिले। क्या आपका मतलब था:\n\n{suggestions}\n\nखोजने के लिए नंबर भेजें, या कोई दूसरा नाम लिखें।',
+    title: '"{query}" के खोज परिणाम:',
+    titlePaged: '"{query}" के खोज परिणाम (पेज {page} / {totalPages}):',
+    medicine: 'दवा',
+    product: 'उत्पाद',
+    by: 'निर्माता: {manufacturer}',
+    price: 'कीमत: ₹{price}',
+    priceUnavailable: 'उपलब्ध नहीं',
+    requiresPrescription: 'प्रिस्क्रिप्शन आवश्यक',
+    showing: '{total} में से {start}-{end} परिणाम दिखाए जा रहे हैं।',
+    limited: 'यहाँ केवल पहले {count} परिणाम उपलब्ध हैं। परिणाम कम करने के लिए अधिक स्पष्ट नाम से खोजें।',
+    navigation: '{options} भेजें।',
+    navNext: 'अगले पेज के लिए "more"',
+    navPrev: 'पिछले पेज के लिए "prev"',
+    navPage: 'किसी पेज पर जाने के लिए "page <1-{totalPages}>"',
+    orderHint: 'ऑर्डर करने के लिए "add <नंबर>" भेजें (जैसे "add 1" या 2 यूनिट के लिए "add 1 x 2"), या मुख्य मेनू के लिए "menu" लिखें।',
+    noRecentResults: 'दिखाने के लिए कोई हाल का खोज परिणाम नहीं है। खोजने के लिए किसी दवा या उत्पाद का नाम लिखें।',
+    allShown: 'सभी परिणाम पहले ही दिखाए जा चुके हैं। ऑर्डर करने के लिए "add <नंबर>" भेजें या नई खोज करें।',
+    lastPage: 'आप आखिरी पेज (पेज {page}) पर हैं। वापस जाने के लिए "prev" भेजें या नई खोज करें।',
+    firstPage: 'आप पहले पेज पर ही हैं। और परिणाम देखने के लिए "more" भेजें।'
+  },
+
+  cart: {
+    title: '🛒 *आपकी कार्ट*',
+    total: '💰 *कुल:* ₹{total}',
+    searchFirst: 'कृपया पहले कोई दवा या उत्पाद खोजें, फिर उसे कार्ट में जोड़ने के लिए "add <नंबर>" भेजें।',
+    invalidPosition: 'कृपया अपने खोज परिणामों में से 1 से {max} के बीच कोई नंबर चुनें।',
+    invalidQuantity: 'कृपया कम से कम 1 की मात्रा चुनें।',
+    quantityTooHigh: 'WhatsApp से एक आइटम के अधिकतम {max} ही ऑर्डर किए जा सकते हैं। कृपया 1 से {max} के बीच मात्रा चुनें।',
+    limitReached: 'WhatsApp से एक आइटम के अधिकतम {max} ही ऑर्डर किए जा सकते हैं, इसलिए आपकी कार्ट में अब {max}x {name} है।',
+    notOrderable: 'क्षमा करें, {name} अभी WhatsApp से ऑर्डर नहीं किया जा सकता। कृपया हमारी वेबसाइट देखें: https://medihut.com',
+    added: '✅ {quantity}x {name} आपकी कार्ट में जोड़ दिया गया।',
+    addedHint: 'ऑर्डर करने के लिए "checkout" भेजें, या और सामान खोजें।',
+    empty: 'आपकी कार्ट खाली है। कोई दवा या उत्पाद खोजें और उसे जोड़ने के लिए "add <नंबर>" भेजें।',
+    viewHint: 'कोई आइटम हटाने के लिए "remove <नंबर>", कार्ट खाली करने के लिए "clear cart", या ऑर्डर करने के लिए "checkout" भेजें।',
+    removePrompt: 'कृपया बताएं कौन सा आइटम हटाना है, उदाहरण: "remove 1"। अपनी कार्ट देखने के लिए "cart" भेजें।',
+    removeInvalid: 'यह आइटम नंबर आपकी कार्ट में नहीं है। अपनी कार्ट देखने के लिए "cart" भेजें।',
+    removed: '{name} आपकी कार्ट से हटा दिया गया।',
+    nowEmpty: 'आपकी कार्ट अब खाली है।',
+    cleared: 'आपकी कार्ट खाली कर दी गई है।'
+  },
+
+  checkout: {
+    noAccount: 'इस WhatsApp नंबर से कोई MediHut खाता नहीं मिला। WhatsApp से ऑर्डर करने के लिए कृपया इसी नंबर से https://medihut.com पर साइन अप करें।',
+    addressPrompt: 'कृपया मकान नंबर, गली, शहर और पिन कोड सहित अपना डिलीवरी पता लिखें।',
+    newAddressPrompt: 'कृपया वह डिलीवरी पता लिखें जिसका आप उपयोग करना चाहते हैं, मकान नंबर, गली, शहर और पिन कोड सहित।',
+    deliverTo: '📍 *डिलीवरी पता:* {address}',
+    payment: '💳 *भुगतान:* कैश ऑन डिलीवरी',
+    prescriptionWarning: '⚠️ कुछ आइटम के लिए प्रिस्क्रिप्शन आवश्यक है। ऑर्डर भेजने से पहले हमारे फार्मासिस्ट उसकी जाँच करेंगे।',
+    declineLabel: 'दूसरा पता देने',
+    accountMissing: 'क्षमा करें, यह ऑर्डर करने के लिए आपका MediHut खाता नहीं मिला। कृपया बाद में फिर से प्रयास करें।',
+    failedCartSaved: 'क्षमा करें, अभी आपका ऑर्डर नहीं हो सका। आपकी कार्ट सुरक्षित है, कृपया बाद में फिर से "checkout" भेजें।',
+    failed: 'क्षमा करें, अभी आपका ऑर्डर नहीं हो सका। कृपया बाद में फिर से प्रयास करें।',
+    placed: '✅ *ऑर्डर हो गया!*\n\n₹{total} का आपका ऑर्डर #{orderId} प्राप्त हो गया है और इस पते पर डिलीवर किया जाएगा:\n{address}\n\nइस ऑर्डर को ट्रैक करने के लिए भेजें: *#{orderId}*'
+  },
+
+  tracking: {
+    title: '🧾 *ऑर्डर #{orderId} का विवरण*',
+    status: '*स्थिति:* {status}',
+    date: '*तारीख:* {date}',
+    items: '*ऑर्डर के आइटम:*',
+    defaultItemName: 'दवा',
+    paymentDetails: '*भुगतान विवरण:*',
+    total: '*कुल:* ₹{total}',
+    deliveredOn: '*डिलीवरी की तारीख:* {date}',
+    estimatedDelivery: '*अनुमानित डिलीवरी:* {date}',
+    courier: '*कूरियर:* {courier}',
+    trackingNumber: '*ट्रैकिंग नंबर:* {trackingNumber}',
+    trackingLink: 'अपना पार्सल ट्रैक करें: {url}',
+    timeline: '*ऑर्डर की प्रगति:*',
+    address: '*डिलीवरी का पता:* {address}',
+    paymentMethod: '*भुगतान का तरीका:* {method}',
+    paymentStatus: '*भुगतान की स्थिति:* {status}',
+    statuses: {
+      processing: '⏳ प्रोसेस हो रहा है',
+      confirmed: '✅ कन्फ़र्म हुआ',
+      packed: '📦 पैक हुआ',
+      shipped: '🚚 भेजा गया',
+      out_for_delivery: '🛵 डिलीवरी के लिए निकला',
+      delivered: '🎉 डिलीवर हुआ',
+      cancelled: '❌ रद्द हुआ',
+      returned: '↩️ वापस किया गया',
+      refunded: '💸 रिफ़ंड हुआ'
+    },
+    notes: {
+      out_for_delivery: 'आपका ऑर्डर डिलीवरी के लिए निकल चुका है और आज आप तक पहुँच जाएगा।',
+      cancelled: 'यह ऑर्डर रद्द कर दिया गया है और डिलीवर नहीं होगा। अगर आपने ऑनलाइन भुगतान किया है, तो रिफ़ंड 5-7 कार्यदिवसों में आपके मूल भुगतान माध्यम में पहुँच जाएगा।',
+      returned: 'यह ऑर्डर वापस कर दिया गया है। वापसी की जाँच के बाद 5-7 कार्यदिवसों में आपका रिफ़ंड प्रोसेस कर दिया जाएगा।',
+      refunded: '₹{amount} का रिफ़ंड आपके मूल भुगतान माध्यम में भेज दिया गया है। इसे दिखने में 5-7 कार्यदिवस तक लग सकते हैं।'
+    },
+    paymentMethods: {
+      cod: 'कैश ऑन डिलीवरी',
+      online: 'ऑनलाइन भुगतान',
+      upi: 'UPI',
+      card: 'कार्ड',
+      netbanking: 'नेट बैंकिंग',
+      wallet: 'वॉलेट'
+    },
+    paymentStatuses: {
+      pending: 'बाकी',
+      paid: 'भुगतान हो गया',
+      failed: 'असफल',
+      refunded: 'रिफ़ंड हो गया'
+    },
+    notFound: 'ऑर्डर #{orderId} नहीं मिला। कृपया ऑर्डर नंबर जाँचें और फिर से प्रयास करें।',
+    error: 'क्षमा करें, आपका ऑर्डर ट्रैक करते समय त्रुटि हुई। कृपया बाद में फिर से प्रयास करें या सहायता के लिए ग्राहक सहायता से संपर्क करें।'
+  },
+
+  orderStatus: {
+    confirmed: '✅ आपका MediHut ऑर्डर #{orderId} कन्फ़र्म हो गया है! भेजे जाने पर हम आपको बताएँगे।',
+    packed: '📦 आपका ऑर्डर #{orderId} पैक हो गया है और जल्द ही भेजा जाएगा।',
+    shipped: '🚚 आपका ऑर्डर #{orderId} भेज दिया गया है।',
+    shippedVia: '🚚 आपका ऑर्डर #{orderId} {courier} से भेज दिया गया है।',
+    trackingNumber: 'ट्रैकिंग नंबर: {trackingNumber}',
+    trackingLink: 'अपना पार्सल ट्रैक करें: {url}',
+    out_for_delivery: '🛵 आपका ऑर्डर #{orderId} डिलीवरी के लिए निकल चुका है और आज आप तक पहुँच जाएगा।',
+    delivered: '🎉 आपका ऑर्डर #{orderId} डिलीवर हो गया है। MediHut से खरीदारी करने के लिए धन्यवाद!',
+    cancelled: '❌ आपका ऑर्डर #{orderId} रद्द कर दिया गया है।',
+    reason: 'कारण: {reason}',
+    refundNote: 'अगर आपने पहले ही भुगतान कर दिया है, तो आपका रिफ़ंड 5-7 कार्यदिवसों में प्रोसेस कर दिया जाएगा।',
+    trackHint: 'अपने ऑर्डर का विवरण देखने के लिए भेजें: *#{orderId}*'
+  },
+
+  orders: {
+    none: 'आपका कोई हाल का ऑर्डर नहीं है। ऑर्डर करने के लिए कृपया हमारी वेबसाइट देखें: https://medihut.com',
+    noneForNumber: 'आपके नंबर पर कोई ऑर्डर नहीं मिला। ऑर्डर करने के लिए कृपया हमारी वेबसाइट देखें: https://medihut.com',
+    noneForUser: 'नमस्ते {name}! आपका कोई हाल का ऑर्डर नहीं है। ऑर्डर करने के लिए कृपया हमारी वेबसाइट देखें: https://medihut.com',
+    there: 'जी',
+    title: '📋 *आपके हाल के ऑर्डर*',
+    orderTitle: '🧾 *ऑर्डर #{orderId}*',
+    date: '📅 तारीख: {date}',
+    status: '📦 स्थिति: {status}',
+    items: '*आइटम:*',
+    unknownProduct: 'अज्ञात उत्पाद',
+    moreItems: '• ...और {count} आइटम',
+    total: '💰 *कुल:* ₹{total}',
+    trackHint: 'इस ऑर्डर को ट्रैक करने के लिए भेजें: *#{orderId}*',
+    fetchError: 'क्षमा करें, आपके हाल के ऑर्डर नहीं लाए जा सके। कृपया बाद में फिर से प्रयास करें।',
+    error: 'क्षमा करें, आपके ऑर्डर लाते समय त्रुटि हुई। कृपया बाद में फिर से प्रयास करें।'
+  },
+
+  orderActions: {
+    cancelHint: 'ऑर्डर रद्द करने के लिए *cancel #<ऑर्डर ID>* भेजें, जैसे "cancel #c0ffee12"। अपने हाल के ऑर्डर देखने के लिए "my orders" लिखें।',
+    reorderHint: 'वही आइटम फिर से मँगाने के लिए *reorder #<ऑर्डर ID>* भेजें, जैसे "reorder #c0ffee12"। अपने हाल के ऑर्डर देखने के लिए "my orders" लिखें।',
+    notFound: 'इस WhatsApp नंबर के लिए ऑर्डर #{orderId} नहीं मिला। अपने हाल के ऑर्डर देखने के लिए "my orders" लिखें।',
+    alreadyCancelled: 'ऑर्डर #{orderId} पहले ही रद्द किया जा चुका है।',
+    notCancellable: 'ऑर्डर #{orderId} अब रद्द नहीं किया जा सकता क्योंकि इसकी स्थिति {status} है। मदद के लिए "talk to agent" लिखें।',
+    cancelTitle: '❌ *ऑर्डर #{orderId} रद्द करें?*',
+    keepLabel: 'ऑर्डर बनाए रखने',
+    kept: 'ठीक है, ऑर्डर #{orderId} रद्द नहीं किया गया।',
+    cancelled: '✅ ऑर्डर #{orderId} रद्द कर दिया गया है।',
+    refundNote: 'आपका ₹{total} का भुगतान 5-7 कार्यदिवसों में आपके मूल भुगतान माध्यम में वापस कर दिया जाएगा।',
+    cancelRefused: 'क्षमा करें, ऑर्डर #{orderId} अब रद्द नहीं किया जा सकता, शायद यह भेजा जा चुका है। इसकी स्थिति देखने के लिए *#{orderId}* भेजें या मदद के लिए "talk to agent" लिखें।',
+    cancelFailed: 'क्षमा करें, हम अभी ऑर्डर #{orderId} रद्द नहीं कर सके। कृपया बाद में फिर से प्रयास करें या मदद के लिए "talk to agent" लिखें।',
+    reorderTitle: '🔁 *#{orderId} फिर से ऑर्डर करें* (आज की कीमतों पर)',
+    priceChanged: '(पहले ₹{price})',
+    unavailableItems: '*अब उपलब्ध नहीं:*',
+    reorderNoItems: 'ऑर्डर #{orderId} में ऐसा कोई आइटम नहीं है जिसे फिर से मँगाया जा सके।',
+    reorderUnavailable: 'ऑर्डर #{orderId} का कोई भी आइटम अभी उपलब्ध नहीं है। विकल्प खोजने के लिए "1" लिखें।',
+    reorderNoAddress: 'इस ऑर्डर के लिए हमारे पास डिलीवरी का पता नहीं है। कृपया खोजकर आइटम अपनी कार्ट में जोड़ें और "checkout" भेजें।',
+    reorderFailed: 'क्षमा करें, हम अभी #{orderId} को फिर से ऑर्डर नहीं कर सके। कृपया बाद में फिर से प्रयास करें।',
+    error: 'क्षमा करें, मैं अभी वह ऑर्डर नहीं देख सका। कृपया बाद में फिर से प्रयास करें।'
+  },
+
+  account: {
+    title: '👤 *आपका खाता*',
+    name: 'नाम: {name}',
+    email: 'ईमेल: {email}',
+    phone: 'फ़ोन: {phone}',
+    address: 'डिफ़ॉल्ट पता: {address}',
+    orders: 'कुल ऑर्डर: {count}',
+    notSet: 'सेट नहीं है',
+    hint: 'अपनी जानकारी बदलने के लिए https://medihut.com/account पर जाएँ',
+    error: 'क्षमा करें, अभी आपके खाते की जानकारी नहीं मिल सकी। कृपया बाद में फिर से प्रयास करें।',
+    notFound: 'इस WhatsApp नंबर से कोई MediHut खाता नहीं मिला।\n\n' +
+      'अपना खाता जोड़ने के लिए वह ईमेल पता या फ़ोन नंबर भेजें जिससे आपने रजिस्टर किया था। वापस जाने के लिए "cancel" लिखें।',
+    invalidIdentifier: 'कृपया अपना रजिस्टर्ड ईमेल पता (जैसे name@example.com) या 10 अंकों का फ़ोन नंबर भेजें, या वापस जाने के लिए "cancel" लिखें।',
+    codeSent: 'अगर यह ईमेल या फ़ोन नंबर MediHut पर रजिस्टर्ड है, तो हमने उस पर {length} अंकों का कोड भेजा है। कृपया वह कोड भेजें।\n\n' +
+      'कोड नहीं मिला? "cancel" लिखें और फिर से प्रयास करने के लिए 6 भेजें।',
+    enterCode: 'कृपया हमारे भेजे गए {length} अंकों का कोड भेजें, या वापस जाने के लिए "cancel" लिखें।',
+    wrongCode: 'यह कोड सही नहीं है। आपके पास {attemptsLeft} प्रयास बचे हैं।',
+    locked: 'बहुत अधिक गलत कोड। नया कोड पाने के लिए 6 भेजें।',
+    codeExpired: 'इस कोड की समय-सीमा समाप्त हो गई है। नया कोड पाने के लिए 6 भेजें।',
+    rateLimited: 'आपने बहुत अधिक कोड माँगे हैं। कृपया एक घंटे बाद फिर से प्रयास करें।',
+    linkError: 'क्षमा करें, अभी आपका खाता नहीं जोड़ा जा सका। कृपया बाद में फिर से प्रयास करें।',
+    linked: '✅ आपका WhatsApp नंबर अब आपके MediHut खाते से जुड़ गया है।',
+    codeSubject: 'आपका MediHut सत्यापन कोड',
+    codeMessage: 'आपका MediHut सत्यापन कोड {code} है। यह {minutes} मिनट में समाप्त हो जाएगा।\n\nअगर आपने अपना WhatsApp नंबर जोड़ने का अनुरोध नहीं किया है, तो इस संदेश को अनदेखा करें।'
+  },
+
+  prescription: {
+    received: 'अपना प्रिस्क्रिप्शन अपलोड करने के लिए धन्यवाद!\n\n' +
+      'आपका प्रिस्क्रिप्शन प्राप्त हो गया है और प्रोसेस किया जा रहा है। संदर्भ #{referenceId}\n\n' +
+      'हमारी टीम जल्द ही इसकी जाँच करेगी और उपलब्ध दवाइयों और कीमतों की जानकारी देगी। अपने प्रिस्क्रिप्शन की स्थिति जानने के लिए "Check prescription #{referenceId}" भेजें।',
+    error: 'क्षमा करें, आपका प्रिस्क्रिप्शन प्रोसेस करते समय समस्या हुई। कृपया बाद में फिर से प्रयास करें या सहायता के लिए ग्राहक सहायता से संपर्क करें।',
+    unsupported: 'क्षमा करें, हम प्रिस्क्रिप्शन केवल फ़ोटो (JPG, PNG या WEBP) या {maxMb} MB तक की PDF फ़ाइल के रूप में ले सकते हैं। कृपया अपना प्रिस्क्रिप्शन इनमें से किसी एक फ़ॉर्मेट में भेजें।',
+    skipped: '⚠️ {count} फ़ाइल(ें) नहीं जोड़ी जा सकीं क्योंकि वे {maxMb} MB तक की फ़ोटो या PDF नहीं थीं।',
+    title: '📄 *प्रिस्क्रिप्शन #{referenceId}*',
+    status: '*स्थिति:* {status}',
+    uploaded: '*अपलोड किया गया:* {date}',
+    notes: '📝 *फार्मासिस्ट की टिप्पणी:* {notes}',
+    approvedMedicines: '💊 *स्वीकृत दवाइयाँ:*',
+    pendingHint: 'हमारे फार्मासिस्ट ने अभी इस प्रिस्क्रिप्शन की जाँच नहीं की है। जाँच पूरी होने पर हम आपको संदेश भेजेंगे।',
+    notFound: 'इस WhatsApp नंबर के लिए प्रिस्क्रिप्शन #{referenceId} नहीं मिला। अपने अपलोड किए गए प्रिस्क्रिप्शन देखने के लिए "my prescriptions" भेजें।',
+    none: 'आपने इस नंबर से अभी तक कोई प्रिस्क्रिप्शन अपलोड नहीं किया है। अपलोड करने के लिए अपने प्रिस्क्रिप्शन की फ़ोटो भेजें।',
+    listTitle: '📄 *आपके प्रिस्क्रिप्शन*',
+    listHint: 'किसी की जानकारी देखने के लिए "Check prescription #<reference>" भेजें।',
+    statusError: 'क्षमा करें, अभी आपके प्रिस्क्रिप्शन की जाँच नहीं हो सकी। कृपया बाद में फिर से प्रयास करें।',
+    statuses: {
+      pending: '⏳ जाँच की प्रतीक्षा में',
+      in_review: '🔍 जाँच हो रही है',
+      approved: '✅ स्वीकृत',
+      partially_approved: '☑️ आंशिक रूप से स्वीकृत',
+      rejected: '❌ स्वीकृत नहीं'
+    }
+  },
+
+  reminders: {
+    title: '⏰ *आपके रीफ़िल रिमाइंडर*',
+    none: 'आपका अभी तक कोई रीफ़िल रिमाइंडर नहीं है।',
+    item: '{position}. *{medicine}* - हर {days} दिन, अगला {date} को',
+    pausedTag: '(रुका हुआ)',
+    manageHint: 'किसी रिमाइंडर को बदलने के लिए "pause reminder <number>", "resume reminder <number>" या "delete reminder <number>" भेजें।',
+    suggestionsTitle: '💡 *आपके ऑर्डर के अनुसार आपको ये फिर से चाहिए हो सकते हैं:*',
+    suggestion: '{position}. *{medicine}* - लगभग हर {days} दिन, अगला लगभग {date} को',
+    suggestionsHint: 'दवा खत्म होने से पहले रिमाइंडर पाने के लिए "set reminder <number>" भेजें।',
+    howTo: 'अपना रिमाइंडर जोड़ने के लिए भेजें, जैसे "remind me every 30 days for Dolo 650"।',
+    created: '✅ मैं आपको हर {days} दिन में *{medicine}* दोबारा ऑर्डर करने की याद दिलाऊँगा। अगला रिमाइंडर: {date}।\n\nअपने रिमाइंडर देखने या बदलने के लिए "reminders" भेजें।',
+    invalidInterval: 'कृपया 1 से {max} के बीच दिनों की संख्या चुनें, जैसे "remind me every 30 days for Dolo 650"।',
+    invalidPosition: 'रिमाइंडर {position} मौजूद नहीं है। अपनी सूची देखने के लिए "reminders" भेजें।',
+    invalidSuggestion: 'सुझाव {position} मौजूद नहीं है। अपने ऑर्डर से सुझाव देखने के लिए "reminders" भेजें।',
+    limit: 'आपके पास पहले से अधिकतम संख्या में रिमाइंडर हैं। "reminders" भेजें और पहले कोई एक हटाएँ।',
+    paused: '⏸️ *{medicine}* का रिमाइंडर रोक दिया गया है। इसे फिर से चालू करने के लिए "resume reminder {position}" भेजें।',
+    resumed: '▶️ *{medicine}* का रिमाइंडर फिर से चालू है। अगला रिमाइंडर: {date}।',
+    deleted: '🗑️ *{medicine}* का रिमाइंडर हटा दिया गया है।',
+    due: '⏰ क्या *{medicine}* दोबारा मँगाने का समय हो गया?\n\n{quantity}x {medicine} अपनी कार्ट में जोड़ने के लिए "reorder" भेजें, या अपने रिमाइंडर बदलने के लिए "reminders" भेजें।',
+    nothingToReorder: 'मेरे पास दोबारा ऑर्डर करने के लिए कोई हाल का रीफ़िल रिमाइंडर नहीं है। कार्ट में जोड़ने के लिए दवा का नाम लिखकर खोजें।',
+    reorderNotFound: 'क्षमा करें, अभी हमारी सूची में *{medicine}* नहीं मिला। इसे नाम से खोजकर देखें।',
+    error: 'क्षमा करें, अभी आपके रिमाइंडर अपडेट नहीं हो सके। कृपया बाद में फिर से प्रयास करें।'
+  },
+
+  intents: {
+    clarify: '🤔 मैं समझ नहीं पाया कि आपका क्या मतलब है। क्या आप यह करना चाहते हैं:\n\n{options}\n\nनंबर भेजें, या अपना अनुरोध दोबारा लिखें।',
+    invalidChoice: 'कृपया 1 से {max} के बीच कोई नंबर भेजें, या अपना अनुरोध दोबारा लिखें।',
+    labels: {
+      cancel: 'जो कर रहे थे उसे रद्द करें',
+      greeting: 'मुख्य मेनू देखें',
+      change_language: 'अपनी भाषा बदलें',
+      search_navigation: 'खोज के और नतीजे देखें',
+      cart: 'अपना कार्ट देखें',
+      prescription_status: 'प्रिस्क्रिप्शन की स्थिति देखें',
+      prescription_list: 'अपने प्रिस्क्रिप्शन देखें',
+      prescription_help: 'प्रिस्क्रिप्शन सहायता पाएँ',
+      agent_handoff: 'किसी व्यक्ति से बात करें',
+      support: 'ग्राहक सहायता से संपर्क करें',
+      refill_reminder: 'अपने रीफ़िल रिमाइंडर देखें',
+      cancel_order: 'ऑर्डर रद्द करें',
+      reorder: 'पुराना ऑर्डर फिर से मँगाएँ',
+      track_prompt: 'कोई ऑर्डर ट्रैक करें',
+      recent_orders: 'अपने हाल के ऑर्डर देखें',
+      account_info: 'अपनी खाता जानकारी देखें',
+      track_order: 'ऑर्डर #{text} ट्रैक करें',
+      search_prompt: 'कोई दवा या उत्पाद खोजें',
+      search: '"{text}" खोजें'
+    }
+  }
+};
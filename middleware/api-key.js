@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Compare two strings without leaking timing information
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Middleware for server-to-server and admin routes.
+// Accepts the key as "Authorization: Bearer <key>" or an "X-API-Key" header.
+function createApiKeyMiddleware(apiKey, name = 'API') {
+  if (!apiKey) {
+    console.warn(`[Auth] No key configured for ${name} routes, all requests will be rejected`);
+  }
+
+  return (req, res, next) => {
+    const authHeader = req.get('Authorization') || '';
+    const providedKey = authHeader.startsWith('Bearer ')
+      ? authHeader.substring(7).trim()
+      : req.get('X-API-Key');
+
+    if (!apiKey || !providedKey || !safeEqual(providedKey, apiKey)) {
+      console.warn(`[Auth] Rejected unauthenticated request to ${req.originalUrl}`);
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
+
+module.exports = { createApiKeyMiddleware };
@@ -0,0 +1,69 @@
+const twilio = require('twilio');
+
+// Rebuild the public URL Twilio used when it signed the request.
+// A configured base URL (e.g. the ngrok URL) wins; otherwise the forwarded
+// proxy headers are used so the URL matches what Twilio saw, not the local one.
+function getWebhookUrl(req, baseUrl) {
+  if (baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}${req.originalUrl}`;
+  }
+
+  const forwardedProto = req.get('X-Forwarded-Proto');
+  const forwardedHost = req.get('X-Forwarded-Host');
+  const protocol = forwardedProto ? forwardedProto.split(',')[0].trim() : req.protocol;
+  const host = forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('Host');
+
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+// Middleware that rejects requests without a valid X-Twilio-Signature header
+function createTwilioSignatureMiddleware({ authToken, baseUrl, bypass = false } = {}) {
+  if (bypass) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('[Signature] Signature bypass is not allowed in production, ignoring it');
+      bypass = false;
+    } else {
+      console.warn('[Signature] Twilio signature verification is DISABLED (development bypass)');
+    }
+  }
+
+  return (req, res, next) => {
+    if (bypass) {
+      return next();
+    }
+
+    if (!authToken) {
+      console.error('[Signature] Cannot verify request: TWILIO_AUTH_TOKEN is missing');
+      return res.status(403).send('Forbidden');
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) {
+      console.warn(`[Signature] Rejected request to ${req.originalUrl}: missing X-Twilio-Signature header`);
+      return res.status(403).send('Forbidden');
+    }
+
+    const url = getWebhookUrl(req, baseUrl);
+    let isValid;
+
+    // JSON webhooks are signed with a bodySHA256 query parameter instead of the form params
+    if (req.query && req.query.bodySHA256 && req.rawBody !== undefined) {
+      isValid = twilio.validateRequestWithBody(authToken, signature, url, req.rawBody);
+    } else {
+      const params = req.is('application/x-www-form-urlencoded') ? req.body : {};
+      isValid = twilio.validateRequest(authToken, signature, url, params || {});
+    }
+
+    if (!isValid) {
+      console.warn(`[Signature] Rejected request with invalid signature for ${url}`);
+      return res.status(403).send('Forbidden');
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createTwilioSignatureMiddleware,
+  getWebhookUrl
+};
@@ -0,0 +1,75 @@
+const express = require('express');
+
+// Routes support agents use to answer customers who asked for a person
+function createAgentConversationsRouter({ handoff, requireApiKey }) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  // GET /api/agent/conversations?status=open&limit=50
+  // status=all lists closed tickets too
+  router.get('/', async (req, res) => {
+    const status = req.query.status === 'all' ? undefined : (req.query.status || 'open');
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    try {
+      const conversations = await handoff.listTickets({ status, limit });
+      res.status(200).json({ success: true, count: conversations.length, conversations });
+    } catch (error) {
+      console.error('[Handoff] Error listing conversations:', error.message);
+      res.status(500).json({ success: false, error: 'Could not list conversations' });
+    }
+  });
+
+  // GET /api/agent/conversations/:id
+  router.get('/:id', async (req, res) => {
+    try {
+      const conversation = await handoff.getConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+      res.status(200).json({ success: true, ...conversation });
+    } catch (error) {
+      console.error('[Handoff] Error reading conversation:', error.message);
+      res.status(500).json({ success: false, error: 'Could not read conversation' });
+    }
+  });
+
+  // POST /api/agent/conversations/:id/reply
+  // Body: { message, agent? }
+  router.post('/:id/reply', async (req, res) => {
+    const { message, agent } = req.body || {};
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ success: false, error: 'message is required' });
+    }
+
+    try {
+      const reply = await handoff.replyAsAgent(req.params.id, agent, String(message).trim());
+      if (!reply) {
+        return res.status(409).json({ success: false, error: 'Conversation is not open' });
+      }
+      res.status(200).json({ success: true, message: reply });
+    } catch (error) {
+      console.error('[Handoff] Error sending agent reply:', error.message);
+      res.status(502).json({ success: false, error: 'Failed to send WhatsApp message' });
+    }
+  });
+
+  // POST /api/agent/conversations/:id/close
+  // Body: { agent? }
+  router.post('/:id/close', async (req, res) => {
+    try {
+      const ticket = await handoff.closeTicket(req.params.id, { closedBy: req.body && req.body.agent, reason: 'agent' });
+      if (!ticket) {
+        return res.status(409).json({ success: false, error: 'Conversation is not open' });
+      }
+      res.status(200).json({ success: true, conversation: ticket });
+    } catch (error) {
+      console.error('[Handoff] Error closing conversation:', error.message);
+      res.status(500).json({ success: false, error: 'Could not close conversation' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAgentConversationsRouter };
@@ -0,0 +1,35 @@
+const express = require('express');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Aggregated bot usage stats for the product and catalog teams, from every instance.
+function createAnalyticsRouter({ analytics, requireApiKey }) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  // GET /api/analytics?from=2024-05-01&to=2024-05-07&top=10
+  // Defaults to the last 7 days
+  router.get('/', async (req, res) => {
+    const { from, to } = req.query;
+    for (const [field, value] of Object.entries({ from, to })) {
+      if (value && !DATE_PATTERN.test(value)) {
+        return res.status(400).json({ success: false, error: `${field} must be a date like 2024-05-01` });
+      }
+    }
+
+    const defaultFrom = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const top = Math.min(parseInt(req.query.top) || 10, 100);
+
+    try {
+      const days = await analytics.getDailyStats({ from: from || defaultFrom, to, top });
+      res.status(200).json({ success: true, count: days.length, days });
+    } catch (statsError) {
+      console.error('[Analytics] Error reading stats:', statsError.message);
+      res.status(500).json({ success: false, error: 'Could not read analytics' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAnalyticsRouter };
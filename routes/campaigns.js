@@ -0,0 +1,126 @@
+const express = require('express');
+const { validateSegment, findUnknownPlaceholders } = require('../services/campaigns');
+
+const RECIPIENT_STATUSES = ['pending', 'sent', 'skipped', 'failed', 'cancelled'];
+
+// Admin routes to preview, send, follow and cancel broadcast campaigns.
+// Only dry runs are allowed while proactiveMessagesEnabled is false (consent kept in memory).
+function createCampaignsRouter({ campaigns, proactiveMessagesEnabled, requireApiKey }) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  // Check the shared campaign fields. Returns an error message or null.
+  function validateCampaign({ segment, template, variables, ratePerMinute }) {
+    const segmentError = validateSegment(segment);
+    if (segmentError) {
+      return segmentError;
+    }
+    if (!template || typeof template !== 'string' || !template.trim()) {
+      return 'template is required';
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      return 'variables must be an object';
+    }
+    if (ratePerMinute !== undefined && !(Number.isInteger(ratePerMinute) && ratePerMinute > 0)) {
+      return 'ratePerMinute must be a positive whole number';
+    }
+
+    const unknown = findUnknownPlaceholders(template, variables);
+    if (unknown.length > 0) {
+      return `template uses placeholders with no value: ${unknown.map(key => `{${key}}`).join(', ')}`;
+    }
+    return null;
+  }
+
+  // POST /api/admin/campaigns
+  // Body: { name, segment: { orderedWithinDays?, category?, minOrders? }, template, variables?, ratePerMinute?, createdBy?, dryRun? }
+  // dryRun: true returns the recipient count and sample messages without sending anything
+  router.post('/', async (req, res) => {
+    const body = req.body || {};
+    const error = validateCampaign(body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    try {
+      if (body.dryRun) {
+        const preview = await campaigns.preview(body);
+        return res.status(200).json({ success: true, dryRun: true, ...preview });
+      }
+
+      if (!proactiveMessagesEnabled) {
+        return res.status(503).json({ success: false, error: 'Campaigns are disabled until CONSENT_STORE is set to supabase' });
+      }
+
+      const campaign = await campaigns.createCampaign(body);
+      res.status(202).json({ success: true, campaign });
+    } catch (createError) {
+      console.error('[Campaigns] Error creating campaign:', createError.message);
+      res.status(500).json({ success: false, error: 'Could not create campaign' });
+    }
+  });
+
+  // GET /api/admin/campaigns?status=running&limit=50
+  router.get('/', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    try {
+      const list = await campaigns.listCampaigns({ status: req.query.status, limit });
+      res.status(200).json({ success: true, count: list.length, campaigns: list });
+    } catch (listError) {
+      console.error('[Campaigns] Error listing campaigns:', listError.message);
+      res.status(500).json({ success: false, error: 'Could not list campaigns' });
+    }
+  });
+
+  // GET /api/admin/campaigns/:id - progress and counters
+  router.get('/:id', async (req, res) => {
+    try {
+      const campaign = await campaigns.getCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+      res.status(200).json({ success: true, campaign });
+    } catch (readError) {
+      console.error('[Campaigns] Error reading campaign:', readError.message);
+      res.status(500).json({ success: false, error: 'Could not read campaign' });
+    }
+  });
+
+  // GET /api/admin/campaigns/:id/recipients?status=failed&offset=0&limit=100
+  router.get('/:id/recipients', async (req, res) => {
+    const { status } = req.query;
+    if (status && !RECIPIENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${RECIPIENT_STATUSES.join(', ')}` });
+    }
+
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    try {
+      const recipients = await campaigns.listRecipients(req.params.id, { status, offset, limit });
+      res.status(200).json({ success: true, count: recipients.length, recipients });
+    } catch (listError) {
+      console.error('[Campaigns] Error listing campaign recipients:', listError.message);
+      res.status(500).json({ success: false, error: 'Could not list campaign recipients' });
+    }
+  });
+
+  // POST /api/admin/campaigns/:id/cancel
+  router.post('/:id/cancel', async (req, res) => {
+    try {
+      const campaign = await campaigns.cancelCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(409).json({ success: false, error: 'Campaign is not running' });
+      }
+      res.status(200).json({ success: true, campaign });
+    } catch (cancelError) {
+      console.error('[Campaigns] Error cancelling campaign:', cancelError.message);
+      res.status(500).json({ success: false, error: 'Could not cancel campaign' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCampaignsRouter };
@@ -0,0 +1,101 @@
+const express = require('express');
+const { toE164 } = require('../services/phone-number');
+const { CONSENT_STATUSES } = require('../services/consent');
+
+const EXPORT_COLUMNS = ['created_at', 'phone', 'status', 'source', 'keyword', 'note'];
+
+// Quote a value for CSV
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Admin routes to look up, record and audit messaging consent
+function createConsentRouter({ consent, requireApiKey }) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  // GET /api/admin/consent/export?phone=...&from=2024-05-01&to=2024-05-31&format=csv
+  // Every opt-in and opt-out, oldest first
+  router.get('/export', async (req, res) => {
+    const { phone, format } = req.query;
+    if (phone && !toE164(phone)) {
+      return res.status(400).json({ success: false, error: 'phone is not a valid phone number' });
+    }
+
+    const range = {};
+    for (const field of ['from', 'to']) {
+      if (req.query[field]) {
+        const date = new Date(req.query[field]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ success: false, error: `${field} must be a date, e.g. 2024-05-01` });
+        }
+        range[field] = date.toISOString();
+      }
+    }
+
+    try {
+      const events = await consent.listEvents({ phone, ...range });
+
+      if (format === 'csv') {
+        const rows = events.map(event => EXPORT_COLUMNS.map(column => csvValue(event[column])).join(','));
+        res.setHeader('Content-Disposition', `attachment; filename="consent-${Date.now()}.csv"`);
+        return res.status(200).type('text/csv').send([EXPORT_COLUMNS.join(','), ...rows].join('\n'));
+      }
+
+      res.setHeader('Content-Disposition', `attachment; filename="consent-${Date.now()}.json"`);
+      res.status(200).json({ success: true, count: events.length, events });
+    } catch (error) {
+      console.error('[Consent] Error exporting consent events:', error.message);
+      res.status(500).json({ success: false, error: 'Could not export consent events' });
+    }
+  });
+
+  // GET /api/admin/consent/:phone
+  router.get('/:phone', async (req, res) => {
+    const phone = toE164(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'phone is not a valid phone number' });
+    }
+
+    try {
+      const latest = await consent.getConsent(phone);
+      res.status(200).json({
+        success: true,
+        phone,
+        status: latest ? latest.status : 'not_set',
+        canSend: !latest || latest.status !== 'opted_out',
+        updatedAt: latest ? latest.created_at : null,
+        source: latest ? latest.source : null
+      });
+    } catch (error) {
+      console.error('[Consent] Error reading consent:', error.message);
+      res.status(500).json({ success: false, error: 'Could not read consent' });
+    }
+  });
+
+  // POST /api/admin/consent
+  // Body: { phone, status: "opted_in" | "opted_out", source?, note? }
+  // For opt-outs received outside WhatsApp, e.g. by phone or email
+  router.post('/', async (req, res) => {
+    const { phone, status, source, note } = req.body || {};
+    if (!phone || !toE164(phone)) {
+      return res.status(400).json({ success: false, error: 'A valid phone is required' });
+    }
+    if (!CONSENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${CONSENT_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const event = await consent.record(phone, status, { source: source || 'admin', note });
+      res.status(201).json({ success: true, event });
+    } catch (error) {
+      console.error('[Consent] Error recording consent:', error.message);
+      res.status(500).json({ success: false, error: 'Could not record consent' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createConsentRouter };
@@ -0,0 +1,112 @@
+const express = require('express');
+const { toWhatsAppAddress } = require('../services/phone-number');
+
+// Browser chat for trying the bot locally. The page sends each message through the Twilio
+// webhook handler as if it came from the chosen number and shows the TwiML it replies with.
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>MediHut bot - dev chat</title>
+  <style>
+    body { font-family: sans-serif; max-width: 720px; margin: 2em auto; }
+    #log { border: 1px solid #ccc; height: 420px; overflow-y: auto; padding: 0.5em; background: #f7f7f7; }
+    .msg { white-space: pre-wrap; margin: 0.4em 0; padding: 0.4em 0.6em; border-radius: 6px; max-width: 80%; }
+    .in { background: #dcf8c6; margin-left: auto; }
+    .out { background: #fff; border: 1px solid #ddd; }
+    .error { color: #b00; }
+    form { display: flex; gap: 0.5em; margin-top: 0.5em; }
+    #body { flex: 1; }
+    pre { background: #eee; padding: 0.5em; overflow-x: auto; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h1>Dev chat</h1>
+  <label>From <input id="from" value="+919876543210"></label>
+  <div id="log"></div>
+  <form id="send">
+    <input id="body" autocomplete="off" placeholder="Type a message">
+    <button>Send</button>
+  </form>
+  <h3>Last TwiML reply</h3>
+  <pre id="twiml"></pre>
+  <script>
+    const log = document.getElementById('log');
+
+    function show(text, className) {
+      const div = document.createElement('div');
+      div.className = 'msg ' + className;
+      div.textContent = text;
+      log.appendChild(div);
+      log.scrollTop = log.scrollHeight;
+    }
+
+    document.getElementById('send').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const input = document.getElementById('body');
+      const body = input.value;
+      if (!body.trim()) {
+        return;
+      }
+      input.value = '';
+      show(body, 'in');
+
+      try {
+        const response = await fetch('message', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ from: document.getElementById('from').value, body })
+        });
+        const twiml = await response.text();
+        document.getElementById('twiml').textContent = twiml;
+        if (!response.ok) {
+          return show(twiml, 'out error');
+        }
+        const xml = new DOMParser().parseFromString(twiml, 'text/xml');
+        xml.querySelectorAll('Message').forEach(message => show(message.textContent, 'out'));
+      } catch (error) {
+        show(error.message, 'out error');
+      }
+    });
+  </script>
+</body>
+</html>`;
+
+function createDevChatRouter({ webhookHandler }) {
+  const router = express.Router();
+
+  // GET /dev/chat/ - the chat page
+  router.get('/', (req, res) => {
+    // The page posts to a relative URL, so it needs the trailing slash
+    if (!req.originalUrl.split('?')[0].endsWith('/')) {
+      return res.redirect(`${req.baseUrl}/`);
+    }
+    res.type('html').send(PAGE);
+  });
+
+  // POST /dev/chat/message
+  // Body: { from, body } - replies with the TwiML the webhook would send to Twilio
+  router.post('/message', (req, res) => {
+    const { from, body } = req.body || {};
+    const address = toWhatsAppAddress(from);
+    if (!address) {
+      return res.status(400).type('text/plain').send('from must be a valid phone number');
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).type('text/plain').send('body is required');
+    }
+
+    // Shaped like a Twilio webhook request
+    req.body = {
+      From: address,
+      Body: body,
+      NumMedia: '0',
+      MessageSid: `SMdev${Date.now()}`
+    };
+    return webhookHandler(req, res);
+  });
+
+  return router;
+}
+
+module.exports = { createDevChatRouter };
@@ -0,0 +1,40 @@
+const express = require('express');
+const { extractEntities } = require('../services/entities');
+
+// Admin routes to inspect the intent config and see how a message would be matched
+function createIntentsRouter({ intentRegistry, requireApiKey }) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  // GET /api/admin/intents - the menu, intents and matching thresholds in use
+  router.get('/', (req, res) => {
+    res.status(200).json({ success: true, ...intentRegistry.describe() });
+  });
+
+  // GET /api/admin/intents/match?text=track%20order&state=awaiting_order_id
+  // Every intent that would match, best first. state is the user's conversation state (default: none).
+  // Messages in a flow that no intent interrupts go to the flow's own handler first.
+  router.get('/match', (req, res) => {
+    const { text, state } = req.query;
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ success: false, error: 'text is required' });
+    }
+
+    const entities = extractEntities(String(text));
+    const match = intentRegistry.match(String(text), { state, entities });
+    res.status(200).json({
+      success: true,
+      text: match.text,
+      state: match.state,
+      intent: match.intent ? match.intent.intent : null,
+      ambiguous: match.ambiguous,
+      choices: match.choices.map(choice => choice.intent),
+      candidates: match.candidates,
+      entities
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createIntentsRouter };
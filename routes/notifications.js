@@ -0,0 +1,116 @@
+const express = require('express');
+const { normalizeOrderStatus, renderOrderStatusMessage, ORDER_STATUSES } = require('../services/order-status-templates');
+const { toWhatsAppAddress } = require('../services/phone-number');
+
+// Routes the main server calls to send proactive WhatsApp notifications.
+// Each (order, status) pair is recorded in the order_notifications table
+// (unique on order_id + status) so repeated status events don't notify twice.
+// Notifications are refused with a 503 while proactiveMessagesEnabled is false (consent kept in memory).
+// Messages are written in the language the customer chose in the chat (getUserLanguage).
+function createNotificationsRouter({ supabase, sendWhatsAppMessage, getUserLanguage, consent, proactiveMessagesEnabled, requireApiKey }) {
+  const router = express.Router();
+
+  // Find the phone number of the customer who placed an order
+  async function findCustomerPhone(orderId) {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('id, user_id')
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (orderError || !order) {
+      console.error(`[Notifications] Order lookup failed for ${orderId}: ${orderError?.message || 'Order not found'}`);
+      return null;
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, phone')
+      .eq('id', order.user_id)
+      .maybeSingle();
+
+    if (userError || !user || !user.phone) {
+      console.error(`[Notifications] No phone found for order ${orderId}: ${userError?.message || 'User has no phone'}`);
+      return null;
+    }
+
+    return user.phone;
+  }
+
+  // POST /api/notifications/order-status
+  // Body: { orderId, status, phone?, courier?, trackingNumber?, trackingUrl?, reason? }
+  router.post('/order-status', requireApiKey, async (req, res) => {
+    if (!proactiveMessagesEnabled) {
+      return res.status(503).json({ success: false, error: 'Notifications are disabled until CONSENT_STORE is set to supabase' });
+    }
+
+    const { orderId, phone, courier, trackingNumber, trackingUrl, reason } = req.body || {};
+    const status = normalizeOrderStatus(req.body && req.body.status);
+
+    if (!orderId || !status) {
+      return res.status(400).json({
+        success: false,
+        error: `orderId and a valid status are required. Supported statuses: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    try {
+      const customerPhone = phone || await findCustomerPhone(orderId);
+      if (!customerPhone) {
+        return res.status(404).json({ success: false, error: 'Could not find a phone number for this order' });
+      }
+
+      const to = toWhatsAppAddress(customerPhone);
+      if (!to) {
+        return res.status(400).json({ success: false, error: `Invalid phone number: ${customerPhone}` });
+      }
+
+      // Customers who replied STOP don't get notifications; this isn't a failure to retry
+      if (!await consent.canSend(to)) {
+        console.log(`[Notifications] Skipping ${status} notification for order ${orderId}: customer opted out`);
+        return res.status(200).json({ success: true, sent: false, optedOut: true });
+      }
+
+      // Record the notification first; the unique constraint tells us if it was already sent
+      const { error: recordError } = await supabase
+        .from('order_notifications')
+        .insert([{ order_id: orderId, status, phone: to, sent_at: new Date() }]);
+
+      if (recordError) {
+        if (recordError.code === '23505') {
+          console.log(`[Notifications] Skipping duplicate ${status} notification for order ${orderId}`);
+          return res.status(200).json({ success: true, sent: false, duplicate: true });
+        }
+        console.error(`[Notifications] Could not record notification: ${recordError.message}`);
+        return res.status(500).json({ success: false, error: 'Could not record notification' });
+      }
+
+      // Orders are shown to customers by the first part of their ID
+      const displayId = String(orderId).split('-')[0];
+      const lang = await getUserLanguage(to);
+      const message = renderOrderStatusMessage(lang, status, { orderId: displayId, courier, trackingNumber, trackingUrl, reason });
+
+      const sent = await sendWhatsAppMessage(to, message);
+      if (!sent) {
+        // Remove the record so the main server can retry this event
+        await supabase
+          .from('order_notifications')
+          .delete()
+          .eq('order_id', orderId)
+          .eq('status', status);
+
+        return res.status(502).json({ success: false, error: 'Failed to send WhatsApp message' });
+      }
+
+      console.log(`[Notifications] Sent ${status} notification for order ${orderId} to ${to}`);
+      return res.status(200).json({ success: true, sent: true });
+    } catch (error) {
+      console.error('[Notifications] Error sending order status notification:', error);
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationsRouter };
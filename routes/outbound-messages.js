@@ -0,0 +1,51 @@
+const express = require('express');
+
+// Admin routes for inspecting and retrying outbound messages
+function createOutboundMessagesRouter({ messageQueue, requireApiKey }) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  // GET /api/admin/messages?status=dead,failed&limit=50
+  // Defaults to messages that did not reach the customer
+  router.get('/', async (req, res) => {
+    const statuses = (req.query.status || 'dead,retrying,failed,undelivered')
+      .split(',')
+      .map(status => status.trim())
+      .filter(Boolean);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    try {
+      const messages = await messageQueue.list({ statuses, limit });
+      res.status(200).json({ success: true, count: messages.length, messages });
+    } catch (error) {
+      console.error('[Queue] Error listing messages:', error.message);
+      res.status(500).json({ success: false, error: 'Could not list messages' });
+    }
+  });
+
+  // POST /api/admin/messages/:id/retry
+  // Only for dead messages and ones the provider reported as failed or undelivered
+  router.post('/:id/retry', async (req, res) => {
+    try {
+      const { message, error } = await messageQueue.retry(req.params.id);
+      if (error === 'not_found') {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+      if (error === 'not_retryable') {
+        return res.status(409).json({
+          success: false,
+          error: 'Only dead messages and messages that failed to deliver can be retried',
+          message
+        });
+      }
+      res.status(200).json({ success: true, message });
+    } catch (error) {
+      console.error('[Queue] Error retrying message:', error.message);
+      res.status(500).json({ success: false, error: 'Could not retry message' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOutboundMessagesRouter };
@@ -0,0 +1,103 @@
+const express = require('express');
+const { toE164 } = require('../services/phone-number');
+const { maskPhone, redactText } = require('../services/masking');
+
+// Largest number of entries a single export returns
+const MAX_EXPORT_ENTRIES = 5000;
+
+// Inbound messages sent while the bot was asking for an address are addresses in full
+const ADDRESS_INTENTS = ['flow:awaiting_address'];
+
+// Admin routes for reading conversation transcripts
+function createTranscriptsRouter({ transcripts, requireApiKey }) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  // Read and validate the shared query filters. Returns { error } for bad input.
+  function parseFilters(query) {
+    const filters = {};
+
+    if (query.phone) {
+      filters.phone = toE164(query.phone);
+      if (!filters.phone) {
+        return { error: 'phone is not a valid phone number' };
+      }
+    }
+
+    for (const field of ['from', 'to']) {
+      if (query[field]) {
+        const date = new Date(query[field]);
+        if (isNaN(date.getTime())) {
+          return { error: `${field} must be a date, e.g. 2024-05-01 or 2024-05-01T10:00:00Z` };
+        }
+        filters[field] = date.toISOString();
+      }
+    }
+
+    if (query.intent) {
+      filters.intent = query.intent;
+    }
+    if (query.direction) {
+      filters.direction = query.direction;
+    }
+
+    return { filters };
+  }
+
+  // Export copy of an entry: masked phone, redacted body and no media URLs
+  function redactEntry(entry) {
+    return {
+      ...entry,
+      phone: maskPhone(entry.phone),
+      body: entry.direction === 'inbound' && ADDRESS_INTENTS.includes(entry.intent) ? '[address]' : redactText(entry.body),
+      media: (entry.media || []).map(item => ({ contentType: item.contentType }))
+    };
+  }
+
+  // GET /api/admin/transcripts?phone=+919876543210&from=2024-05-01&to=2024-05-31&intent=track_order&page=1&limit=50
+  router.get('/', async (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    try {
+      const result = await transcripts.query(filters, { page, limit });
+      res.status(200).json({ success: true, ...result });
+    } catch (queryError) {
+      console.error('[Transcripts] Error querying transcripts:', queryError.message);
+      res.status(500).json({ success: false, error: 'Could not read transcripts' });
+    }
+  });
+
+  // GET /api/admin/transcripts/export?phone=...&from=...&to=...
+  // Oldest first, with phone numbers, emails and addresses redacted
+  router.get('/export', async (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    try {
+      const { entries, total } = await transcripts.query(filters, { page: 1, limit: MAX_EXPORT_ENTRIES });
+
+      res.setHeader('Content-Disposition', `attachment; filename="transcript-${Date.now()}.json"`);
+      res.status(200).json({
+        success: true,
+        count: entries.length,
+        truncated: total > entries.length,
+        entries: entries.reverse().map(redactEntry)
+      });
+    } catch (exportError) {
+      console.error('[Transcripts] Error exporting transcripts:', exportError.message);
+      res.status(500).json({ success: false, error: 'Could not export transcripts' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTranscriptsRouter };
@@ -0,0 +1,27 @@
+// Checks that every locale defines every message key of the base locale.
+// Usage: npm run check:locales
+
+const { locales, listKeys, BASE_LANGUAGE } = require('../i18n');
+
+const baseKeys = listKeys(locales[BASE_LANGUAGE]);
+let hasErrors = false;
+
+Object.entries(locales).forEach(([language, catalog]) => {
+  const keys = listKeys(catalog);
+  const missing = baseKeys.filter(key => !keys.includes(key));
+  const extra = keys.filter(key => !baseKeys.includes(key));
+
+  if (missing.length > 0) {
+    hasErrors = true;
+    console.error(`[Locales] ${language} is missing ${missing.length} key(s):\n  ${missing.join('\n  ')}`);
+  }
+  if (extra.length > 0) {
+    console.warn(`[Locales] ${language} has ${extra.length} key(s) not in ${BASE_LANGUAGE}:\n  ${extra.join('\n  ')}`);
+  }
+});
+
+if (hasErrors) {
+  process.exit(1);
+}
+
+console.log(`[Locales] All ${Object.keys(locales).length} locales define all ${baseKeys.length} keys.`);
@@ -0,0 +1,244 @@
+// Offline conversation simulator: runs the bot against stubbed Supabase, Twilio and
+// main server clients (see scripts/simulator), so nothing leaves this machine.
+// Usage:
+//   npm run simulate                                      chat in the terminal
+//   npm run simulate -- --serve [port]                    chat in the browser at /dev/chat/
+//   npm run simulate -- --replay <file or directory>      replay scripted conversations and check the replies
+// Add --verbose to see the bot's own logs.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+
+// Keep the outbound queue out of data/ and start each run with an empty one
+if (!process.env.MESSAGE_QUEUE_FILE) {
+  process.env.MESSAGE_QUEUE_FILE = path.join(os.tmpdir(), `medihut-simulator-${process.pid}.json`);
+  process.on('exit', () => fs.rmSync(process.env.MESSAGE_QUEUE_FILE, { force: true }));
+}
+process.env.TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER || '+14155238886';
+
+const { createApp } = require('../app');
+const { createStubSupabase, createStubTwilio, createStubMainServer } = require('./simulator/stubs');
+const fixtures = require('./simulator/fixtures');
+
+// Number of the registered customer in the fixtures
+const DEFAULT_FROM = '+919876543210';
+const DEFAULT_SERVE_PORT = 3100;
+
+// The simulator's own output; the bot's console logging is muted unless --verbose is set
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+if (!verbose) {
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    console[method] = () => {};
+  });
+}
+
+// Build a bot on fresh copies of the fixtures
+// onOutbound({ to, body }) is called for messages the bot sends on its own, e.g. reminders
+function createSimulatedBot({ onOutbound } = {}) {
+  const supabase = createStubSupabase(fixtures.tables);
+
+  return createApp({
+    supabase,
+    twilioClient: createStubTwilio({ onMessage: onOutbound }),
+    httpClient: createStubMainServer({ supabase, medicines: fixtures.medicines, products: fixtures.products }),
+    serverUrl: 'http://main-server.stub',
+    devChat: true
+  });
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Message bodies in a TwiML reply
+function parseTwiml(twiml) {
+  const messages = [];
+  const pattern = /<Message>([\s\S]*?)<\/Message>/g;
+  let match;
+  while ((match = pattern.exec(twiml))) {
+    messages.push(unescapeXml(match[1]));
+  }
+  return messages;
+}
+
+// Serve the bot on a free local port and send messages through the same route as /dev/chat
+async function connect(bot) {
+  const server = await new Promise(resolve => {
+    const listener = bot.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/dev/chat/message`;
+
+  async function send(from, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from, body })
+    });
+    const twiml = await response.text();
+    if (!response.ok) {
+      throw new Error(`Bot replied with HTTP ${response.status}: ${twiml}`);
+    }
+    return { twiml, messages: parseTwiml(twiml) };
+  }
+
+  function close() {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  return { send, close };
+}
+
+// Interactive chat in the terminal
+async function runRepl() {
+  let from = DEFAULT_FROM;
+  let showTwiml = false;
+
+  const bot = createSimulatedBot({
+    onOutbound: message => print(`\n[sent to ${message.to}]\n${message.body}\n`)
+  });
+  const chat = await connect(bot);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  print('MediHut bot simulator. Commands: /from <phone>, /twiml (show raw replies), /quit');
+  print(`Chatting as ${from}, the registered customer in the fixtures.\n`);
+  rl.setPrompt(`${from}> `);
+  rl.prompt();
+
+  for await (const line of rl) {
+    const input = line.trim();
+
+    if (input === '/quit' || input === '/exit') {
+      break;
+    } else if (input.startsWith('/from')) {
+      const number = input.slice('/from'.length).trim();
+      if (number) {
+        from = number;
+      }
+      print(`Chatting as ${from}`);
+    } else if (input === '/twiml') {
+      showTwiml = !showTwiml;
+      print(`Raw TwiML ${showTwiml ? 'on' : 'off'}`);
+    } else if (input) {
+      try {
+        const { twiml, messages } = await chat.send(from, input);
+        if (showTwiml) {
+          print(twiml);
+        }
+        print(messages.length > 0 ? messages.map(message => `\n${message}\n`).join('') : '(no reply)');
+      } catch (error) {
+        print(`Error: ${error.message}`);
+      }
+    }
+
+    rl.setPrompt(`${from}> `);
+    rl.prompt();
+  }
+
+  rl.close();
+  chat.close();
+  bot.stop();
+}
+
+// Browser chat at /dev/chat/, until stopped with Ctrl+C
+function runServer(port) {
+  const bot = createSimulatedBot({
+    onOutbound: message => print(`[sent to ${message.to}] ${message.body}`)
+  });
+  bot.app.listen(port, '127.0.0.1', () => {
+    print(`Simulator running: open http://localhost:${port}/dev/chat/`);
+  });
+}
+
+function listConversationFiles(target) {
+  if (fs.statSync(target).isDirectory()) {
+    return fs.readdirSync(target)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(target, file));
+  }
+  return [target];
+}
+
+// Replay one conversation on a fresh bot. Returns null if every step got the expected reply,
+// otherwise a description of the first step that didn't.
+// Conversation file: { name, from?, steps: [{ send, from?, expect?: "text" | ["text", ...] }] }
+async function replayConversation(conversation) {
+  const bot = createSimulatedBot();
+  const chat = await connect(bot);
+
+  try {
+    for (let i = 0; i < conversation.steps.length; i++) {
+      const step = conversation.steps[i];
+      const { messages } = await chat.send(step.from || conversation.from || DEFAULT_FROM, step.send);
+      const reply = messages.join('\n');
+      const missing = [].concat(step.expect || []).filter(text => !reply.includes(text));
+
+      if (missing.length > 0) {
+        return `step ${i + 1} ("${step.send}") expected ${missing.map(text => `"${text}"`).join(', ')} in the reply:\n${reply || '(no reply)'}`;
+      }
+    }
+    return null;
+  } finally {
+    chat.close();
+    bot.stop();
+  }
+}
+
+async function runReplay(target) {
+  if (!target || !fs.existsSync(target)) {
+    print('Usage: npm run simulate -- --replay <conversation file or directory>');
+    process.exitCode = 1;
+    return;
+  }
+
+  let failed = 0;
+  const files = listConversationFiles(target);
+
+  for (const file of files) {
+    const conversation = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const name = conversation.name || path.basename(file, '.json');
+
+    try {
+      const failure = await replayConversation(conversation);
+      if (failure) {
+        failed++;
+        print(`✗ ${name}: ${failure}\n`);
+      } else {
+        print(`✓ ${name} (${conversation.steps.length} steps)`);
+      }
+    } catch (error) {
+      failed++;
+      print(`✗ ${name}: ${error.message}\n`);
+    }
+  }
+
+  print(`\n${files.length - failed} of ${files.length} conversation(s) passed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+const serveIndex = args.indexOf('--serve');
+const replayIndex = args.indexOf('--replay');
+
+if (replayIndex !== -1) {
+  runReplay(args[replayIndex + 1]);
+} else if (serveIndex !== -1) {
+  runServer(parseInt(args[serveIndex + 1]) || DEFAULT_SERVE_PORT);
+} else {
+  runRepl();
+}
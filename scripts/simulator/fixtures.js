@@ -0,0 +1,109 @@
+// Sample data the simulator starts with. Every run starts from a fresh copy.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+// Registered customer: message as +919876543210 to use this account
+const users = [
+  {
+    id: 'a1b2c3d4-0000-4000-8000-000000000001',
+    username: 'Asha Verma',
+    email: 'asha.verma@example.com',
+    phone: '9876543210',
+    address: '12 MG Road, Koramangala, Bengaluru 560034',
+    created_at: daysAgo(400)
+  }
+];
+
+const orders = [
+  {
+    id: 'face1234-5678-4abc-8def-0123456789ab',
+    user_id: users[0].id,
+    status: 'Confirmed',
+    total_amount: 145,
+    payment_method: 'upi',
+    payment_status: 'paid',
+    items: [
+      { name: 'Vicks VapoRub 50ml', quantity: 1, price: 145 }
+    ],
+    shipping_address: { address: users[0].address },
+    created_at: daysAgo(0.5)
+  },
+  {
+    id: 'c0ffee12-3456-4789-8abc-def012345678',
+    user_id: users[0].id,
+    status: 'Shipped',
+    total_amount: 130,
+    payment_method: 'cod',
+    payment_status: 'pending',
+    items: [
+      { name: 'Paracetamol 500mg Tablet', quantity: 2, price: 30 },
+      { name: 'Cetirizine 10mg Tablet', quantity: 1, price: 70 }
+    ],
+    shipping_address: { address: users[0].address },
+    status_history: [
+      { status: 'Confirmed', at: daysAgo(3) },
+      { status: 'Packed', at: daysAgo(2) },
+      { status: 'Shipped', at: daysAgo(1), note: 'Bengaluru hub' }
+    ],
+    delivery_info: {
+      courier: 'Delhivery',
+      tracking_number: 'DL123456789',
+      tracking_url: 'https://track.example.com/DL123456789',
+      estimated_delivery: daysAgo(-2)
+    },
+    created_at: daysAgo(3)
+  },
+  {
+    id: 'beef4567-89ab-4cde-8f01-23456789abcd',
+    user_id: users[0].id,
+    status: 'Delivered',
+    total_amount: 60,
+    payment_method: 'cod',
+    payment_status: 'paid',
+    items: [
+      { name: 'Paracetamol 500mg Tablet', quantity: 2, price: 30 }
+    ],
+    created_at: daysAgo(33)
+  },
+  {
+    id: 'dead9876-5432-4abc-8def-0123456789ab',
+    user_id: users[0].id,
+    status: 'Refunded',
+    total_amount: 95,
+    payment_method: 'upi',
+    payment_status: 'refunded',
+    items: [
+      { name: 'Amoxicillin 500mg Capsule', quantity: 1, price: 95 }
+    ],
+    status_history: [
+      { status: 'Confirmed', at: daysAgo(60) },
+      { status: 'Cancelled', at: daysAgo(59), note: 'Prescription not approved' },
+      { status: 'Refunded', at: daysAgo(57) }
+    ],
+    created_at: daysAgo(60)
+  }
+];
+
+// Catalog, in the shapes the main server's search endpoints return
+const medicines = [
+  { id: 'med-1', 'Product Name': 'Paracetamol 500mg Tablet', 'Brand Name': 'Crocin', MRP: 30, prescription_required: false },
+  { id: 'med-2', 'Product Name': 'Paracetamol 650mg Tablet', 'Brand Name': 'Dolo', MRP: 34, prescription_required: false },
+  { id: 'med-3', 'Product Name': 'Cetirizine 10mg Tablet', 'Brand Name': 'Cetzine', MRP: 70, prescription_required: false },
+  { id: 'med-4', 'Product Name': 'Amoxicillin 500mg Capsule', 'Brand Name': 'Mox', MRP: 95, prescription_required: true },
+  { id: 'med-5', 'Product Name': 'Azithromycin 500mg Tablet', 'Brand Name': 'Azee', MRP: 120, prescription_required: true }
+];
+
+const products = [
+  { id: 'prod-1', name: 'Vicks VapoRub 50ml', brand: 'Vicks', price: 145 },
+  { id: 'prod-2', name: 'Dettol Antiseptic Liquid 250ml', brand: 'Dettol', price: 120 }
+];
+
+module.exports = {
+  tables: { users, orders },
+  medicines,
+  products
+};
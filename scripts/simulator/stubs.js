@@ -0,0 +1,347 @@
+const { v4: uuidv4 } = require('uuid');
+const { getLookupCandidates } = require('../../services/phone-number');
+
+// In-process stand-ins for Supabase, Twilio and the main server, so the bot can run
+// without any network access. They cover the calls the bot makes, not the full APIs.
+
+// Values are stored the way Postgres returns them: dates as ISO strings
+function toStored(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function compare(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+// Supabase client over in-memory tables: { tableName: [rows] }
+// The tables are exposed as .tables so the main server stub can share them.
+function createStubSupabase(seed = {}) {
+  const tables = {};
+  Object.keys(seed).forEach(name => {
+    tables[name] = seed[name].map(row => ({ ...row }));
+  });
+
+  function rowsOf(name) {
+    if (!tables[name]) {
+      tables[name] = [];
+    }
+    return tables[name];
+  }
+
+  function createQuery(table) {
+    const state = {
+      action: 'select',
+      filters: [],
+      order: [],
+      limit: null,
+      range: null,
+      single: null,
+      rows: null,
+      changes: null,
+      onConflict: 'id',
+      returning: false,
+      count: false,
+      head: false
+    };
+
+    function where(test) {
+      state.filters.push(test);
+      return query;
+    }
+
+    function insertRow(row) {
+      const stored = {};
+      Object.keys(row).forEach(key => {
+        stored[key] = toStored(row[key]);
+      });
+      if (stored.id === undefined) {
+        stored.id = uuidv4();
+      }
+      if (stored.created_at === undefined) {
+        stored.created_at = new Date().toISOString();
+      }
+      rowsOf(table).push(stored);
+      return stored;
+    }
+
+    function execute() {
+      const rows = rowsOf(table);
+      const matching = rows.filter(row => state.filters.every(test => test(row)));
+      let data;
+
+      if (state.action === 'insert') {
+        data = state.rows.map(insertRow);
+      } else if (state.action === 'upsert') {
+        data = state.rows.map(row => {
+          const existing = rows.find(candidate => candidate[state.onConflict] === row[state.onConflict]);
+          return existing ? Object.assign(existing, row) : insertRow(row);
+        });
+      } else if (state.action === 'update') {
+        const changes = {};
+        Object.keys(state.changes).forEach(key => {
+          changes[key] = toStored(state.changes[key]);
+        });
+        data = matching.map(row => Object.assign(row, changes));
+      } else if (state.action === 'delete') {
+        tables[table] = rows.filter(row => !matching.includes(row));
+        data = matching;
+      } else {
+        data = matching.slice();
+        state.order.forEach(({ column, ascending }) => {
+          data.sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]));
+        });
+      }
+
+      const count = data.length;
+      if (state.range) {
+        data = data.slice(state.range[0], state.range[1] + 1);
+      }
+      if (state.limit !== null) {
+        data = data.slice(0, state.limit);
+      }
+      data = data.map(row => ({ ...row }));
+
+      if (state.action !== 'select' && !state.returning) {
+        data = null;
+      }
+      if (state.head) {
+        data = null;
+      }
+
+      if (state.single) {
+        if (data.length > 1 || (data.length === 0 && state.single === 'single')) {
+          return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+        }
+        data = data[0] || null;
+      }
+
+      return { data, error: null, count: state.count ? count : null };
+    }
+
+    const query = {
+      select(columns, { count, head } = {}) {
+        state.returning = true;
+        state.count = !!count;
+        state.head = !!head;
+        return query;
+      },
+      insert(rows) {
+        state.action = 'insert';
+        state.rows = [].concat(rows);
+        return query;
+      },
+      upsert(rows, { onConflict = 'id' } = {}) {
+        state.action = 'upsert';
+        state.rows = [].concat(rows);
+        state.onConflict = onConflict;
+        return query;
+      },
+      update(changes) {
+        state.action = 'update';
+        state.changes = changes;
+        return query;
+      },
+      delete() {
+        state.action = 'delete';
+        return query;
+      },
+      eq: (column, value) => where(row => row[column] !== null && row[column] !== undefined && String(row[column]) === String(value)),
+      neq: (column, value) => where(row => String(row[column]) !== String(value)),
+      in: (column, values) => where(row => values.map(String).includes(String(row[column]))),
+      gt: (column, value) => where(row => row[column] !== null && row[column] !== undefined && compare(row[column], toStored(value)) > 0),
+      gte: (column, value) => where(row => row[column] !== null && row[column] !== undefined && compare(row[column], toStored(value)) >= 0),
+      lt: (column, value) => where(row => row[column] !== null && row[column] !== undefined && compare(row[column], toStored(value)) < 0),
+      lte: (column, value) => where(row => row[column] !== null && row[column] !== undefined && compare(row[column], toStored(value)) <= 0),
+      is: (column, value) => where(row => (value === null ? row[column] === null || row[column] === undefined : row[column] === value)),
+      not(column, operator, value) {
+        if (operator !== 'is') {
+          throw new Error(`Stub Supabase does not support not(..., '${operator}', ...)`);
+        }
+        return where(row => (value === null ? row[column] !== null && row[column] !== undefined : row[column] !== value));
+      },
+      order(column, { ascending = true } = {}) {
+        state.order.push({ column, ascending });
+        return query;
+      },
+      limit(count) {
+        state.limit = count;
+        return query;
+      },
+      range(from, to) {
+        state.range = [from, to];
+        return query;
+      },
+      single() {
+        state.single = 'single';
+        return query;
+      },
+      maybeSingle() {
+        state.single = 'maybe';
+        return query;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(execute).then(resolve, reject);
+      }
+    };
+
+    return query;
+  }
+
+  return {
+    tables,
+    from: createQuery,
+    storage: {
+      from: () => ({
+        upload: async (filePath) => ({ data: { path: filePath }, error: null }),
+        remove: async (paths) => ({ data: paths, error: null })
+      })
+    }
+  };
+}
+
+// Twilio client that records messages instead of sending them
+// onMessage({ to, body }) is called for every message the bot sends on its own
+function createStubTwilio({ onMessage } = {}) {
+  const sent = [];
+
+  return {
+    sent,
+    messages: {
+      async create({ to, body }) {
+        const message = { sid: `SMstub${sent.length + 1}`, to, body, status: 'queued' };
+        sent.push(message);
+        if (onMessage) {
+          onMessage(message);
+        }
+        return message;
+      },
+      async list({ limit = 20 } = {}) {
+        return sent.slice(-limit);
+      }
+    }
+  };
+}
+
+// Error shaped like the ones axios throws for non-2xx responses
+function httpError(status, data) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data };
+  return error;
+}
+
+// Main server API (axios-compatible get/post) backed by the stub Supabase tables
+// plus a fixed catalog: { medicines: [...], products: [...] }
+function createStubMainServer({ supabase, medicines = [], products = [] }) {
+  const { tables } = supabase;
+
+  function findUser(phone) {
+    const candidates = getLookupCandidates(phone);
+    return (tables.users || []).find(user => candidates.includes(String(user.phone))) || null;
+  }
+
+  function ordersFor(user) {
+    return (tables.orders || [])
+      .filter(order => order.user_id === user.id)
+      .sort((a, b) => compare(b.created_at, a.created_at));
+  }
+
+  function search(list, query, limit) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return list
+      .filter(item => {
+        const name = String(item['Product Name'] || item.name).toLowerCase();
+        return words.every(word => name.includes(word));
+      })
+      .slice(0, limit || 100);
+  }
+
+  const routes = {
+    get: [
+      [/^\/api\/medicines\/search$/, ({ params }) => {
+        const results = search(medicines, params.query, params.limit);
+        return { medicines: results, count: results.length };
+      }],
+      [/^\/api\/products\/search$/, ({ params }) => {
+        const results = search(products, params.query, params.limit);
+        return { products: results, count: results.length };
+      }],
+      [/^\/orders\/history-by-phone$/, ({ params }) => {
+        const user = findUser(params.phone);
+        return { orders: user ? ordersFor(user) : [] };
+      }],
+      [/^\/orders\/([^/]+)\/track$/, ({ params, match }) => {
+        const user = findUser(params.phone);
+        const id = decodeURIComponent(match[1]).toLowerCase();
+        const order = user && ordersFor(user).find(candidate => candidate.id.toLowerCase().startsWith(id));
+        if (!order) {
+          throw httpError(404, { error: 'Order not found' });
+        }
+        return { order };
+      }]
+    ],
+    post: [
+      [/^\/orders\/create-by-phone$/, ({ body }) => {
+        const user = findUser(body.phone);
+        if (!user) {
+          throw httpError(404, { error: 'User not found' });
+        }
+        const order = {
+          id: uuidv4(),
+          user_id: user.id,
+          items: body.items,
+          total_amount: body.total_amount,
+          shipping_address: { address: body.shipping_address },
+          payment_method: body.payment_method,
+          payment_status: 'pending',
+          status: 'Processing',
+          created_at: new Date().toISOString()
+        };
+        tables.orders = (tables.orders || []).concat(order);
+        return { success: true, order };
+      }],
+      [/^\/orders\/([^/]+)\/cancel$/, ({ body, match }) => {
+        const user = findUser(body.phone);
+        const id = decodeURIComponent(match[1]).toLowerCase();
+        const order = user && ordersFor(user).find(candidate => candidate.id.toLowerCase() === id);
+        if (!order) {
+          throw httpError(404, { error: 'Order not found' });
+        }
+        if (!['processing', 'pending', 'confirmed', 'placed'].includes(String(order.status).toLowerCase())) {
+          throw httpError(409, { error: `Order is ${order.status}` });
+        }
+        order.status = 'Cancelled';
+        order.updated_at = new Date().toISOString();
+        return { success: true, order };
+      }]
+    ]
+  };
+
+  function handle(method, url, body, config = {}) {
+    const { pathname } = new URL(url, 'http://stub.local');
+    for (const [pattern, handler] of routes[method]) {
+      const match = pathname.match(pattern);
+      if (match) {
+        try {
+          return Promise.resolve({ status: 200, data: handler({ params: config.params || {}, body: body || {}, match }) });
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      }
+    }
+    return Promise.reject(httpError(404, { error: `No stub for ${method.toUpperCase()} ${pathname}` }));
+  }
+
+  return {
+    get: (url, config) => handle('get', url, null, config),
+    post: (url, body, config) => handle('post', url, body, config)
+  };
+}
+
+module.exports = {
+  createStubSupabase,
+  createStubTwilio,
+  createStubMainServer
+};
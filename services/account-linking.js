@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { parsePhoneNumber, getLookupCandidates } = require('./phone-number');
+
+// Links a WhatsApp number to an existing MediHut account with a one-time code.
+// Used when the WhatsApp number doesn't match any users.phone: the user enters
+// their registered email or phone, we send a code there, and a correct code
+// marks the account_links row as verified.
+//
+// Row states: pending -> verified, or pending -> expired | locked
+
+const CODE_LENGTH = 6;
+
+// Each WhatsApp number can request this many codes per hour
+const MAX_CODES_PER_HOUR = 3;
+
+// Codes are stored hashed so the table never holds a usable code
+function hashCode(whatsappNumber, code) {
+  return crypto.createHash('sha256').update(`${whatsappNumber}:${code}`).digest('hex');
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, Math.pow(10, CODE_LENGTH))).padStart(CODE_LENGTH, '0');
+}
+
+function isEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+function createAccountLinking({
+  supabase,
+  deliverCode,
+  tableName = 'account_links',
+  codeTtlMs = 10 * 60 * 1000,
+  maxAttempts = 5
+}) {
+  // Find the account a user identified by email or phone number
+  async function findAccount(identifier) {
+    const value = String(identifier || '').trim().toLowerCase();
+    let query = supabase.from('users').select('id, username, email, phone');
+
+    if (isEmail(value)) {
+      query = query.eq('email', value);
+    } else if (parsePhoneNumber(value)) {
+      query = query.in('phone', getLookupCandidates(value));
+    } else {
+      return null;
+    }
+
+    const { data, error } = await query.limit(1);
+    if (error) {
+      throw new Error(`Could not look up account: ${error.message}`);
+    }
+    return data && data[0] ? { user: data[0], channel: isEmail(value) ? 'email' : 'whatsapp' } : null;
+  }
+
+  async function countRecentCodes(whatsappNumber) {
+    const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const { count, error } = await supabase
+      .from(tableName)
+      .select('id', { count: 'exact', head: true })
+      .eq('whatsapp_number', whatsappNumber)
+      .gte('created_at', since);
+
+    if (error) {
+      throw new Error(`Could not count recent codes: ${error.message}`);
+    }
+    return count || 0;
+  }
+
+  async function getPendingLink(whatsappNumber) {
+    const { data, error } = await supabase
+      .from(tableName)
+      .select('*')
+      .eq('whatsapp_number', whatsappNumber)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Could not read pending code: ${error.message}`);
+    }
+    return data && data[0] ? data[0] : null;
+  }
+
+  async function updateLink(id, changes) {
+    const { error } = await supabase.from(tableName).update(changes).eq('id', id);
+    if (error) {
+      throw new Error(`Could not update account link: ${error.message}`);
+    }
+  }
+
+  // Send a code to the account matching an email or phone number.
+  // Returns { status: 'sent' | 'invalid_identifier' | 'rate_limited' }. An unknown account
+  // is also reported as 'sent' so the reply doesn't reveal which emails are registered.
+  async function startLinking(whatsappNumber, identifier) {
+    const value = String(identifier || '').trim();
+    if (!isEmail(value) && !parsePhoneNumber(value)) {
+      return { status: 'invalid_identifier' };
+    }
+
+    if (await countRecentCodes(whatsappNumber) >= MAX_CODES_PER_HOUR) {
+      console.log(`[Account Link] Code limit reached for ${whatsappNumber}`);
+      return { status: 'rate_limited' };
+    }
+
+    const account = await findAccount(value);
+    if (!account) {
+      console.log(`[Account Link] No account matches the identifier sent by ${whatsappNumber}`);
+      return { status: 'sent' };
+    }
+
+    // Only the newest code can be used
+    const { error: expireError } = await supabase
+      .from(tableName)
+      .update({ status: 'expired' })
+      .eq('whatsapp_number', whatsappNumber)
+      .eq('status', 'pending');
+
+    if (expireError) {
+      throw new Error(`Could not expire previous codes: ${expireError.message}`);
+    }
+
+    const code = generateCode();
+    const { error: insertError } = await supabase.from(tableName).insert([{
+      whatsapp_number: whatsappNumber,
+      user_id: account.user.id,
+      code_hash: hashCode(whatsappNumber, code),
+      status: 'pending',
+      attempts: 0,
+      expires_at: new Date(Date.now() + codeTtlMs).toISOString(),
+      created_at: new Date().toISOString()
+    }]);
+
+    if (insertError) {
+      throw new Error(`Could not store code: ${insertError.message}`);
+    }
+
+    await deliverCode({
+      whatsappNumber,
+      channel: account.channel,
+      destination: account.channel === 'email' ? account.user.email : account.user.phone,
+      code,
+      expiresInMinutes: Math.round(codeTtlMs / 60000)
+    });
+
+    console.log(`[Account Link] Sent code to user ${account.user.id} by ${account.channel} for ${whatsappNumber}`);
+    return { status: 'sent' };
+  }
+
+  // Check a code entered by the user.
+  // Returns { status: 'verified', userId } or { status: 'invalid', attemptsLeft } | 'expired' | 'locked' | 'no_pending'
+  async function verifyCode(whatsappNumber, code) {
+    const link = await getPendingLink(whatsappNumber);
+    if (!link) {
+      return { status: 'no_pending' };
+    }
+
+    if (new Date(link.expires_at) <= new Date()) {
+      await updateLink(link.id, { status: 'expired' });
+      return { status: 'expired' };
+    }
+
+    const expected = Buffer.from(link.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(whatsappNumber, String(code).trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const attempts = (link.attempts || 0) + 1;
+      const isLocked = attempts >= maxAttempts;
+      await updateLink(link.id, { attempts, ...(isLocked && { status: 'locked' }) });
+
+      console.log(`[Account Link] Wrong code from ${whatsappNumber} (${attempts}/${maxAttempts})`);
+      return isLocked ? { status: 'locked' } : { status: 'invalid', attemptsLeft: maxAttempts - attempts };
+    }
+
+    await updateLink(link.id, { status: 'verified', code_hash: null, verified_at: new Date().toISOString() });
+    console.log(`[Account Link] Linked ${whatsappNumber} to user ${link.user_id}`);
+    return { status: 'verified', userId: link.user_id };
+  }
+
+  // The user a WhatsApp number has been linked to, if any
+  async function getLinkedUserId(whatsappNumber) {
+    const { data, error } = await supabase
+      .from(tableName)
+      .select('user_id')
+      .eq('whatsapp_number', whatsappNumber)
+      .eq('status', 'verified')
+      .order('verified_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.error(`[Account Link] Could not read linked account: ${error.message}`);
+      return null;
+    }
+    return data && data[0] ? data[0].user_id : null;
+  }
+
+  return {
+    startLinking,
+    verifyCode,
+    getLinkedUserId
+  };
+}
+
+module.exports = {
+  createAccountLinking,
+  CODE_LENGTH
+};
@@ -0,0 +1,351 @@
+const { v4: uuidv4 } = require('uuid');
+const { runQuery } = require('./storage');
+
+// Bot analytics: which intents customers use, what they search for, how order
+// lookups turn out and how long upstream calls take. Each process counts per UTC
+// day in memory and saves its counts for the day to the storage every flush
+// interval, as one row per day and instance. Stats are read by merging the rows
+// of every instance, so they survive restarts and cover all instances.
+
+// Upstream latency samples kept per upstream per day; beyond this a random sample is kept
+const MAX_LATENCY_SAMPLES = 5000;
+
+// Days kept in memory while they can't be saved, so a process that can't reach the storage doesn't keep every day
+const MAX_DAYS = 30;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function increment(counts, key, by = 1) {
+  counts[key] = (counts[key] || 0) + by;
+}
+
+// Lower-case and collapse whitespace so "Dolo 650" and "dolo  650" count as one query
+function normalizeQuery(query) {
+  return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim().slice(0, 100);
+}
+
+// Short failure reason for an upstream error: HTTP status, network error code or "error"
+function failureReason(error) {
+  if (error && error.response && error.response.status) {
+    return `http_${error.response.status}`;
+  }
+  return (error && error.code) || 'error';
+}
+
+// Nearest-rank percentile of sorted numbers
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(Math.ceil((p / 100) * sorted.length), sorted.length) - 1];
+}
+
+function topEntries(counts, limit, key) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value, count]) => ({ [key]: value, count }));
+}
+
+// Add every count in source to target
+function addCounts(target, source) {
+  for (const [key, count] of Object.entries(source || {})) {
+    increment(target, key, count);
+  }
+}
+
+function createBucket() {
+  return {
+    messages: { total: 0, byIntent: {}, latencyMs: [] },
+    searches: { total: 0, zeroResults: 0, failed: 0, queries: {}, zeroResultQueries: {} },
+    outcomes: {},
+    upstreams: {}
+  };
+}
+
+function outcomeEntry(outcomes, feature) {
+  if (!outcomes[feature]) {
+    outcomes[feature] = { total: 0, byOutcome: {}, failureReasons: {} };
+  }
+  return outcomes[feature];
+}
+
+function upstreamEntry(upstreams, name) {
+  if (!upstreams[name]) {
+    upstreams[name] = { calls: 0, failures: 0, failureReasons: {}, latencyMs: [] };
+  }
+  return upstreams[name];
+}
+
+// Add the counts of one instance's bucket to the day's total. Latency samples are pooled.
+function mergeBucket(target, source) {
+  target.messages.total += source.messages.total;
+  addCounts(target.messages.byIntent, source.messages.byIntent);
+  target.messages.latencyMs.push(...source.messages.latencyMs);
+
+  for (const field of ['total', 'zeroResults', 'failed']) {
+    target.searches[field] += source.searches[field];
+  }
+  addCounts(target.searches.queries, source.searches.queries);
+  addCounts(target.searches.zeroResultQueries, source.searches.zeroResultQueries);
+
+  for (const [feature, outcome] of Object.entries(source.outcomes)) {
+    const entry = outcomeEntry(target.outcomes, feature);
+    entry.total += outcome.total;
+    addCounts(entry.byOutcome, outcome.byOutcome);
+    addCounts(entry.failureReasons, outcome.failureReasons);
+  }
+
+  for (const [name, upstream] of Object.entries(source.upstreams)) {
+    const entry = upstreamEntry(target.upstreams, name);
+    entry.calls += upstream.calls;
+    entry.failures += upstream.failures;
+    addCounts(entry.failureReasons, upstream.failureReasons);
+    entry.latencyMs.push(...upstream.latencyMs);
+  }
+  return target;
+}
+
+// In-memory storage, for development: stats are lost when the bot restarts
+function createMemoryAnalyticsStorage() {
+  const rows = {};
+
+  return {
+    async save(date, instanceId, bucket) {
+      rows[`${date}:${instanceId}`] = { date, instance_id: instanceId, bucket: JSON.parse(JSON.stringify(bucket)) };
+    },
+
+    async listDays(from, to) {
+      return Object.values(rows).filter(row => (!from || row.date >= from) && (!to || row.date <= to));
+    }
+  };
+}
+
+// Supabase storage. Expects a bot_analytics_daily table (see README).
+function createSupabaseAnalyticsStorage(supabase, tableName = 'bot_analytics_daily') {
+  return {
+    async save(date, instanceId, bucket) {
+      await runQuery(
+        supabase.from(tableName).upsert({
+          id: `${date}:${instanceId}`,
+          date,
+          instance_id: instanceId,
+          bucket,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'id' }),
+        'save analytics'
+      );
+    },
+
+    async listDays(from, to) {
+      let query = supabase.from(tableName).select('date, bucket');
+      if (from) {
+        query = query.gte('date', from);
+      }
+      if (to) {
+        query = query.lte('date', to);
+      }
+      return (await runQuery(query, 'read analytics')) || [];
+    }
+  };
+}
+
+// instanceId names this process's rows; each start gets a new one so restarts add to the day's counts
+function createAnalytics({ storage = createMemoryAnalyticsStorage(), instanceId = uuidv4(), flushIntervalMs = 60 * 1000 } = {}) {
+  const days = {};
+  // Days counted since they were last saved
+  const unsaved = new Set();
+  let flushTimer = null;
+
+  // Bucket for the current day, dropping days older than MAX_DAYS
+  function currentBucket() {
+    const date = today();
+    unsaved.add(date);
+    if (!days[date]) {
+      days[date] = createBucket();
+
+      const oldest = new Date(Date.now() - MAX_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      Object.keys(days).filter(day => day < oldest).forEach(day => delete days[day]);
+    }
+    return days[date];
+  }
+
+  function addSample(samples, seen, value) {
+    if (samples.length < MAX_LATENCY_SAMPLES) {
+      samples.push(value);
+      return;
+    }
+    const index = Math.floor(Math.random() * seen);
+    if (index < MAX_LATENCY_SAMPLES) {
+      samples[index] = value;
+    }
+  }
+
+  // One handled message, with the intent the bot detected and how long the reply took
+  function recordMessage(intent, durationMs) {
+    const messages = currentBucket().messages;
+    messages.total++;
+    increment(messages.byIntent, intent || 'unknown');
+    addSample(messages.latencyMs, messages.total, durationMs);
+  }
+
+  // One catalog search. resultCount is null when the search itself failed.
+  function recordSearch(query, resultCount) {
+    const searches = currentBucket().searches;
+    const normalized = normalizeQuery(query);
+    searches.total++;
+    increment(searches.queries, normalized);
+
+    if (resultCount === null) {
+      searches.failed++;
+    } else if (resultCount === 0) {
+      searches.zeroResults++;
+      increment(searches.zeroResultQueries, normalized);
+    }
+  }
+
+  // Outcome of a feature, e.g. recordOutcome('track_order', 'not_found'), with the error for failures
+  function recordOutcome(feature, outcome, error) {
+    const entry = outcomeEntry(currentBucket().outcomes, feature);
+    entry.total++;
+    increment(entry.byOutcome, outcome);
+    if (error) {
+      increment(entry.failureReasons, failureReason(error));
+    }
+  }
+
+  function recordUpstreamCall(name, durationMs, error) {
+    const upstream = upstreamEntry(currentBucket().upstreams, name);
+    upstream.calls++;
+    addSample(upstream.latencyMs, upstream.calls, durationMs);
+    if (error) {
+      upstream.failures++;
+      increment(upstream.failureReasons, failureReason(error));
+    }
+  }
+
+  // Run an upstream call and record its latency and any failure. Errors are rethrown.
+  async function timeUpstream(name, call) {
+    const startedAt = Date.now();
+    try {
+      const result = await call();
+      recordUpstreamCall(name, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      recordUpstreamCall(name, Date.now() - startedAt, error);
+      throw error;
+    }
+  }
+
+  function latencySummary(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    return { p50Ms: percentile(sorted, 50), p95Ms: percentile(sorted, 95) };
+  }
+
+  // Aggregated stats for one day, with the top `top` queries
+  function summarizeDay(date, bucket, top) {
+    const upstreams = {};
+    for (const [name, upstream] of Object.entries(bucket.upstreams)) {
+      upstreams[name] = {
+        calls: upstream.calls,
+        failures: upstream.failures,
+        failureReasons: upstream.failureReasons,
+        ...latencySummary(upstream.latencyMs)
+      };
+    }
+
+    const tracking = bucket.outcomes.track_order;
+    const notFound = tracking ? (tracking.byOutcome.not_found || 0) : 0;
+
+    return {
+      date,
+      messages: {
+        total: bucket.messages.total,
+        byIntent: bucket.messages.byIntent,
+        ...latencySummary(bucket.messages.latencyMs)
+      },
+      searches: {
+        total: bucket.searches.total,
+        zeroResults: bucket.searches.zeroResults,
+        failed: bucket.searches.failed,
+        topQueries: topEntries(bucket.searches.queries, top, 'query'),
+        zeroResultQueries: topEntries(bucket.searches.zeroResultQueries, top, 'query')
+      },
+      orderLookups: {
+        total: tracking ? tracking.total : 0,
+        notFound,
+        notFoundRate: tracking && tracking.total > 0 ? Number((notFound / tracking.total).toFixed(3)) : null
+      },
+      outcomes: bucket.outcomes,
+      upstreams
+    };
+  }
+
+  // Save the days counted since the last flush. Past days are dropped from memory once saved.
+  async function flush() {
+    const dates = [...unsaved];
+    unsaved.clear();
+
+    for (const date of dates) {
+      try {
+        await storage.save(date, instanceId, days[date]);
+      } catch (error) {
+        console.error(`[Analytics] ${error.message}`);
+        unsaved.add(date);
+      }
+    }
+
+    const date = today();
+    Object.keys(days).filter(day => day < date && !unsaved.has(day)).forEach(day => delete days[day]);
+  }
+
+  // Daily stats between two dates (YYYY-MM-DD, inclusive) from every instance, newest first
+  async function getDailyStats({ from, to, top = 10 } = {}) {
+    await flush();
+
+    const merged = {};
+    for (const row of await storage.listDays(from, to)) {
+      merged[row.date] = mergeBucket(merged[row.date] || createBucket(), row.bucket);
+    }
+
+    return Object.keys(merged)
+      .sort((a, b) => b.localeCompare(a))
+      .map(date => summarizeDay(date, merged[date], top));
+  }
+
+  function start() {
+    if (!flushTimer) {
+      flushTimer = setInterval(flush, flushIntervalMs);
+      flushTimer.unref();
+    }
+  }
+
+  // Stop the timer and save what was counted since the last flush
+  function stop() {
+    if (flushTimer) {
+      clearInterval(flushTimer);
+      flushTimer = null;
+    }
+    return flush();
+  }
+
+  return {
+    recordMessage,
+    recordSearch,
+    recordOutcome,
+    recordUpstreamCall,
+    timeUpstream,
+    getDailyStats,
+    flush,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createAnalytics,
+  createMemoryAnalyticsStorage,
+  createSupabaseAnalyticsStorage
+};
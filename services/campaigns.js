@@ -0,0 +1,454 @@
+const { v4: uuidv4 } = require('uuid');
+const { toWhatsAppAddress } = require('./phone-number');
+const { runQuery } = require('./storage');
+
+// Broadcast campaigns: one templated message sent to a segment of customers at a fixed
+// rate. Recipients are resolved when the campaign is created, and each one's result is
+// stored so progress can be followed and failures retried by hand.
+//
+// Campaign states: running -> completed | cancelled
+// Recipient states: pending -> sent | skipped (opted out) | failed | cancelled
+
+// Rows read from Supabase per request when resolving a segment
+const PAGE_SIZE = 1000;
+
+// Placeholders like {name} in a template
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Variables every recipient has
+const RECIPIENT_VARIABLES = ['name', 'orderCount', 'lastOrderDate'];
+
+// Fill in {placeholders}; campaign variables are defaults and recipient variables win
+function renderTemplate(template, variables) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : match
+  );
+}
+
+// Placeholders in a template that neither the campaign nor the recipients provide
+function findUnknownPlaceholders(template, campaignVariables = {}) {
+  const unknown = new Set();
+  for (const [, key] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!RECIPIENT_VARIABLES.includes(key) && campaignVariables[key] === undefined) {
+      unknown.add(key);
+    }
+  }
+  return [...unknown];
+}
+
+// Check a segment definition. Returns an error message or null.
+function validateSegment(segment) {
+  if (!segment || typeof segment !== 'object') {
+    return 'segment is required, e.g. { "orderedWithinDays": 90 }';
+  }
+  const { orderedWithinDays, category, minOrders } = segment;
+  if (orderedWithinDays !== undefined && !(Number.isInteger(orderedWithinDays) && orderedWithinDays > 0)) {
+    return 'segment.orderedWithinDays must be a positive whole number';
+  }
+  if (minOrders !== undefined && !(Number.isInteger(minOrders) && minOrders > 0)) {
+    return 'segment.minOrders must be a positive whole number';
+  }
+  if (category !== undefined && (typeof category !== 'string' || !category.trim())) {
+    return 'segment.category must be a non-empty string';
+  }
+  return null;
+}
+
+// Orders store their items as JSON text or an array
+function parseItems(items) {
+  if (Array.isArray(items)) {
+    return items;
+  }
+  try {
+    const parsed = JSON.parse(items || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function itemInCategory(item, category) {
+  const wanted = category.toLowerCase().trim();
+  return [item.category, item.product_category, item.type]
+    .some(value => value && String(value).toLowerCase().trim() === wanted);
+}
+
+// Resolve segments against the Supabase users and orders tables.
+// Segment: { orderedWithinDays?, category?, minOrders? }. With no order filters every
+// user with a phone number is included.
+function createSupabaseSegmentResolver(supabase) {
+  async function readAll(buildQuery, action) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+      if (error) {
+        throw new Error(`Could not ${action}: ${error.message}`);
+      }
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) {
+        return rows;
+      }
+    }
+  }
+
+  return async function resolveSegment({ orderedWithinDays, category, minOrders }) {
+    const filterByOrders = orderedWithinDays || category || minOrders;
+    const orderStats = {};
+
+    if (filterByOrders) {
+      const since = orderedWithinDays
+        ? new Date(Date.now() - orderedWithinDays * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+
+      const orders = await readAll(() => {
+        let query = supabase.from('orders').select('user_id, items, created_at, status');
+        if (since) {
+          query = query.gte('created_at', since);
+        }
+        return query.order('created_at', { ascending: true });
+      }, 'read orders');
+
+      for (const order of orders) {
+        if (!order.user_id || ['cancelled', 'canceled'].includes(String(order.status || '').toLowerCase())) {
+          continue;
+        }
+        if (category && !parseItems(order.items).some(item => itemInCategory(item, category))) {
+          continue;
+        }
+        const stats = orderStats[order.user_id] || { orderCount: 0, lastOrderAt: null };
+        stats.orderCount++;
+        if (!stats.lastOrderAt || order.created_at > stats.lastOrderAt) {
+          stats.lastOrderAt = order.created_at;
+        }
+        orderStats[order.user_id] = stats;
+      }
+    }
+
+    const users = await readAll(
+      () => supabase.from('users').select('id, phone, username').not('phone', 'is', null).order('id', { ascending: true }),
+      'read users'
+    );
+
+    const seen = new Set();
+    const recipients = [];
+    for (const user of users) {
+      const stats = orderStats[user.id];
+      if (filterByOrders && (!stats || stats.orderCount < (minOrders || 1))) {
+        continue;
+      }
+
+      // Several accounts can share a number; message it once
+      const phone = toWhatsAppAddress(user.phone);
+      if (!phone || seen.has(phone)) {
+        continue;
+      }
+      seen.add(phone);
+
+      recipients.push({
+        userId: user.id,
+        phone,
+        variables: {
+          name: user.username || 'there',
+          orderCount: stats ? stats.orderCount : 0,
+          lastOrderDate: stats && stats.lastOrderAt ? stats.lastOrderAt.slice(0, 10) : ''
+        }
+      });
+    }
+    return recipients;
+  };
+}
+
+// In-memory storage, for development
+function createMemoryCampaignStorage() {
+  const campaigns = {};
+  const recipients = {};
+
+  return {
+    async insertCampaign(campaign, campaignRecipients) {
+      campaigns[campaign.id] = campaign;
+      recipients[campaign.id] = campaignRecipients;
+      return campaign;
+    },
+
+    async updateCampaign(id, changes) {
+      if (!campaigns[id]) {
+        return null;
+      }
+      return Object.assign(campaigns[id], changes);
+    },
+
+    async getCampaign(id) {
+      return campaigns[id] || null;
+    },
+
+    async listCampaigns({ status, limit }) {
+      return Object.values(campaigns)
+        .filter(campaign => !status || campaign.status === status)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+    },
+
+    async updateRecipient(id, changes) {
+      for (const list of Object.values(recipients)) {
+        const recipient = list.find(item => item.id === id);
+        if (recipient) {
+          return Object.assign(recipient, changes);
+        }
+      }
+      return null;
+    },
+
+    async listRecipients(campaignId, { status, offset = 0, limit }) {
+      return (recipients[campaignId] || [])
+        .filter(recipient => !status || recipient.status === status)
+        .slice(offset, offset + limit);
+    },
+
+    async cancelPending(campaignId) {
+      (recipients[campaignId] || [])
+        .filter(recipient => recipient.status === 'pending')
+        .forEach(recipient => { recipient.status = 'cancelled'; });
+    }
+  };
+}
+
+// Supabase storage. Expects campaigns and campaign_recipients tables (see README).
+function createSupabaseCampaignStorage(supabase, { campaignsTable = 'campaigns', recipientsTable = 'campaign_recipients' } = {}) {
+  return {
+    async insertCampaign(campaign, campaignRecipients) {
+      await runQuery(supabase.from(campaignsTable).insert([campaign]), 'create campaign');
+      for (let i = 0; i < campaignRecipients.length; i += 500) {
+        await runQuery(supabase.from(recipientsTable).insert(campaignRecipients.slice(i, i + 500)), 'store campaign recipients');
+      }
+      return campaign;
+    },
+
+    async updateCampaign(id, changes) {
+      const data = await runQuery(supabase.from(campaignsTable).update(changes).eq('id', id).select(), 'update campaign');
+      return data && data[0] ? data[0] : null;
+    },
+
+    async getCampaign(id) {
+      return runQuery(supabase.from(campaignsTable).select('*').eq('id', id).maybeSingle(), 'read campaign');
+    },
+
+    async listCampaigns({ status, limit }) {
+      let query = supabase.from(campaignsTable).select('*');
+      if (status) {
+        query = query.eq('status', status);
+      }
+      return runQuery(query.order('created_at', { ascending: false }).limit(limit), 'list campaigns');
+    },
+
+    async updateRecipient(id, changes) {
+      const data = await runQuery(supabase.from(recipientsTable).update(changes).eq('id', id).select(), 'update campaign recipient');
+      return data && data[0] ? data[0] : null;
+    },
+
+    async listRecipients(campaignId, { status, offset = 0, limit }) {
+      let query = supabase.from(recipientsTable).select('*').eq('campaign_id', campaignId);
+      if (status) {
+        query = query.eq('status', status);
+      }
+      const data = await runQuery(query.order('position', { ascending: true }).range(offset, offset + limit - 1), 'list campaign recipients');
+      return data || [];
+    },
+
+    async cancelPending(campaignId) {
+      await runQuery(
+        supabase.from(recipientsTable).update({ status: 'cancelled' }).eq('campaign_id', campaignId).eq('status', 'pending'),
+        'cancel campaign recipients'
+      );
+    }
+  };
+}
+
+// resolveSegment(segment) returns [{ userId, phone, variables }]
+// sendMessage(to, body) returns true once a message is sent or queued; canSend(to) checks consent
+function createCampaignService({ storage, resolveSegment, sendMessage, canSend, defaultRatePerMinute = 30, maxRatePerMinute = 600 }) {
+  // Campaigns currently sending in this process
+  const runners = new Set();
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Dry run: who would get the campaign and what the first few messages look like
+  async function preview({ segment, template, variables = {} }, sampleSize = 5) {
+    const recipients = await resolveSegment(segment);
+
+    let optedOut = 0;
+    for (const recipient of recipients) {
+      if (!await canSend(recipient.phone)) {
+        optedOut++;
+      }
+    }
+
+    return {
+      recipients: recipients.length,
+      optedOut,
+      willSend: recipients.length - optedOut,
+      samples: recipients.slice(0, sampleSize).map(recipient => ({
+        userId: recipient.userId,
+        message: renderTemplate(template, { ...variables, ...recipient.variables })
+      }))
+    };
+  }
+
+  // Resolve the segment, store the campaign and start sending in the background
+  async function createCampaign({ name, segment, template, variables = {}, ratePerMinute, createdBy }) {
+    const recipients = await resolveSegment(segment);
+    const now = new Date().toISOString();
+    const rate = Math.min(ratePerMinute || defaultRatePerMinute, maxRatePerMinute);
+
+    const campaign = {
+      id: uuidv4(),
+      name: name || null,
+      segment,
+      template,
+      variables,
+      rate_per_minute: rate,
+      status: 'running',
+      total: recipients.length,
+      sent: 0,
+      skipped: 0,
+      failed: 0,
+      created_by: createdBy || null,
+      created_at: now,
+      finished_at: null
+    };
+
+    await storage.insertCampaign(campaign, recipients.map((recipient, index) => ({
+      id: uuidv4(),
+      campaign_id: campaign.id,
+      position: index,
+      user_id: recipient.userId,
+      phone: recipient.phone,
+      message: renderTemplate(template, { ...variables, ...recipient.variables }),
+      status: 'pending',
+      error: null,
+      sent_at: null
+    })));
+
+    console.log(`[Campaigns] Created campaign ${campaign.id} for ${recipients.length} recipients at ${rate}/min`);
+    runCampaign(campaign.id);
+    return campaign;
+  }
+
+  // Send a campaign's pending messages one at a time at its rate, until done or cancelled
+  async function runCampaign(campaignId) {
+    if (runners.has(campaignId)) {
+      return;
+    }
+    runners.add(campaignId);
+
+    try {
+      let campaign = await storage.getCampaign(campaignId);
+      const delayMs = Math.ceil(60000 / campaign.rate_per_minute);
+
+      while (campaign && campaign.status === 'running') {
+        const [recipient] = await storage.listRecipients(campaignId, { status: 'pending', limit: 1 });
+        if (!recipient) {
+          await storage.updateCampaign(campaignId, { status: 'completed', finished_at: new Date().toISOString() });
+          console.log(`[Campaigns] Campaign ${campaignId} completed`);
+          return;
+        }
+
+        const counters = {};
+        if (!await canSend(recipient.phone)) {
+          await storage.updateRecipient(recipient.id, { status: 'skipped', error: 'Opted out' });
+          counters.skipped = campaign.skipped + 1;
+        } else {
+          let error = null;
+          try {
+            if (!await sendMessage(recipient.phone, recipient.message)) {
+              error = 'Message could not be sent';
+            }
+          } catch (sendError) {
+            error = sendError.message;
+          }
+
+          await storage.updateRecipient(recipient.id, error
+            ? { status: 'failed', error }
+            : { status: 'sent', sent_at: new Date().toISOString() });
+          counters[error ? 'failed' : 'sent'] = campaign[error ? 'failed' : 'sent'] + 1;
+          await wait(delayMs);
+        }
+
+        // Re-read so a cancellation from the API stops the loop
+        await storage.updateCampaign(campaignId, counters);
+        campaign = await storage.getCampaign(campaignId);
+      }
+    } catch (error) {
+      console.error(`[Campaigns] Error running campaign ${campaignId}: ${error.message}`);
+    } finally {
+      runners.delete(campaignId);
+    }
+  }
+
+  // Stop a running campaign; messages already sent stay sent
+  async function cancelCampaign(campaignId) {
+    const campaign = await storage.getCampaign(campaignId);
+    if (!campaign || campaign.status !== 'running') {
+      return null;
+    }
+
+    const cancelled = await storage.updateCampaign(campaignId, { status: 'cancelled', finished_at: new Date().toISOString() });
+    await storage.cancelPending(campaignId);
+    console.log(`[Campaigns] Cancelled campaign ${campaignId}`);
+    return cancelled;
+  }
+
+  async function getCampaign(campaignId) {
+    const campaign = await storage.getCampaign(campaignId);
+    if (!campaign) {
+      return null;
+    }
+    const done = campaign.sent + campaign.skipped + campaign.failed;
+    return {
+      ...campaign,
+      pending: campaign.status === 'running' ? campaign.total - done : 0,
+      progress: campaign.total > 0 ? Number((done / campaign.total).toFixed(3)) : 1
+    };
+  }
+
+  async function listCampaigns({ status, limit = 50 } = {}) {
+    return storage.listCampaigns({ status, limit });
+  }
+
+  async function listRecipients(campaignId, { status, offset = 0, limit = 100 } = {}) {
+    return storage.listRecipients(campaignId, { status, offset, limit });
+  }
+
+  // Pick up campaigns that were running when the process stopped
+  async function resumeRunning() {
+    try {
+      const campaigns = await storage.listCampaigns({ status: 'running', limit: 100 });
+      campaigns.forEach(campaign => runCampaign(campaign.id));
+      if (campaigns.length > 0) {
+        console.log(`[Campaigns] Resumed ${campaigns.length} running campaign(s)`);
+      }
+    } catch (error) {
+      console.error(`[Campaigns] Error resuming campaigns: ${error.message}`);
+    }
+  }
+
+  return {
+    preview,
+    createCampaign,
+    cancelCampaign,
+    getCampaign,
+    listCampaigns,
+    listRecipients,
+    resumeRunning
+  };
+}
+
+module.exports = {
+  createCampaignService,
+  createMemoryCampaignStorage,
+  createSupabaseCampaignStorage,
+  createSupabaseSegmentResolver,
+  validateSegment,
+  findUnknownPlaceholders
+};
@@ -0,0 +1,101 @@
+const { t } = require('../i18n');
+
+// Per-user shopping cart kept in the conversation state store
+
+// Carts are kept for a day of inactivity
+const CART_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Maximum quantity of a single item that can be ordered over WhatsApp
+const MAX_ITEM_QUANTITY = 20;
+
+function createCartService({ store, ttlMs = CART_TTL_MS }) {
+  const cartKey = (phoneNumber) => `cart:${phoneNumber}`;
+
+  async function getCart(phoneNumber) {
+    const cart = await store.get(cartKey(phoneNumber));
+    return cart && Array.isArray(cart.items) ? cart : { items: [] };
+  }
+
+  async function saveCart(phoneNumber, cart) {
+    return store.set(cartKey(phoneNumber), cart, ttlMs);
+  }
+
+  // Add an item (a normalized search result) or increase its quantity if it's already in the cart.
+  // An item never goes above MAX_ITEM_QUANTITY, so fewer may be added than asked for.
+  // Returns { cart, added } with the quantity actually added.
+  async function addItem(phoneNumber, product, quantity) {
+    const cart = await getCart(phoneNumber);
+    const existing = cart.items.find(item =>
+      (product.id && item.id === product.id) || item.name === product.name
+    );
+    let added;
+
+    if (existing) {
+      added = Math.max(Math.min(existing.quantity + quantity, MAX_ITEM_QUANTITY) - existing.quantity, 0);
+      existing.quantity += added;
+    } else {
+      added = Math.min(quantity, MAX_ITEM_QUANTITY);
+      cart.items.push({
+        id: product.id || null,
+        name: product.name,
+        manufacturer: product.manufacturer,
+        price: product.price,
+        type: product.type,
+        prescriptionRequired: !!product.prescriptionRequired,
+        quantity: added
+      });
+    }
+
+    await saveCart(phoneNumber, cart);
+    return { cart, added };
+  }
+
+  // Remove the item at a 1-based position in the cart; returns the removed item or null
+  async function removeItem(phoneNumber, position) {
+    const cart = await getCart(phoneNumber);
+    if (position < 1 || position > cart.items.length) {
+      return null;
+    }
+
+    const [removed] = cart.items.splice(position - 1, 1);
+    await saveCart(phoneNumber, cart);
+    return removed;
+  }
+
+  async function clearCart(phoneNumber) {
+    return store.delete(cartKey(phoneNumber));
+  }
+
+  function getCartTotal(cart) {
+    return cart.items.reduce((total, item) => total + (item.price || 0) * item.quantity, 0);
+  }
+
+  // Format the cart as a WhatsApp message
+  function formatCart(cart, lang) {
+    let result = `${t(lang, 'cart.title')}\n\n`;
+
+    cart.items.forEach((item, index) => {
+      result += `${index + 1}. ${item.quantity}x ${item.name} - ₹${((item.price || 0) * item.quantity).toFixed(2)}\n`;
+      if (item.prescriptionRequired) {
+        result += `   ⚠️ ${t(lang, 'search.requiresPrescription')}\n`;
+      }
+    });
+
+    result += `\n${t(lang, 'cart.total', { total: getCartTotal(cart).toFixed(2) })}\n`;
+    return result;
+  }
+
+  return {
+    getCart,
+    addItem,
+    removeItem,
+    clearCart,
+    getCartTotal,
+    formatCart
+  };
+}
+
+module.exports = {
+  createCartService,
+  MAX_ITEM_QUANTITY
+};
@@ -0,0 +1,147 @@
+// Combined medicine + product search.
+// Queries both sources in parallel, normalizes their field shapes,
+// removes duplicates and ranks the merged list by relevance to the query.
+
+// Controllers return either a plain array or an object like { medicines: [...], count }
+function extractResults(response, key) {
+  if (Array.isArray(response)) {
+    return { items: response, count: response.length, error: null };
+  }
+
+  if (!response) {
+    return { items: [], count: 0, error: 'Empty response' };
+  }
+
+  const items = Array.isArray(response[key]) ? response[key] : [];
+  return {
+    items,
+    count: Math.max(response.count || 0, items.length),
+    error: response.error || null
+  };
+}
+
+// Normalize a medicine or product record into the shape used by the bot
+function normalizeSearchResult(item, type) {
+  const price = parseFloat(item.MRP || item.mrp || item.price);
+  return {
+    id: item.id || item._id || null,
+    name: (item["Product Name"] || item.name || item.product_name || "Unknown").trim(),
+    manufacturer: item["Brand Name"] || item.manufacturer || item.brand || "Unknown",
+    price: isNaN(price) ? null : price,
+    prescriptionRequired: !!(item.prescription_required || item.prescriptionRequired),
+    type
+  };
+}
+
+// Lower-case and collapse whitespace/punctuation so near-identical names compare equal
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Score how well a result name matches the query (higher is better)
+function scoreResult(result, query) {
+  const name = normalizeName(result.name);
+  const normalizedQuery = normalizeName(query);
+
+  if (!normalizedQuery) {
+    return 0;
+  }
+  if (name === normalizedQuery) {
+    return 100;
+  }
+  if (name.startsWith(normalizedQuery)) {
+    return 80;
+  }
+
+  const words = name.split(' ');
+  if (words.some(word => word.startsWith(normalizedQuery))) {
+    return 60;
+  }
+  if (name.includes(normalizedQuery)) {
+    return 40;
+  }
+
+  // Every query word appears somewhere in the name
+  const queryWords = normalizedQuery.split(' ');
+  if (queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)))) {
+    return 30;
+  }
+
+  const matchedWords = queryWords.filter(queryWord => name.includes(queryWord)).length;
+  return Math.round((matchedWords / queryWords.length) * 20);
+}
+
+// Merge, de-duplicate and rank medicines and products for a query
+function mergeResults(query, medicines, products) {
+  const seen = new Set();
+  const merged = [];
+
+  // Medicines come first so a duplicate product listing is the one dropped
+  [...medicines, ...products].forEach((result, index) => {
+    const key = normalizeName(result.name);
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    merged.push({ result, index, score: scoreResult(result, query) });
+  });
+
+  // Sort by score, keeping each source's own order for equal scores
+  merged.sort((a, b) => b.score - a.score || a.index - b.index);
+  return merged.map(entry => entry.result);
+}
+
+function createCatalogSearch({ searchMedicinesAPI, searchProductsAPI }) {
+  // Run one source, turning thrown errors into an error result so the other source still counts
+  async function runSource(searchFn, query, limit, key) {
+    if (typeof searchFn !== 'function') {
+      return { items: [], count: 0, error: `${key} search is not available` };
+    }
+
+    try {
+      return extractResults(await searchFn(query, limit), key);
+    } catch (error) {
+      return { items: [], count: 0, error: error.message };
+    }
+  }
+
+  // Returns { results, total, failedSources }
+  async function search(query, limit = 50) {
+    const [medicineResponse, productResponse] = await Promise.all([
+      runSource(searchMedicinesAPI, query, limit, 'medicines'),
+      runSource(searchProductsAPI, query, limit, 'products')
+    ]);
+
+    const failedSources = [];
+    if (medicineResponse.error) {
+      console.error(`[Search] Medicine search failed: ${medicineResponse.error}`);
+      failedSources.push('medicines');
+    }
+    if (productResponse.error) {
+      console.error(`[Search] Product search failed: ${productResponse.error}`);
+      failedSources.push('products');
+    }
+
+    const medicines = medicineResponse.items.map(item => normalizeSearchResult(item, 'medicine'));
+    const products = productResponse.items.map(item => normalizeSearchResult(item, 'product'));
+    const results = mergeResults(query, medicines, products);
+
+    // Include results the sources reported but didn't return because of the limit
+    const total = results.length +
+      Math.max(0, medicineResponse.count - medicineResponse.items.length) +
+      Math.max(0, productResponse.count - productResponse.items.length);
+
+    console.log(`[Search] ${medicines.length} medicines + ${products.length} products -> ${results.length} unique results`);
+    return { results, total, failedSources };
+  }
+
+  return { search };
+}
+
+module.exports = {
+  createCatalogSearch,
+  normalizeSearchResult,
+  normalizeName,
+  scoreResult,
+  mergeResults
+};
@@ -0,0 +1,147 @@
+const { v4: uuidv4 } = require('uuid');
+const { toE164 } = require('./phone-number');
+const { runQuery } = require('./storage');
+
+// Messaging consent. Customers opt out of proactive messages with STOP and back in with
+// START; every change is stored as an event, so the latest event for a phone is its
+// current state and the full list is the audit log.
+// Numbers with no events have never opted out and can be messaged.
+//
+// Event: { id, phone, status: 'opted_in' | 'opted_out', source, keyword, note, created_at }
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+// In-memory storage, for development
+function createMemoryConsentStorage() {
+  const events = [];
+
+  return {
+    async insert(event) {
+      events.push(event);
+      return event;
+    },
+
+    async latest(phone) {
+      for (let i = events.length - 1; i >= 0; i--) {
+        if (events[i].phone === phone) {
+          return events[i];
+        }
+      }
+      return null;
+    },
+
+    // Oldest first
+    async list({ phone, from, to, limit }) {
+      return events
+        .filter(event => (!phone || event.phone === phone) &&
+          (!from || event.created_at >= from) &&
+          (!to || event.created_at <= to))
+        .slice(0, limit);
+    }
+  };
+}
+
+// Supabase storage. Expects a consent_events table (see README).
+function createSupabaseConsentStorage(supabase, tableName = 'consent_events') {
+  return {
+    async insert(event) {
+      await runQuery(supabase.from(tableName).insert([event]), 'record consent');
+      return event;
+    },
+
+    async latest(phone) {
+      const data = await runQuery(
+        supabase.from(tableName).select('*').eq('phone', phone).order('created_at', { ascending: false }).limit(1),
+        'read consent'
+      );
+      return data && data[0] ? data[0] : null;
+    },
+
+    async list({ phone, from, to, limit }) {
+      let query = supabase.from(tableName).select('*');
+      if (phone) {
+        query = query.eq('phone', phone);
+      }
+      if (from) {
+        query = query.gte('created_at', from);
+      }
+      if (to) {
+        query = query.lte('created_at', to);
+      }
+      const data = await runQuery(query.order('created_at', { ascending: true }).limit(limit), 'list consent events');
+      return data || [];
+    }
+  };
+}
+
+function createConsentService({ storage }) {
+  // Consent is kept per E.164 number so every format of the same number agrees
+  function normalize(phone) {
+    return toE164(phone) || String(phone || '');
+  }
+
+  async function record(phone, status, { source, keyword, note } = {}) {
+    if (!CONSENT_STATUSES.includes(status)) {
+      throw new Error(`Unknown consent status: ${status}`);
+    }
+
+    const event = await storage.insert({
+      id: uuidv4(),
+      phone: normalize(phone),
+      status,
+      source: source || null,
+      keyword: keyword || null,
+      note: note || null,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`[Consent] ${event.phone} ${status === 'opted_out' ? 'opted out' : 'opted in'} (${source || 'unknown source'})`);
+    return event;
+  }
+
+  async function optOut(phone, details) {
+    return record(phone, 'opted_out', details);
+  }
+
+  async function optIn(phone, details) {
+    return record(phone, 'opted_in', details);
+  }
+
+  // Latest consent event for a number, or null if it has never opted in or out
+  async function getConsent(phone) {
+    return storage.latest(normalize(phone));
+  }
+
+  // Whether a proactive message may be sent. If consent can't be read the message is
+  // held back: sending to someone who opted out is worse than a delayed message.
+  async function canSend(phone) {
+    try {
+      const consent = await getConsent(phone);
+      return !consent || consent.status !== 'opted_out';
+    } catch (error) {
+      console.error(`[Consent] Error checking consent for ${phone}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Audit log of consent changes, oldest first
+  async function listEvents({ phone, from, to, limit = 5000 } = {}) {
+    return storage.list({ phone: phone ? normalize(phone) : undefined, from, to, limit });
+  }
+
+  return {
+    optOut,
+    optIn,
+    record,
+    getConsent,
+    canSend,
+    listEvents
+  };
+}
+
+module.exports = {
+  createConsentService,
+  createMemoryConsentStorage,
+  createSupabaseConsentStorage,
+  CONSENT_STATUSES
+};
@@ -0,0 +1,172 @@
+// Entity extraction for free-form messages.
+// Finds order IDs anywhere in the text, and turns a sentence like "do you have dolo 650 tablets"
+// into a search query ("dolo 650") plus the quantity, strength and dosage form it mentions.
+//
+// extractEntities('where is my order A12C1234?')
+//   -> { orderIds: ['A12C1234'], ... }
+// extractEntities('I need 2 strips of paracetamol 650 mg tablets')
+//   -> { orderIds: [], query: 'paracetamol 650mg', strength: { value: 650, unit: 'mg', text: '650mg' },
+//        quantity: { value: 2, unit: 'strip' }, form: 'tablet' }
+
+const UUID_PATTERN = /#?\b([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})\b/gi;
+const HASH_ID_PATTERN = /#([A-Za-z0-9]{6,12})\b/g;
+const WORD_ID_PATTERN = /\b[A-Za-z0-9]{6,12}\b/g;
+// A number right after the word order ("order 12345678", "order no: 12345678"); other numbers
+// in a sentence about an order are usually PIN codes or phone numbers
+const ORDER_NUMBER_PATTERN = /(?:\border|ऑर्डर)(?:\s+(?:id|no|number))?\s*[:.]?\s*(\d{6,12})\b/gi;
+
+// A bare word is only read as an order ID when the message is about an order
+const ORDER_CONTEXT_PATTERN = /\b(?:my order|order (?:id|no|number|status)|status of (?:my |the )?order|track|tracking|deliver(?:y|ed)?|shipment|shipped|parcel|package)\b|ऑर्डर/i;
+
+// "650mg", "650 mg", "2.5 ml", "1g", "5%"
+const STRENGTH_PATTERN = /(?:^|\s)(\d+(?:\.\d+)?)\s?(mg|mcg|µg|gm|g|ml|iu|%)(?=\s|$)/gi;
+
+// "10 tablets", "2 strips", "1 bottle"
+const QUANTITY_PATTERN = /(?:^|\s)(\d+)\s?(tablets?|tabs?|capsules?|caps?|strips?|packs?|packets?|bottles?|box(?:es)?|tubes?|units?|pieces?|pcs)(?=\s|$)/gi;
+
+const QUANTITY_UNITS = {
+  tablet: 'tablet', tablets: 'tablet', tab: 'tablet', tabs: 'tablet',
+  capsule: 'capsule', capsules: 'capsule', cap: 'capsule', caps: 'capsule',
+  strip: 'strip', strips: 'strip',
+  pack: 'pack', packs: 'pack', packet: 'pack', packets: 'pack',
+  bottle: 'bottle', bottles: 'bottle',
+  box: 'box', boxes: 'box',
+  tube: 'tube', tubes: 'tube',
+  unit: 'unit', units: 'unit',
+  piece: 'unit', pieces: 'unit', pcs: 'unit'
+};
+
+// Quantities in these units are whole items that can go straight into the cart
+const PACK_UNITS = ['strip', 'pack', 'bottle', 'box', 'tube', 'unit'];
+
+// Dosage forms that name how a medicine is taken rather than the medicine, so they are left out
+// of the search query. Words like "syrup" or "cream" stay: they tell products apart.
+const FORM_WORDS = {
+  tablet: 'tablet', tablets: 'tablet', tab: 'tablet', tabs: 'tablet',
+  capsule: 'capsule', capsules: 'capsule', cap: 'capsule', caps: 'capsule'
+};
+
+// Words that carry no search meaning ("do you have", "I need", "please")
+const FILLER_WORDS = [
+  'a', 'an', 'the', 'some', 'any', 'please', 'pls', 'plz', 'kindly',
+  'i', 'me', 'my', 'we', 'you', 'do', 'does', 'have', 'has', 'need', 'want', 'wanted', 'would', 'like',
+  'can', 'could', 'to', 'buy', 'get', 'order', 'find', 'search', 'show', 'looking', 'for', 'of',
+  'is', 'are', 'there', 'available', 'in', 'stock', 'price', 'cost', 'how', 'much', 'send',
+  'medicine', 'medicines', 'mujhe', 'chahiye', 'kya', 'hai'
+];
+
+function hasMeaningfulWords(text) {
+  return text.split(/[\s?!,;:()"]+/).some(word => word && !FILLER_WORDS.includes(word.toLowerCase()));
+}
+
+function isOrderIdWord(word, { allowDigitsOnly }) {
+  const hasDigit = /\d/.test(word);
+  const hasLetter = /[a-z]/i.test(word);
+  return hasDigit && (hasLetter || allowDigitsOnly);
+}
+
+// Order IDs mentioned in a message, as typed but without the # prefix.
+// UUIDs, #-prefixed IDs and numbers right after "order" are found anywhere; other words with a
+// digit and a letter only count when the message talks about an order. Any word with a digit,
+// digits alone included, counts when expectOrderId is set (the bot asked for an ID).
+function findOrderIds(text, { expectOrderId = false } = {}) {
+  const ids = [];
+  const add = id => {
+    if (!ids.some(existing => existing.toLowerCase() === id.toLowerCase())) {
+      ids.push(id);
+    }
+  };
+
+  let remaining = text.replace(UUID_PATTERN, (match, id) => {
+    add(id);
+    return ' ';
+  });
+  remaining = remaining.replace(HASH_ID_PATTERN, (match, id) => {
+    add(id);
+    return ' ';
+  });
+  remaining = remaining.replace(ORDER_NUMBER_PATTERN, (match, id) => {
+    add(id);
+    return ' ';
+  });
+
+  if (expectOrderId || ORDER_CONTEXT_PATTERN.test(text)) {
+    // Strengths and quantities ("650mg", "10tabs") aren't IDs
+    const withoutAmounts = remaining.replace(STRENGTH_PATTERN, ' ').replace(QUANTITY_PATTERN, ' ');
+    (withoutAmounts.match(WORD_ID_PATTERN) || [])
+      .filter(word => isOrderIdWord(word, { allowDigitsOnly: expectOrderId }))
+      .forEach(add);
+  }
+  return ids;
+}
+
+function extractEntities(message, { expectOrderId = false } = {}) {
+  const text = String(message || '').trim();
+  const orderIds = findOrderIds(text, { expectOrderId });
+
+  let strength = null;
+  let quantity = null;
+  let form = null;
+
+  // Work on a copy with IDs removed and amounts marked, then keep the words that mean something
+  let rest = ` ${text} `;
+  orderIds.forEach(id => {
+    rest = rest.split(`#${id}`).join(' ').split(id).join(' ');
+  });
+
+  const hasStrength = !!text.match(STRENGTH_PATTERN);
+  rest = rest.replace(QUANTITY_PATTERN, (match, value, unit, offset, whole) => {
+    const lowerUnit = unit.toLowerCase();
+    if (FORM_WORDS[lowerUnit] && !form) {
+      form = FORM_WORDS[lowerUnit];
+    }
+
+    // In "dolo 650 tablets" the number is part of the name, not a count of tablets
+    if (FORM_WORDS[lowerUnit] && !hasStrength && hasMeaningfulWords(whole.slice(0, offset))) {
+      return ` ${value} `;
+    }
+
+    if (!quantity) {
+      quantity = { value: parseInt(value), unit: QUANTITY_UNITS[lowerUnit] };
+    }
+    return ' ';
+  });
+
+  rest = rest.replace(STRENGTH_PATTERN, (match, value, unit) => {
+    const normalized = `${value}${unit.toLowerCase()}`;
+    if (!strength) {
+      strength = { value: parseFloat(value), unit: unit.toLowerCase(), text: normalized };
+    }
+    // Kept in the query, written the way catalog names write it
+    return ` ${normalized} `;
+  });
+
+  const words = rest
+    .replace(/[?!,;:()"]+/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^[.'-]+|[.'-]+$/g, ''))
+    .filter(Boolean)
+    .filter(word => {
+      const lower = word.toLowerCase();
+      if (FORM_WORDS[lower]) {
+        form = form || FORM_WORDS[lower];
+        return false;
+      }
+      return !FILLER_WORDS.includes(lower);
+    });
+
+  return {
+    orderIds,
+    query: words.join(' '),
+    strength,
+    quantity,
+    form
+  };
+}
+
+// Whether a quantity can be used as a number of cart items ("2 strips", not "10 tablets")
+function isPackQuantity(quantity) {
+  return !!quantity && PACK_UNITS.includes(quantity.unit);
+}
+
+module.exports = { extractEntities, findOrderIds, isPackQuantity };
@@ -0,0 +1,210 @@
+const { normalizeName } = require('./catalog-search');
+
+// Local index of catalog names used to suggest corrections for misspelled searches.
+// Names are matched word by word (so word order doesn't matter) using edit distance
+// and a phonetic key that treats common spelling confusions as equal.
+
+// Seed queries used to pull names from the search APIs when building the index
+const DEFAULT_SEED_QUERIES = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+// Minimum similarity (0-1) for a name to be suggested
+const MIN_SIMILARITY = 0.7;
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (!a.length) {
+    return b.length;
+  }
+  if (!b.length) {
+    return a.length;
+  }
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// Simplified phonetic key for a single word: "advanse" and "advance" both become "advns"
+function phoneticKey(word) {
+  if (!word) {
+    return '';
+  }
+
+  const key = word
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 's')
+    .replace(/(?!^)[hw]/g, '');
+
+  if (!key) {
+    return '';
+  }
+
+  // Keep the first letter, drop the remaining vowels and collapse repeated letters
+  return (key[0] + key.slice(1).replace(/[aeiouy]/g, '')).replace(/(.)\1+/g, '$1');
+}
+
+// How similar two words are, from 0 to 1
+function wordSimilarity(queryWord, nameWord) {
+  if (queryWord === nameWord) {
+    return 1;
+  }
+
+  // Numbers (strengths like 650) must match exactly
+  if (/\d/.test(queryWord) || /\d/.test(nameWord)) {
+    return 0;
+  }
+
+  if (queryWord.length >= 4 && phoneticKey(queryWord) === phoneticKey(nameWord)) {
+    return 0.9;
+  }
+
+  const distance = editDistance(queryWord, nameWord);
+  const maxLength = Math.max(queryWord.length, nameWord.length);
+
+  // Allow one typo in short words, and roughly one per four letters in longer ones
+  const allowedDistance = maxLength <= 4 ? 1 : Math.ceil(maxLength / 4);
+  if (distance > allowedDistance) {
+    return 0;
+  }
+
+  return 1 - distance / maxLength;
+}
+
+// Similarity between a query and a catalog name, ignoring word order
+function nameSimilarity(queryWords, nameWords) {
+  if (!queryWords.length || !nameWords.length) {
+    return 0;
+  }
+
+  const total = queryWords.reduce((sum, queryWord) => {
+    const best = Math.max(...nameWords.map(nameWord => wordSimilarity(queryWord, nameWord)));
+    return sum + best;
+  }, 0);
+
+  return total / queryWords.length;
+}
+
+function createFuzzyIndex({ catalogSearch, seedQueries = DEFAULT_SEED_QUERIES, queryLimit = 200, refreshIntervalMs }) {
+  let entries = [];
+  let refreshTimer = null;
+  let lastRefreshedAt = null;
+
+  // Rebuild the index from the search APIs. Seed queries run one at a time to keep the load low.
+  async function refresh() {
+    const names = new Map();
+
+    for (const seed of seedQueries) {
+      try {
+        const { results } = await catalogSearch.search(seed, queryLimit);
+        results.forEach(result => {
+          const key = normalizeName(result.name);
+          if (key && !names.has(key)) {
+            names.set(key, result.name);
+          }
+        });
+      } catch (error) {
+        console.error(`[Fuzzy] Error loading names for seed "${seed}": ${error.message}`);
+      }
+    }
+
+    // Keep the old index if the refresh found nothing (e.g. the server is down)
+    if (names.size === 0) {
+      console.warn('[Fuzzy] Refresh returned no names, keeping the existing index');
+      return entries.length;
+    }
+
+    entries = [...names.entries()].map(([key, name]) => ({ name, words: key.split(' ') }));
+    lastRefreshedAt = new Date();
+    console.log(`[Fuzzy] Index refreshed with ${entries.length} names`);
+    return entries.length;
+  }
+
+  // Suggest up to `limit` catalog names that look like the query
+  function suggest(query, limit = 3) {
+    const queryWords = normalizeName(query).split(' ').filter(Boolean);
+    if (!queryWords.length) {
+      return [];
+    }
+
+    return entries
+      .map(entry => ({
+        name: entry.name,
+        score: nameSimilarity(queryWords, entry.words),
+        // Prefer names without many extra words
+        extraWords: Math.max(0, entry.words.length - queryWords.length)
+      }))
+      .filter(candidate => candidate.score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score || a.extraWords - b.extraWords)
+      .slice(0, limit)
+      .map(candidate => candidate.name);
+  }
+
+  // Build the index now and then refresh it on a schedule
+  function start() {
+    refresh().catch(error => console.error(`[Fuzzy] Initial index build failed: ${error.message}`));
+
+    if (refreshIntervalMs && !refreshTimer) {
+      refreshTimer = setInterval(() => {
+        refresh().catch(error => console.error(`[Fuzzy] Scheduled refresh failed: ${error.message}`));
+      }, refreshIntervalMs);
+      refreshTimer.unref();
+    }
+  }
+
+  function stop() {
+    if (refreshTimer) {
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+    }
+  }
+
+  return {
+    refresh,
+    suggest,
+    start,
+    stop,
+    get size() {
+      return entries.length;
+    },
+    get lastRefreshedAt() {
+      return lastRefreshedAt;
+    }
+  };
+}
+
+module.exports = {
+  createFuzzyIndex,
+  editDistance,
+  phoneticKey,
+  nameSimilarity
+};
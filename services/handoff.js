@@ -0,0 +1,273 @@
+const { v4: uuidv4 } = require('uuid');
+const { runQuery } = require('./storage');
+
+// Human agent handoff.
+// While a customer has an open support ticket their messages are stored for agents
+// instead of being answered by the bot. Agents reply and close tickets through the
+// agent API; tickets with no activity are closed automatically.
+//
+// Ticket states: open -> closed
+
+// In-memory storage, for development and single-instance deployments
+function createMemoryTicketStorage() {
+  const tickets = {};
+  const messages = [];
+
+  return {
+    async insertTicket(ticket) {
+      tickets[ticket.id] = ticket;
+      return ticket;
+    },
+
+    async updateTicket(id, changes) {
+      if (!tickets[id]) {
+        return null;
+      }
+      return Object.assign(tickets[id], changes);
+    },
+
+    async getTicket(id) {
+      return tickets[id] || null;
+    },
+
+    async findOpenTicket(phone) {
+      return Object.values(tickets).find(ticket => ticket.phone === phone && ticket.status === 'open') || null;
+    },
+
+    async listTickets({ status, limit }) {
+      return Object.values(tickets)
+        .filter(ticket => !status || ticket.status === status)
+        .sort((a, b) => b.last_activity_at.localeCompare(a.last_activity_at))
+        .slice(0, limit);
+    },
+
+    async findInactive(before) {
+      return Object.values(tickets).filter(ticket => ticket.status === 'open' && ticket.last_activity_at < before);
+    },
+
+    async insertMessage(message) {
+      messages.push(message);
+      return message;
+    },
+
+    async listMessages(ticketId, limit) {
+      return messages.filter(message => message.ticket_id === ticketId).slice(-limit);
+    }
+  };
+}
+
+// Supabase storage. Expects support_tickets and support_messages tables (see README).
+function createSupabaseTicketStorage(supabase, { ticketsTable = 'support_tickets', messagesTable = 'support_messages' } = {}) {
+  return {
+    async insertTicket(ticket) {
+      await runQuery(supabase.from(ticketsTable).insert([ticket]), 'create ticket');
+      return ticket;
+    },
+
+    async updateTicket(id, changes) {
+      const data = await runQuery(supabase.from(ticketsTable).update(changes).eq('id', id).select(), 'update ticket');
+      return data && data[0] ? data[0] : null;
+    },
+
+    async getTicket(id) {
+      return runQuery(supabase.from(ticketsTable).select('*').eq('id', id).maybeSingle(), 'read ticket');
+    },
+
+    async findOpenTicket(phone) {
+      const data = await runQuery(
+        supabase.from(ticketsTable).select('*').eq('phone', phone).eq('status', 'open').limit(1),
+        'find open ticket'
+      );
+      return data && data[0] ? data[0] : null;
+    },
+
+    async listTickets({ status, limit }) {
+      let query = supabase.from(ticketsTable).select('*');
+      if (status) {
+        query = query.eq('status', status);
+      }
+      return runQuery(query.order('last_activity_at', { ascending: false }).limit(limit), 'list tickets');
+    },
+
+    async findInactive(before) {
+      return runQuery(
+        supabase.from(ticketsTable).select('*').eq('status', 'open').lt('last_activity_at', before),
+        'find inactive tickets'
+      );
+    },
+
+    async insertMessage(message) {
+      await runQuery(supabase.from(messagesTable).insert([message]), 'store ticket message');
+      return message;
+    },
+
+    async listMessages(ticketId, limit) {
+      const data = await runQuery(
+        supabase.from(messagesTable).select('*').eq('ticket_id', ticketId).order('created_at', { ascending: false }).limit(limit),
+        'read ticket messages'
+      );
+      return (data || []).reverse();
+    }
+  };
+}
+
+// sendMessage(to, body) delivers agent replies; onClose(ticket, reason) lets the bot tell the customer
+function createHandoffService({ storage, sendMessage, onClose, inactivityMs = 30 * 60 * 1000, pollIntervalMs = 60 * 1000 }) {
+  let pollTimer = null;
+
+  async function touch(ticketId, changes = {}) {
+    return storage.updateTicket(ticketId, { ...changes, last_activity_at: new Date().toISOString() });
+  }
+
+  async function addMessage(ticket, sender, body, extra = {}) {
+    return storage.insertMessage({
+      id: uuidv4(),
+      ticket_id: ticket.id,
+      sender,
+      body,
+      ...extra,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  async function getOpenTicket(phone) {
+    return storage.findOpenTicket(phone);
+  }
+
+  // Open a ticket for a customer, or return the one that is already open
+  async function openTicket(phone, { reason } = {}) {
+    const existing = await storage.findOpenTicket(phone);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const ticket = await storage.insertTicket({
+      id: uuidv4(),
+      phone,
+      status: 'open',
+      reason: reason || null,
+      assigned_agent: null,
+      created_at: now,
+      last_activity_at: now,
+      closed_at: null,
+      closed_by: null,
+      close_reason: null
+    });
+
+    console.log(`[Handoff] Opened ticket ${ticket.id} for ${phone}`);
+    return ticket;
+  }
+
+  // Store a customer message for agents
+  async function recordCustomerMessage(ticket, body, media = []) {
+    await addMessage(ticket, 'customer', body, { media: media.map(item => ({ url: item.url, contentType: item.contentType })) });
+    await touch(ticket.id);
+    console.log(`[Handoff] Queued message from ${ticket.phone} on ticket ${ticket.id}`);
+  }
+
+  // Send an agent's reply to the customer. Returns null if the ticket isn't open.
+  async function replyAsAgent(ticketId, agent, body) {
+    const ticket = await storage.getTicket(ticketId);
+    if (!ticket || ticket.status !== 'open') {
+      return null;
+    }
+
+    const sent = await sendMessage(ticket.phone, body);
+    if (!sent) {
+      throw new Error('Failed to send WhatsApp message');
+    }
+
+    const message = await addMessage(ticket, 'agent', body, { agent: agent || null });
+    await touch(ticket.id, { assigned_agent: ticket.assigned_agent || agent || null });
+    console.log(`[Handoff] Agent ${agent || 'unknown'} replied on ticket ${ticket.id}`);
+    return message;
+  }
+
+  // Close a ticket and hand the customer back to the bot
+  // reason: 'agent', 'customer' or 'inactivity'
+  async function closeTicket(ticketId, { closedBy, reason = 'agent' } = {}) {
+    const ticket = await storage.getTicket(ticketId);
+    if (!ticket || ticket.status !== 'open') {
+      return null;
+    }
+
+    const closed = await storage.updateTicket(ticket.id, {
+      status: 'closed',
+      closed_at: new Date().toISOString(),
+      closed_by: closedBy || null,
+      close_reason: reason
+    });
+    console.log(`[Handoff] Closed ticket ${ticket.id} (${reason})`);
+
+    if (onClose) {
+      try {
+        await onClose(closed || ticket, reason);
+      } catch (error) {
+        console.error(`[Handoff] Error notifying customer about closed ticket ${ticket.id}: ${error.message}`);
+      }
+    }
+    return closed || ticket;
+  }
+
+  // Close every ticket without activity for inactivityMs
+  async function closeInactiveTickets() {
+    try {
+      const before = new Date(Date.now() - inactivityMs).toISOString();
+      const tickets = await storage.findInactive(before);
+      for (const ticket of tickets) {
+        await closeTicket(ticket.id, { reason: 'inactivity' });
+      }
+      return tickets.length;
+    } catch (error) {
+      console.error(`[Handoff] Error closing inactive tickets: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async function listTickets({ status, limit = 50 } = {}) {
+    return storage.listTickets({ status, limit });
+  }
+
+  // A ticket with its message history, or null if it doesn't exist
+  async function getConversation(ticketId, limit = 100) {
+    const ticket = await storage.getTicket(ticketId);
+    if (!ticket) {
+      return null;
+    }
+    return { ticket, messages: await storage.listMessages(ticketId, limit) };
+  }
+
+  function start() {
+    if (!pollTimer) {
+      pollTimer = setInterval(closeInactiveTickets, pollIntervalMs);
+      pollTimer.unref();
+    }
+  }
+
+  function stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  return {
+    getOpenTicket,
+    openTicket,
+    recordCustomerMessage,
+    replyAsAgent,
+    closeTicket,
+    closeInactiveTickets,
+    listTickets,
+    getConversation,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createHandoffService,
+  createMemoryTicketStorage,
+  createSupabaseTicketStorage
+};
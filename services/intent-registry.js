@@ -0,0 +1,215 @@
+// Matches free-text messages to intents declared in config (see config/intents.js).
+// Every trigger that fires gives its intent a score:
+//   menu number or phrase (the whole message)   1
+//   pattern (a regex on the whole message)       0.9, or the pattern's own score
+//   entity (e.g. an order ID found in a sentence) 0.9, or the entity's own score
+//   keyword (contained as whole words)           0.5-0.8, more the larger the share of the message it is
+// Intents are ranked by score, then priority. When the runner-up is within clarifyMargin of the
+// best match the result is ambiguous, and the bot asks which one was meant instead of guessing.
+
+const EXACT_SCORE = 1;
+const DEFAULT_PATTERN_SCORE = 0.9;
+const DEFAULT_ENTITY_SCORE = 0.9;
+const KEYWORD_BASE_SCORE = 0.5;
+const KEYWORD_COVERAGE_SCORE = 0.3;
+
+// State name used for users who aren't in a multi-turn flow
+const NO_STATE = 'none';
+
+// Lower-case, collapse whitespace and drop trailing punctuation ("My orders?" -> "my orders")
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[?!.,]+$/, '').trim();
+}
+
+function countWords(text) {
+  return text ? text.split(' ').length : 0;
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
+
+function compilePattern(definition) {
+  const { pattern, score } = definition instanceof RegExp || typeof definition === 'string'
+    ? { pattern: definition }
+    : definition;
+
+  return {
+    regex: pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'),
+    score: score || DEFAULT_PATTERN_SCORE
+  };
+}
+
+function compileEntity(definition) {
+  const { name, score } = typeof definition === 'string' ? { name: definition } : definition;
+  return { name, score: score || DEFAULT_ENTITY_SCORE };
+}
+
+function compileIntent(intent) {
+  if (!intent.name) {
+    throw new Error('Every intent needs a name');
+  }
+
+  return {
+    name: intent.name,
+    phrases: (intent.phrases || []).map(normalizeText),
+    keywords: (intent.keywords || []).map(normalizeText),
+    patterns: (intent.patterns || []).map(compilePattern),
+    entities: (intent.entities || []).map(compileEntity),
+    priority: intent.priority || 0,
+    states: intent.states || null,
+    excludeStates: intent.excludeStates || [],
+    interruptsFlow: !!intent.interruptsFlow
+  };
+}
+
+function createIntentRegistry({ menu = {}, intents = [], fallback = null, minScore = 0.5, clarifyMargin = 0.15, maxChoices = 3 }) {
+  const compiled = intents.map(compileIntent);
+  const byName = {};
+  compiled.forEach(intent => {
+    if (byName[intent.name]) {
+      throw new Error(`Intent "${intent.name}" is defined more than once`);
+    }
+    byName[intent.name] = intent;
+  });
+
+  const menuEntries = menu.entries || [];
+  const menuExcludeStates = menu.excludeStates || [];
+  menuEntries.forEach(entry => {
+    if (!byName[entry.intent]) {
+      throw new Error(`Menu option ${entry.option} uses unknown intent "${entry.intent}"`);
+    }
+  });
+
+  function allowedIn(intent, state) {
+    if (intent.states && !intent.states.includes(state)) {
+      return false;
+    }
+    return !intent.excludeStates.includes(state);
+  }
+
+  // Best trigger of one intent for a message, or null
+  function scoreIntent(intent, text, normalized, entities) {
+    if (intent.phrases.includes(normalized)) {
+      return { score: EXACT_SCORE, matchedBy: 'phrase', trigger: normalized, groups: [] };
+    }
+
+    let best = null;
+    for (const { regex, score } of intent.patterns) {
+      const match = text.match(regex);
+      if (match && (!best || score > best.score)) {
+        best = { score, matchedBy: 'pattern', trigger: regex.toString(), groups: match.slice(1) };
+      }
+    }
+
+    for (const { name, score } of intent.entities) {
+      const values = [].concat(entities[name] || []);
+      if (values.length > 0 && (!best || score > best.score)) {
+        best = { score, matchedBy: 'entity', trigger: name, groups: values };
+      }
+    }
+
+    const words = countWords(normalized);
+    for (const keyword of intent.keywords) {
+      if (` ${normalized} `.includes(` ${keyword} `)) {
+        const score = round(KEYWORD_BASE_SCORE + KEYWORD_COVERAGE_SCORE * countWords(keyword) / words);
+        if (!best || score > best.score) {
+          best = { score, matchedBy: 'keyword', trigger: keyword, groups: [] };
+        }
+      }
+    }
+    return best;
+  }
+
+  // Rank every intent that could handle the message.
+  // Returns { text, state, intent, candidates, ambiguous, choices }: intent is the best candidate
+  // (or null), and choices are the candidates to offer when the match is ambiguous.
+  // entities are what services/entities.js extracted from the message, for entity triggers.
+  function match(message, { state, entities = {} } = {}) {
+    const text = String(message || '').trim();
+    const normalized = normalizeText(text);
+    const currentState = state || NO_STATE;
+    const candidates = [];
+
+    const menuEntry = menuEntries.find(entry => String(entry.option) === normalized);
+    if (menuEntry && !menuExcludeStates.includes(currentState)) {
+      candidates.push({
+        intent: menuEntry.intent,
+        score: EXACT_SCORE,
+        matchedBy: 'menu',
+        trigger: normalized,
+        groups: [],
+        priority: byName[menuEntry.intent].priority,
+        // Menu numbers always leave the current flow
+        interruptsFlow: true
+      });
+    }
+
+    compiled.forEach(intent => {
+      if (!allowedIn(intent, currentState) || candidates.some(candidate => candidate.intent === intent.name)) {
+        return;
+      }
+      const best = scoreIntent(intent, text, normalized, entities);
+      if (best) {
+        candidates.push({ intent: intent.name, ...best, priority: intent.priority, interruptsFlow: intent.interruptsFlow });
+      }
+    });
+
+    if (fallback && normalized) {
+      candidates.push({
+        intent: fallback.intent,
+        score: fallback.score,
+        matchedBy: 'fallback',
+        trigger: null,
+        groups: [],
+        priority: -1,
+        interruptsFlow: false
+      });
+    }
+
+    // Array.sort is stable, so equal candidates stay in config order
+    candidates.sort((a, b) => b.score - a.score || b.priority - a.priority);
+
+    const best = candidates[0] || null;
+    const contenders = best && best.score < EXACT_SCORE
+      ? candidates.filter(candidate => candidate.score >= minScore && round(best.score - candidate.score) < clarifyMargin)
+      : [];
+    const ambiguous = contenders.length > 1;
+
+    return {
+      text,
+      state: currentState,
+      intent: best,
+      candidates,
+      ambiguous,
+      choices: ambiguous ? contenders.slice(0, maxChoices) : []
+    };
+  }
+
+  // The configured intents, with patterns as strings, for the debug API
+  function describe() {
+    return {
+      menu: menuEntries,
+      intents: compiled.map(intent => ({
+        ...intent,
+        patterns: intent.patterns.map(({ regex, score }) => ({ pattern: regex.toString(), score }))
+      })),
+      fallback,
+      minScore,
+      clarifyMargin
+    };
+  }
+
+  function intentNames() {
+    return compiled.map(intent => intent.name).concat(fallback ? [fallback.intent] : []);
+  }
+
+  return {
+    menu: menuEntries,
+    match,
+    describe,
+    intentNames
+  };
+}
+
+module.exports = { createIntentRegistry, normalizeText };
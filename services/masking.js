@@ -0,0 +1,76 @@
+// Helpers to partially hide personal details before showing them over WhatsApp
+
+// "Prashant Kumar" -> "Prashant K."
+function maskName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) {
+    return null;
+  }
+  return [parts[0], ...parts.slice(1).map(part => `${part[0].toUpperCase()}.`)].join(' ');
+}
+
+// "prashant@example.com" -> "pr******@example.com"
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  if (!local || !domain) {
+    return null;
+  }
+  const visible = local.length > 2 ? local.slice(0, 2) : local.slice(0, 1);
+  return `${visible}${'*'.repeat(Math.max(local.length - visible.length, 1))}@${domain}`;
+}
+
+// "9876543210" -> "******3210"
+function maskPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 4) {
+    return null;
+  }
+  return `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+}
+
+// "12 MG Road, Pune, 411001" -> "***, Pune, 411001"
+function maskAddress(address) {
+  const parts = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    return null;
+  }
+  if (parts.length === 1) {
+    return `${parts[0].slice(0, 4)}***`;
+  }
+  return ['***', ...parts.slice(-2)].join(', ');
+}
+
+// Words that mark a line as (part of) a postal address
+const ADDRESS_WORDS = /\b(road|rd|street|st|lane|marg|nagar|colony|sector|block|flat|floor|house|apartment|apt|society|near|opp|opposite|village|district|pincode)\b/i;
+const PIN_CODE = /\b[1-9]\d{5}\b/;
+
+// Remove phone numbers, email addresses and postal addresses from free text, for exports.
+// Address detection is a best effort: any line with a PIN code or an address word is
+// redacted after its label ("Deliver to: ...") or as a whole.
+function redactText(text) {
+  return String(text || '')
+    .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+    .replace(/(?:whatsapp:)?\+?\d[\d\s-]{8,}\d/g, match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 15 ? '[phone]' : match;
+    })
+    .split('\n')
+    .map(line => {
+      if (!PIN_CODE.test(line) && !ADDRESS_WORDS.test(line)) {
+        return line;
+      }
+      const label = line.match(/^[^:]*:\**/);
+      return label && label[0].length < line.trim().length
+        ? `${label[0]} [address]`
+        : '[address]';
+    })
+    .join('\n');
+}
+
+module.exports = {
+  maskName,
+  maskEmail,
+  maskPhone,
+  maskAddress,
+  redactText
+};
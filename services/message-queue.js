@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { runQuery } = require('./storage');
+
+// Durable outbound message queue.
+// Messages are stored before they are sent, retried with exponential backoff
+// and moved to the "dead" state after MAX attempts so an admin can retry them.
+//
+// Queue states: sending -> sent, or sending -> retrying -> sending -> ... -> dead
+// A record is marked "sending" before every attempt, with next_attempt_at pushed out by a lease,
+// so the poller never picks up a message that is already being sent. If the process dies
+// mid-send, the record becomes due again once the lease runs out.
+// Delivery states (from Twilio status callbacks): sent, delivered, read, failed, undelivered
+
+const DUE_STATUSES = ['queued', 'retrying', 'sending'];
+
+function isDue(record, now) {
+  return DUE_STATUSES.includes(record.status) && record.next_attempt_at <= now;
+}
+
+const FINISHED_STATUSES = ['sent', 'dead'];
+
+// An admin can only retry a message that gave up or that the provider reported as not delivered
+const RETRYABLE_DELIVERY_STATUSES = ['failed', 'undelivered'];
+
+function isRetryable(record) {
+  return record.status === 'dead' || RETRYABLE_DELIVERY_STATUSES.includes(record.delivery_status);
+}
+
+// JSON file storage, for development and single-instance deployments without a database table.
+// Sent and dead messages are dropped once they are older than retentionDays, so the file stays small.
+function createFileQueueStorage(filePath, { retentionDays = 7 } = {}) {
+  let records = null;
+  let writing = null;
+  let pendingWrite = false;
+
+  function load() {
+    if (records) {
+      return records;
+    }
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Queue] Could not read ${filePath}: ${error.message}`);
+      }
+      records = {};
+    }
+    return records;
+  }
+
+  function prune() {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    for (const [id, record] of Object.entries(records)) {
+      if (FINISHED_STATUSES.includes(record.status) && record.updated_at < cutoff) {
+        delete records[id];
+      }
+    }
+  }
+
+  async function write() {
+    try {
+      while (pendingWrite) {
+        pendingWrite = false;
+        prune();
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        // Write to a temp file first so a crash never leaves a half-written queue
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(records));
+        await fs.promises.rename(tempPath, filePath);
+      }
+    } finally {
+      writing = null;
+    }
+  }
+
+  // Changes made while a write is in progress are saved together by the next write,
+  // so only one write runs at a time and a burst of messages doesn't write the file once each
+  function save() {
+    pendingWrite = true;
+    if (!writing) {
+      writing = write();
+    }
+    return writing;
+  }
+
+  return {
+    async insert(record) {
+      load()[record.id] = record;
+      await save();
+      return record;
+    },
+
+    async update(id, changes) {
+      const record = load()[id];
+      if (!record) {
+        return null;
+      }
+      Object.assign(record, changes);
+      await save();
+      return record;
+    },
+
+    async get(id) {
+      return load()[id] || null;
+    },
+
+    async findDue(now, limit) {
+      return Object.values(load())
+        .filter(record => isDue(record, now))
+        .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at))
+        .slice(0, limit);
+    },
+
+    // Mark a record as being sent, unless another attempt has claimed it since it was found due
+    async claim(id, now, changes) {
+      const record = load()[id];
+      if (!record || !isDue(record, now)) {
+        return null;
+      }
+      Object.assign(record, changes);
+      await save();
+      return record;
+    },
+
+    // Mark a retryable record as being sent, so only one retry sends it
+    async claimRetry(id, changes) {
+      const record = load()[id];
+      if (!record || !isRetryable(record)) {
+        return null;
+      }
+      Object.assign(record, changes);
+      await save();
+      return record;
+    },
+
+    async findByMessageSid(messageSid) {
+      return Object.values(load()).find(record => record.message_sid === messageSid) || null;
+    },
+
+    async list({ statuses, limit }) {
+      return Object.values(load())
+        .filter(record => !statuses || statuses.includes(record.status) || statuses.includes(record.delivery_status))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+    }
+  };
+}
+
+// Supabase table storage. Expects an outbound_messages table with the record columns below.
+function createSupabaseQueueStorage(supabase, tableName = 'outbound_messages') {
+  return {
+    async insert(record) {
+      await runQuery(supabase.from(tableName).insert([record]), 'insert queued message');
+      return record;
+    },
+
+    async update(id, changes) {
+      const data = await runQuery(supabase.from(tableName).update(changes).eq('id', id).select(), 'update queued message');
+      return data && data[0] ? data[0] : null;
+    },
+
+    async get(id) {
+      return runQuery(supabase.from(tableName).select('*').eq('id', id).maybeSingle(), 'read queued message');
+    },
+
+    async findDue(now, limit) {
+      return runQuery(
+        supabase.from(tableName)
+          .select('*')
+          .in('status', DUE_STATUSES)
+          .lte('next_attempt_at', now)
+          .order('next_attempt_at', { ascending: true })
+          .limit(limit),
+        'read due messages'
+      );
+    },
+
+    // The same due check in the update's filter, so only one instance can claim a record
+    async claim(id, now, changes) {
+      const data = await runQuery(
+        supabase.from(tableName)
+          .update(changes)
+          .eq('id', id)
+          .in('status', DUE_STATUSES)
+          .lte('next_attempt_at', now)
+          .select(),
+        'claim queued message'
+      );
+      return data && data[0] ? data[0] : null;
+    },
+
+    // The retryable check in the update's filter: first for a dead message, then for a failed delivery
+    async claimRetry(id, changes) {
+      const dead = await runQuery(
+        supabase.from(tableName).update(changes).eq('id', id).eq('status', 'dead').select(),
+        'claim message for retry'
+      );
+      if (dead && dead[0]) {
+        return dead[0];
+      }
+
+      const failed = await runQuery(
+        supabase.from(tableName).update(changes).eq('id', id).in('delivery_status', RETRYABLE_DELIVERY_STATUSES).select(),
+        'claim message for retry'
+      );
+      return failed && failed[0] ? failed[0] : null;
+    },
+
+    async findByMessageSid(messageSid) {
+      return runQuery(supabase.from(tableName).select('*').eq('message_sid', messageSid).maybeSingle(), 'find message by SID');
+    },
+
+    async list({ statuses, limit }) {
+      let query = supabase.from(tableName).select('*');
+      if (statuses) {
+        const values = statuses.join(',');
+        query = query.or(`status.in.(${values}),delivery_status.in.(${values})`);
+      }
+      return runQuery(query.order('created_at', { ascending: false }).limit(limit), 'list messages');
+    }
+  };
+}
+
+// send(to, body, metadata) delivers one message; metadata is what enqueue stored with it
+function createMessageQueue({ storage, send, maxAttempts = 5, baseDelayMs = 30000, pollIntervalMs = 10000, sendingLeaseMs = 120000 }) {
+  let pollTimer = null;
+  let processing = false;
+
+  // Delay before the next attempt: base * 2^(attempts - 1), with up to 20% jitter
+  function getBackoffDelay(attempts) {
+    const delay = baseDelayMs * Math.pow(2, attempts - 1);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  // Changes that mark a record as being sent until the lease runs out
+  function sending() {
+    const now = Date.now();
+    return {
+      status: 'sending',
+      next_attempt_at: new Date(now + sendingLeaseMs).toISOString(),
+      updated_at: new Date(now).toISOString()
+    };
+  }
+
+  // Try to send one claimed record and update its state
+  async function attempt(record) {
+    const attempts = (record.attempts || 0) + 1;
+
+    try {
+      const result = await send(record.to, record.body, record.metadata || {});
+      console.log(`[Queue] Sent message ${record.id} to ${record.to}`);
+      return storage.update(record.id, {
+        status: 'sent',
+        attempts,
+        message_sid: result && result.id ? result.id : null,
+        last_error: null,
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      const isDead = attempts >= maxAttempts;
+      console.error(`[Queue] Attempt ${attempts}/${maxAttempts} failed for message ${record.id}: ${error.message}`);
+
+      return storage.update(record.id, {
+        status: isDead ? 'dead' : 'retrying',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: isDead ? record.next_attempt_at : new Date(Date.now() + getBackoffDelay(attempts)).toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    }
+  }
+
+  // Store a message and make the first delivery attempt right away.
+  // It is stored as already sending, so the poller leaves it alone during this attempt.
+  async function enqueue(to, body, metadata = {}) {
+    const record = await storage.insert({
+      id: uuidv4(),
+      to,
+      body,
+      metadata,
+      attempts: 0,
+      last_error: null,
+      message_sid: null,
+      delivery_status: null,
+      created_at: new Date().toISOString(),
+      ...sending()
+    });
+
+    return attempt(record);
+  }
+
+  // Send every message whose retry time has come
+  async function processDue(limit = 20) {
+    if (processing) {
+      return 0;
+    }
+    processing = true;
+
+    try {
+      const now = new Date().toISOString();
+      const due = await storage.findDue(now, limit);
+      let attempted = 0;
+      for (const record of due) {
+        const claimed = await storage.claim(record.id, now, sending());
+        if (claimed) {
+          await attempt(claimed);
+          attempted++;
+        }
+      }
+      return attempted;
+    } catch (error) {
+      console.error(`[Queue] Error processing due messages: ${error.message}`);
+      return 0;
+    } finally {
+      processing = false;
+    }
+  }
+
+  // Record a delivery status reported by the provider for a message SID
+  async function recordDeliveryStatus(messageSid, deliveryStatus, errorCode) {
+    const record = await storage.findByMessageSid(messageSid);
+    if (!record) {
+      console.warn(`[Queue] Status "${deliveryStatus}" received for unknown message ${messageSid}`);
+      return null;
+    }
+
+    console.log(`[Queue] Message ${record.id} (${messageSid}) is now ${deliveryStatus}`);
+    return storage.update(record.id, {
+      delivery_status: deliveryStatus,
+      ...(errorCode && { last_error: `Delivery failed with error code ${errorCode}` }),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Put a dead or failed message back in the queue and try it again.
+  // Returns { message } or { error: 'not_found' | 'not_retryable', message }
+  async function retry(id) {
+    const record = await storage.get(id);
+    if (!record) {
+      return { error: 'not_found' };
+    }
+
+    // Claimed with the same check, so a message that is sent, being sent or being retried is left alone
+    const claimed = isRetryable(record) && await storage.claimRetry(id, {
+      ...sending(),
+      attempts: 0,
+      delivery_status: null
+    });
+    if (!claimed) {
+      return { error: 'not_retryable', message: await storage.get(id) };
+    }
+    return { message: await attempt(claimed) };
+  }
+
+  async function list({ statuses, limit = 50 } = {}) {
+    return storage.list({ statuses, limit });
+  }
+
+  function start() {
+    if (!pollTimer) {
+      pollTimer = setInterval(processDue, pollIntervalMs);
+      pollTimer.unref();
+    }
+  }
+
+  function stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  return {
+    enqueue,
+    processDue,
+    recordDeliveryStatus,
+    retry,
+    list,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createMessageQueue,
+  createFileQueueStorage,
+  createSupabaseQueueStorage
+};
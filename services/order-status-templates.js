@@ -0,0 +1,68 @@
+// WhatsApp message templates for proactive order status updates
+const { t } = require('../i18n');
+
+// Map the status names the main server may send onto our template keys
+const STATUS_ALIASES = {
+  confirmed: 'confirmed',
+  placed: 'confirmed',
+  packed: 'packed',
+  shipped: 'shipped',
+  dispatched: 'shipped',
+  out_for_delivery: 'out_for_delivery',
+  delivered: 'delivered',
+  cancelled: 'cancelled',
+  canceled: 'cancelled'
+};
+
+// Message builders for each status; the text is in the orderStatus section of the locales
+const TEMPLATES = {
+  confirmed: (lang, { orderId }) => t(lang, 'orderStatus.confirmed', { orderId }),
+
+  packed: (lang, { orderId }) => t(lang, 'orderStatus.packed', { orderId }),
+
+  shipped: (lang, { orderId, courier, trackingNumber, trackingUrl }) => {
+    let message = courier
+      ? t(lang, 'orderStatus.shippedVia', { orderId, courier })
+      : t(lang, 'orderStatus.shipped', { orderId });
+    if (trackingNumber) {
+      message += `\n\n${t(lang, 'orderStatus.trackingNumber', { trackingNumber })}`;
+    }
+    if (trackingUrl) {
+      message += `\n${t(lang, 'orderStatus.trackingLink', { url: trackingUrl })}`;
+    }
+    return message;
+  },
+
+  out_for_delivery: (lang, { orderId }) => t(lang, 'orderStatus.out_for_delivery', { orderId }),
+
+  delivered: (lang, { orderId }) => t(lang, 'orderStatus.delivered', { orderId }),
+
+  cancelled: (lang, { orderId, reason }) =>
+    t(lang, 'orderStatus.cancelled', { orderId }) +
+    (reason ? `\n\n${t(lang, 'orderStatus.reason', { reason })}` : '') +
+    `\n\n${t(lang, 'orderStatus.refundNote')}`
+};
+
+// Turn a raw status ("Out for Delivery", "out-for-delivery") into a template key, or null
+function normalizeOrderStatus(status) {
+  if (!status) {
+    return null;
+  }
+  const key = String(status).toLowerCase().trim().replace(/[\s-]+/g, '_');
+  return STATUS_ALIASES[key] || null;
+}
+
+// Render the message for a status in the given language; every message ends with a pointer to tracking
+function renderOrderStatusMessage(lang, status, details) {
+  const template = TEMPLATES[status];
+  if (!template) {
+    return null;
+  }
+  return `${template(lang, details)}\n\n${t(lang, 'orderStatus.trackHint', { orderId: details.orderId })}`;
+}
+
+module.exports = {
+  normalizeOrderStatus,
+  renderOrderStatusMessage,
+  ORDER_STATUSES: Object.keys(TEMPLATES)
+};
@@ -0,0 +1,154 @@
+// Reads the tracking details of an order as the main server returns it. Field names vary
+// between the order API, the Supabase orders table and courier integrations, so each value
+// is looked up under the names seen in practice. JSON columns may arrive as strings.
+
+// Statuses the tracking reply has wording for, and the names they go by
+const STATUS_ALIASES = {
+  pending: 'processing',
+  processing: 'processing',
+  placed: 'confirmed',
+  confirmed: 'confirmed',
+  packed: 'packed',
+  shipped: 'shipped',
+  dispatched: 'shipped',
+  in_transit: 'shipped',
+  out_for_delivery: 'out_for_delivery',
+  delivered: 'delivered',
+  cancelled: 'cancelled',
+  canceled: 'cancelled',
+  returned: 'returned',
+  return_requested: 'returned',
+  refunded: 'refunded'
+};
+
+// Orders can be cancelled from WhatsApp until they are packed
+const CANCELLABLE_STATUSES = ['processing', 'confirmed'];
+
+// Payment methods and statuses the tracking reply has wording for
+const PAYMENT_METHODS = ['cod', 'online', 'upi', 'card', 'netbanking', 'wallet'];
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'refunded'];
+
+// Orders in these states won't be delivered, so no delivery estimate is shown
+const CLOSED_STATUSES = ['delivered', 'cancelled', 'returned', 'refunded'];
+
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return value || null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function firstOf(source, names) {
+  if (!source) {
+    return null;
+  }
+  const name = names.find(candidate => source[candidate] !== undefined && source[candidate] !== null && source[candidate] !== '');
+  return name ? source[name] : null;
+}
+
+// "Out for Delivery", "out-for-delivery" -> "out_for_delivery"; null for statuses without wording
+function normalizeTrackingStatus(status) {
+  if (!status) {
+    return null;
+  }
+  const key = String(status).toLowerCase().trim().replace(/[\s-]+/g, '_');
+  return STATUS_ALIASES[key] || null;
+}
+
+// Spellings a status may be stored under ("confirmed", "Confirmed", "CONFIRMED", "Out For Delivery"),
+// for every alias of the given statuses, so database filters match however the order was written
+function getStoredStatusValues(statusKeys) {
+  const values = Object.keys(STATUS_ALIASES)
+    .filter(alias => statusKeys.includes(STATUS_ALIASES[alias]))
+    .flatMap(alias => {
+      const words = alias.split('_');
+      const titleCase = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+      return [alias, alias.toUpperCase(), titleCase];
+    });
+  return [...new Set(values)];
+}
+
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Status changes, oldest first: [{ status, key, at, note }]
+function getStatusHistory(order, deliveryInfo) {
+  const history = parseJson(firstOf(order, ['status_history', 'statusHistory', 'timeline'])) ||
+    parseJson(firstOf(deliveryInfo, ['status_history', 'history', 'timeline', 'events'])) ||
+    [];
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  return history
+    .map(entry => {
+      const status = firstOf(entry, ['status', 'state', 'event']);
+      return {
+        status,
+        key: normalizeTrackingStatus(status),
+        at: toDate(firstOf(entry, ['at', 'timestamp', 'date', 'changed_at', 'created_at', 'updated_at'])),
+        note: firstOf(entry, ['note', 'notes', 'description', 'location'])
+      };
+    })
+    .filter(entry => entry.status)
+    .sort((a, b) => (a.at && b.at ? a.at - b.at : 0));
+}
+
+// Everything the tracking reply shows about an order, in one shape:
+// { status, statusKey, timeline, estimatedDelivery, deliveredAt, courier, shippingAddress, payment, refundAmount }
+function describeOrderTracking(order) {
+  const deliveryInfo = parseJson(order.delivery_info) || {};
+  const status = order.status || null;
+  const statusKey = normalizeTrackingStatus(status);
+  const timeline = getStatusHistory(order, deliveryInfo);
+
+  const deliveredEntry = timeline.find(entry => entry.key === 'delivered');
+  const deliveredAt = toDate(firstOf(deliveryInfo, ['delivered_at', 'delivery_date'])) ||
+    toDate(order.delivered_at) ||
+    (deliveredEntry && deliveredEntry.at);
+
+  const estimatedDelivery = CLOSED_STATUSES.includes(statusKey)
+    ? null
+    : toDate(firstOf(deliveryInfo, ['estimated_delivery', 'estimated_delivery_date', 'expected_delivery', 'eta', 'edd'])) ||
+      toDate(firstOf(order, ['estimated_delivery', 'estimated_delivery_date', 'expected_delivery']));
+
+  const trackingNumber = firstOf(deliveryInfo, ['tracking_number', 'trackingNumber', 'awb', 'awb_number', 'tracking_id']);
+  const trackingUrl = firstOf(deliveryInfo, ['tracking_url', 'trackingUrl', 'tracking_link']);
+  const courierName = firstOf(deliveryInfo, ['courier', 'courier_name', 'carrier', 'partner']);
+
+  return {
+    status,
+    statusKey,
+    timeline,
+    estimatedDelivery,
+    deliveredAt: deliveredAt || null,
+    courier: trackingNumber || trackingUrl || courierName
+      ? { name: courierName, trackingNumber, trackingUrl }
+      : null,
+    // Left as stored (text or an address object) for the caller to format
+    shippingAddress: order.shipping_address || null,
+    payment: {
+      method: order.payment_method || null,
+      status: order.payment_status || null
+    },
+    refundAmount: firstOf(order, ['refund_amount', 'refunded_amount'])
+  };
+}
+
+module.exports = {
+  describeOrderTracking,
+  normalizeTrackingStatus,
+  getStoredStatusValues,
+  CANCELLABLE_STATUSES,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES
+};
@@ -0,0 +1,128 @@
+// Phone number normalization shared by every flow.
+// WhatsApp gives us E.164 numbers ("whatsapp:+919876543210"); the database stores
+// Indian numbers as 10 national digits and other countries in E.164 form.
+
+// Country code assumed for numbers typed without one
+const DEFAULT_COUNTRY_CODE = '91';
+
+// Supported countries by calling code.
+// storeNational: the database keeps the national number without the country code.
+const COUNTRIES = {
+  '1': { iso: 'US', nationalLength: 10 },
+  '44': { iso: 'GB', nationalLength: 10 },
+  '61': { iso: 'AU', nationalLength: 9 },
+  '65': { iso: 'SG', nationalLength: 8 },
+  '91': { iso: 'IN', nationalLength: 10, storeNational: true },
+  '94': { iso: 'LK', nationalLength: 9 },
+  '880': { iso: 'BD', nationalLength: 10 },
+  '966': { iso: 'SA', nationalLength: 9 },
+  '971': { iso: 'AE', nationalLength: 9 },
+  '977': { iso: 'NP', nationalLength: 10 }
+};
+
+function buildPhone(countryCode, nationalNumber) {
+  return {
+    countryCode,
+    country: COUNTRIES[countryCode] ? COUNTRIES[countryCode].iso : null,
+    nationalNumber,
+    e164: `+${countryCode}${nationalNumber}`
+  };
+}
+
+// Split international digits ("919876543210") into country code and national number.
+// Calling codes are prefix-free, so the first match is the only one.
+function parseInternational(digits) {
+  for (const length of [1, 2, 3]) {
+    const countryCode = digits.slice(0, length);
+    if (COUNTRIES[countryCode]) {
+      const nationalNumber = digits.slice(length);
+      return nationalNumber.length >= 4 ? buildPhone(countryCode, nationalNumber) : null;
+    }
+  }
+
+  // Valid E.164 from a country we don't have rules for
+  if (digits.length >= 8 && digits.length <= 15) {
+    return { countryCode: null, country: null, nationalNumber: null, e164: `+${digits}` };
+  }
+  return null;
+}
+
+// Parse a phone number in any of the forms we receive:
+// "whatsapp:+919876543210", "+91 98765 43210", "0091...", "09876543210", "9876543210", "919876543210"
+// Returns { countryCode, country, nationalNumber, e164 } or null if it isn't a phone number.
+function parsePhoneNumber(input, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  const raw = String(input || '').replace(/^whatsapp:/i, '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  if (raw.startsWith('+')) {
+    return parseInternational(digits);
+  }
+  if (raw.startsWith('00')) {
+    return parseInternational(digits.slice(2));
+  }
+
+  // A national number, possibly with a trunk "0" prefix
+  const national = digits.replace(/^0+/, '');
+  const defaultCountry = COUNTRIES[defaultCountryCode];
+  if (defaultCountry && national.length === defaultCountry.nationalLength) {
+    return buildPhone(defaultCountryCode, national);
+  }
+
+  // Digits that already include a supported country code
+  const international = parseInternational(digits);
+  return international && international.countryCode ? international : null;
+}
+
+// "+919876543210"
+function toE164(input) {
+  const phone = parsePhoneNumber(input);
+  return phone ? phone.e164 : null;
+}
+
+// "whatsapp:+919876543210"
+function toWhatsAppAddress(input) {
+  const phone = parsePhoneNumber(input);
+  return phone ? `whatsapp:${phone.e164}` : null;
+}
+
+// The form the users table and main server expect: "9876543210" for India, "+447700900123" elsewhere
+function toDatabasePhone(input) {
+  const phone = parsePhoneNumber(input);
+  if (!phone) {
+    return null;
+  }
+  const country = COUNTRIES[phone.countryCode];
+  return country && country.storeNational ? phone.nationalNumber : phone.e164;
+}
+
+// Every format a number may have been stored in, canonical form first.
+// Use with .in('phone', candidates) so older rows in a different format still match.
+function getLookupCandidates(input) {
+  const phone = parsePhoneNumber(input);
+  if (!phone) {
+    return [];
+  }
+
+  const candidates = [toDatabasePhone(input), phone.e164, phone.e164.slice(1)];
+
+  // Bare national numbers are only tried for countries stored that way,
+  // otherwise a foreign number could match a different customer's Indian number
+  const country = COUNTRIES[phone.countryCode];
+  if (country && country.storeNational) {
+    candidates.push(phone.nationalNumber, `0${phone.nationalNumber}`);
+  }
+  return [...new Set(candidates)];
+}
+
+module.exports = {
+  parsePhoneNumber,
+  toE164,
+  toWhatsAppAddress,
+  toDatabasePhone,
+  getLookupCandidates,
+  DEFAULT_COUNTRY_CODE,
+  COUNTRIES
+};
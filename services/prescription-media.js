@@ -0,0 +1,130 @@
+// Downloads prescription attachments from the messaging provider and keeps them in Supabase Storage.
+// Provider media URLs need credentials and expire, so the storage path is what gets saved.
+//
+// Files are stored as <phone>/<prescription id>/page-<n>.<ext> so all pages of one
+// upload stay together.
+
+// Accepted file types and the extension they are stored with
+const ALLOWED_MEDIA_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+// "image/jpeg; charset=binary" -> "image/jpeg"
+function getBaseType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isAllowedMediaType(contentType) {
+  return Object.prototype.hasOwnProperty.call(ALLOWED_MEDIA_TYPES, getBaseType(contentType));
+}
+
+// Identify the file from its first bytes, so a renamed file can't pass as an image
+function detectMediaType(data) {
+  if (data.length >= 3 && data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 8 && data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'image/png';
+  }
+  if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (data.length >= 5 && data.toString('ascii', 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  return null;
+}
+
+function createPrescriptionMediaStore({ supabase, bucket = 'prescriptions', maxBytes = DEFAULT_MAX_BYTES }) {
+  // Download, check and store every attachment of one upload.
+  // download(url, { maxBytes }) comes from the channel the message arrived on and returns { data, contentType }.
+  // Returns { pages: [{ page, path, contentType, size }], rejected: [{ index, reason }] },
+  // where reason is 'type', 'size' or 'download'.
+  async function saveAttachments({ phone, prescriptionId, attachments, download }) {
+    const pages = [];
+    const rejected = [];
+
+    for (const [index, attachment] of attachments.entries()) {
+      // Skip what the provider already told us isn't an image or PDF
+      if (attachment.contentType && !isAllowedMediaType(attachment.contentType)) {
+        rejected.push({ index, reason: 'type' });
+        continue;
+      }
+
+      let file;
+      try {
+        file = await download(attachment.url, { maxBytes });
+      } catch (error) {
+        const tooLarge = /maxContentLength|too large/i.test(error.message);
+        console.error(`[Prescription Media] Could not download attachment ${index + 1}: ${error.message}`);
+        rejected.push({ index, reason: tooLarge ? 'size' : 'download' });
+        continue;
+      }
+
+      if (file.data.length > maxBytes) {
+        rejected.push({ index, reason: 'size' });
+        continue;
+      }
+
+      const contentType = detectMediaType(file.data);
+      if (!contentType) {
+        console.log(`[Prescription Media] Attachment ${index + 1} is not an image or PDF (${getBaseType(file.contentType) || 'unknown type'})`);
+        rejected.push({ index, reason: 'type' });
+        continue;
+      }
+
+      const page = pages.length + 1;
+      pages.push({
+        page,
+        path: `${phone}/${prescriptionId}/page-${page}.${ALLOWED_MEDIA_TYPES[contentType]}`,
+        contentType,
+        size: file.data.length,
+        data: file.data
+      });
+    }
+
+    const uploaded = [];
+    try {
+      for (const page of pages) {
+        const { error } = await supabase.storage
+          .from(bucket)
+          .upload(page.path, page.data, { contentType: page.contentType, upsert: false });
+
+        if (error) {
+          throw new Error(`Could not store ${page.path}: ${error.message}`);
+        }
+        uploaded.push(page.path);
+      }
+    } catch (error) {
+      // Don't leave half an upload behind
+      if (uploaded.length > 0) {
+        await supabase.storage.from(bucket).remove(uploaded);
+      }
+      throw error;
+    }
+
+    console.log(`[Prescription Media] Stored ${pages.length} page(s) for prescription ${prescriptionId}, rejected ${rejected.length}`);
+    return {
+      pages: pages.map(({ data, ...page }) => page),
+      rejected
+    };
+  }
+
+  return {
+    bucket,
+    maxBytes,
+    saveAttachments
+  };
+}
+
+module.exports = {
+  createPrescriptionMediaStore,
+  isAllowedMediaType,
+  detectMediaType,
+  ALLOWED_MEDIA_TYPES
+};
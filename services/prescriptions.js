@@ -0,0 +1,134 @@
+const axios = require('axios');
+const { toDatabasePhone, getLookupCandidates } = require('./phone-number');
+
+// Reads uploaded prescriptions and their review results.
+// The main server's upload API is tried first, then the Supabase prescriptions table.
+// Every lookup is scoped to the phone number that uploaded the prescription.
+
+// Review states, as stored by the main server
+const PRESCRIPTION_STATUSES = ['pending', 'in_review', 'approved', 'partially_approved', 'rejected'];
+
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return value.split(',').map(name => ({ name: name.trim() })).filter(item => item.name);
+    }
+  }
+  return Array.isArray(value) ? value : [];
+}
+
+// Bring server and database records into one shape
+function normalizePrescription(record) {
+  const status = String(record.status || 'pending').toLowerCase().replace(/[\s-]+/g, '_');
+
+  return {
+    id: record.id || record.prescriptionId || record.referenceNumber,
+    phone: record.user_phone || record.phone || null,
+    status,
+    createdAt: record.created_at || record.createdAt || null,
+    reviewedAt: record.reviewed_at || record.reviewedAt || null,
+    notes: record.reviewer_notes || record.pharmacist_notes || record.notes || null,
+    medicines: parseList(record.approved_medicines || record.approvedMedicines || record.medicines).map(item => ({
+      name: item.name || item.medicine_name || item['Product Name'] || String(item),
+      quantity: item.quantity || null,
+      dosage: item.dosage || item.instructions || null
+    }))
+  };
+}
+
+function createPrescriptionService({ supabase, serverUrl, httpClient = axios, tableName = 'prescriptions' }) {
+  // Records returned by the server must say who uploaded them and match the asking number;
+  // a record without a phone is treated as someone else's
+  function belongsTo(prescription, phoneNumber) {
+    return Boolean(prescription.phone) && toDatabasePhone(prescription.phone) === toDatabasePhone(phoneNumber);
+  }
+
+  // Find one prescription by reference, or null if it doesn't exist for this number
+  async function getPrescription(reference, phoneNumber) {
+    const phone = toDatabasePhone(phoneNumber);
+
+    try {
+      const response = await httpClient.get(`${serverUrl}/upload/prescriptions/${encodeURIComponent(reference)}`, {
+        params: { phone },
+        timeout: 8000
+      });
+
+      const record = response.data && (response.data.prescription || response.data);
+      if (record && (record.id || record.prescriptionId || record.referenceNumber)) {
+        const prescription = normalizePrescription(record);
+        return belongsTo(prescription, phoneNumber) ? prescription : null;
+      }
+    } catch (error) {
+      console.error(`[Prescriptions] API error: ${error.message}`);
+    }
+
+    console.log(`[Prescriptions] Looking up prescription ${reference} in the database`);
+    const { data, error } = await supabase
+      .from(tableName)
+      .select('*')
+      .eq('id', reference)
+      .in('user_phone', getLookupCandidates(phoneNumber))
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      // Not a valid ID for the table, e.g. a reference that isn't a UUID
+      if (error.code === '22P02') {
+        return null;
+      }
+      throw new Error(`Could not read prescription: ${error.message}`);
+    }
+
+    return data ? normalizePrescription(data) : null;
+  }
+
+  // The most recent prescriptions uploaded from a number
+  async function listPrescriptions(phoneNumber, limit = 5) {
+    const phone = toDatabasePhone(phoneNumber);
+
+    try {
+      const response = await httpClient.get(`${serverUrl}/upload/prescriptions-by-phone`, {
+        params: { phone, limit },
+        timeout: 8000
+      });
+
+      if (response.data && Array.isArray(response.data.prescriptions)) {
+        return response.data.prescriptions
+          .map(normalizePrescription)
+          .filter(prescription => belongsTo(prescription, phoneNumber))
+          .slice(0, limit);
+      }
+    } catch (error) {
+      console.error(`[Prescriptions] API error: ${error.message}`);
+    }
+
+    const { data, error } = await supabase
+      .from(tableName)
+      .select('*')
+      .in('user_phone', getLookupCandidates(phoneNumber))
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Could not list prescriptions: ${error.message}`);
+    }
+
+    return (data || []).map(normalizePrescription);
+  }
+
+  return {
+    getPrescription,
+    listPrescriptions
+  };
+}
+
+module.exports = {
+  createPrescriptionService,
+  normalizePrescription,
+  PRESCRIPTION_STATUSES
+};
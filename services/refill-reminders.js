@@ -0,0 +1,354 @@
+const { v4: uuidv4 } = require('uuid');
+const { runQuery } = require('./storage');
+
+// Opt-in refill reminders for regularly reordered medicines.
+// Customers set a reminder themselves ("remind me every 30 days for <medicine>") or accept
+// one estimated from their order history. A scheduler sends due reminders and moves each
+// one forward by its interval.
+//
+// Reminder states: active <-> paused
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shortest and longest interval a reminder can have, in days
+const MIN_INTERVAL_DAYS = 1;
+const MAX_INTERVAL_DAYS = 365;
+
+// Orders in these states don't count as purchases when estimating refills
+const IGNORED_ORDER_STATUSES = ['cancelled', 'canceled', 'refunded', 'returned', 'failed'];
+
+function normalizeMedicine(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// In-memory storage, for development and single-instance deployments
+function createMemoryReminderStorage() {
+  const reminders = {};
+
+  return {
+    async insert(reminder) {
+      reminders[reminder.id] = reminder;
+      return reminder;
+    },
+
+    async update(id, changes) {
+      if (!reminders[id]) {
+        return null;
+      }
+      return Object.assign(reminders[id], changes);
+    },
+
+    // Update an active reminder only if it is still due at dueAt, so only one check sends it
+    async claim(id, dueAt, changes) {
+      const reminder = reminders[id];
+      if (!reminder || reminder.status !== 'active' || reminder.next_due_at !== dueAt) {
+        return null;
+      }
+      return Object.assign(reminder, changes);
+    },
+
+    async remove(id) {
+      delete reminders[id];
+    },
+
+    async listByPhone(phone) {
+      return Object.values(reminders)
+        .filter(reminder => reminder.phone === phone)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    async findDue(now) {
+      // Copies, like rows read from a table, so a check that overlaps this one still sees them as due
+      return Object.values(reminders)
+        .filter(reminder => reminder.status === 'active' && reminder.next_due_at <= now)
+        .map(reminder => ({ ...reminder }));
+    }
+  };
+}
+
+// Supabase storage. Expects a refill_reminders table (see README).
+function createSupabaseReminderStorage(supabase, tableName = 'refill_reminders') {
+  return {
+    async insert(reminder) {
+      await runQuery(supabase.from(tableName).insert([reminder]), 'create reminder');
+      return reminder;
+    },
+
+    async update(id, changes) {
+      const data = await runQuery(supabase.from(tableName).update(changes).eq('id', id).select(), 'update reminder');
+      return data && data[0] ? data[0] : null;
+    },
+
+    // The same check in the update's filter, so only one instance can claim a due reminder
+    async claim(id, dueAt, changes) {
+      const data = await runQuery(
+        supabase.from(tableName)
+          .update(changes)
+          .eq('id', id)
+          .eq('status', 'active')
+          .eq('next_due_at', dueAt)
+          .select(),
+        'claim reminder'
+      );
+      return data && data[0] ? data[0] : null;
+    },
+
+    async remove(id) {
+      await runQuery(supabase.from(tableName).delete().eq('id', id), 'delete reminder');
+    },
+
+    async listByPhone(phone) {
+      const data = await runQuery(
+        supabase.from(tableName).select('*').eq('phone', phone).order('created_at', { ascending: true }),
+        'list reminders'
+      );
+      return data || [];
+    },
+
+    async findDue(now) {
+      const data = await runQuery(
+        supabase.from(tableName).select('*').eq('status', 'active').lte('next_due_at', now),
+        'find due reminders'
+      );
+      return data || [];
+    }
+  };
+}
+
+function clampInterval(days) {
+  return Math.min(Math.max(Math.round(days), MIN_INTERVAL_DAYS), MAX_INTERVAL_DAYS);
+}
+
+// Estimate when each regularly bought medicine runs out, from orders with parsed items.
+// With two or more purchases the days one unit lasted are learned from the gaps between
+// them; with a single purchase (or purchases all on one day) each unit is assumed to last daysPerUnit days.
+// Returns [{ medicine, quantity, intervalDays, nextDueAt, purchases }], soonest first.
+function estimateRefills(orders, { daysPerUnit = 30, now = Date.now() } = {}) {
+  const purchasesByMedicine = {};
+
+  for (const order of orders || []) {
+    if (!order.created_at || IGNORED_ORDER_STATUSES.includes(String(order.status || '').toLowerCase())) {
+      continue;
+    }
+    for (const item of Array.isArray(order.items) ? order.items : []) {
+      const name = item.name || item.medicine_name || item.product_name;
+      if (!name) {
+        continue;
+      }
+      const key = normalizeMedicine(name);
+      if (!purchasesByMedicine[key]) {
+        purchasesByMedicine[key] = { medicine: name.trim(), purchases: [] };
+      }
+      purchasesByMedicine[key].purchases.push({
+        at: new Date(order.created_at).getTime(),
+        quantity: Math.max(parseInt(item.quantity) || 1, 1)
+      });
+    }
+  }
+
+  return Object.values(purchasesByMedicine)
+    .map(({ medicine, purchases: orderedPurchases }) => {
+      orderedPurchases.sort((a, b) => a.at - b.at);
+      // Purchases made within a day of each other count as one; a zero gap says nothing about how long a unit lasts
+      const purchases = [];
+      for (const purchase of orderedPurchases) {
+        const previous = purchases[purchases.length - 1];
+        if (previous && purchase.at - previous.at < DAY_MS) {
+          previous.quantity += purchase.quantity;
+        } else {
+          purchases.push({ ...purchase });
+        }
+      }
+      const last = purchases[purchases.length - 1];
+
+      let unitDays = daysPerUnit;
+      if (purchases.length > 1) {
+        // Everything bought before the last purchase lasted until the last purchase
+        const unitsUsed = purchases.slice(0, -1).reduce((total, purchase) => total + purchase.quantity, 0);
+        unitDays = (last.at - purchases[0].at) / DAY_MS / unitsUsed;
+      }
+
+      const intervalDays = clampInterval(unitDays * last.quantity);
+      // A refill that is already overdue is reminded about the next day
+      const nextDueAt = Math.max(last.at + intervalDays * DAY_MS, now + DAY_MS);
+
+      return {
+        medicine,
+        quantity: last.quantity,
+        intervalDays,
+        nextDueAt: new Date(nextDueAt).toISOString(),
+        purchases: purchases.length
+      };
+    })
+    .sort((a, b) => a.nextDueAt.localeCompare(b.nextDueAt));
+}
+
+// sendReminder(reminder) delivers one due reminder. It returns true once the reminder is sent,
+// false to try again at the next check, or 'skipped' to move on to the next interval unsent.
+function createRefillReminderService({ storage, sendReminder, pollIntervalMs = 15 * 60 * 1000, maxPerPhone = 10 }) {
+  let pollTimer = null;
+
+  async function listReminders(phone) {
+    return storage.listByPhone(phone);
+  }
+
+  // Create a reminder, or update the existing one for the same medicine.
+  // Returns { reminder } or { error: 'invalid_interval' | 'limit' }
+  async function addReminder(phone, { medicine, quantity = 1, intervalDays, nextDueAt, source = 'manual' }) {
+    if (!Number.isInteger(intervalDays) || intervalDays < MIN_INTERVAL_DAYS || intervalDays > MAX_INTERVAL_DAYS) {
+      return { error: 'invalid_interval' };
+    }
+
+    const dueAt = nextDueAt || new Date(Date.now() + intervalDays * DAY_MS).toISOString();
+    const reminders = await storage.listByPhone(phone);
+    const existing = reminders.find(reminder => normalizeMedicine(reminder.medicine) === normalizeMedicine(medicine));
+
+    if (existing) {
+      const reminder = await storage.update(existing.id, {
+        quantity,
+        interval_days: intervalDays,
+        next_due_at: dueAt,
+        status: 'active',
+        source
+      });
+      return { reminder };
+    }
+
+    if (reminders.length >= maxPerPhone) {
+      return { error: 'limit' };
+    }
+
+    const reminder = await storage.insert({
+      id: uuidv4(),
+      phone,
+      medicine: medicine.trim(),
+      quantity,
+      interval_days: intervalDays,
+      next_due_at: dueAt,
+      status: 'active',
+      source,
+      last_sent_at: null,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`[Reminders] Created ${source} reminder for ${medicine} every ${intervalDays} days for ${phone}`);
+    return { reminder };
+  }
+
+  // Reminder at a 1-based position in the customer's list, or null
+  async function getByPosition(phone, position) {
+    const reminders = await storage.listByPhone(phone);
+    return reminders[position - 1] || null;
+  }
+
+  async function pauseReminder(phone, position) {
+    const reminder = await getByPosition(phone, position);
+    if (!reminder) {
+      return null;
+    }
+    return storage.update(reminder.id, { status: 'paused' });
+  }
+
+  // Resuming moves an overdue reminder to one interval from now rather than sending it at once
+  async function resumeReminder(phone, position) {
+    const reminder = await getByPosition(phone, position);
+    if (!reminder) {
+      return null;
+    }
+
+    const changes = { status: 'active' };
+    if (new Date(reminder.next_due_at).getTime() <= Date.now()) {
+      changes.next_due_at = new Date(Date.now() + reminder.interval_days * DAY_MS).toISOString();
+    }
+    return storage.update(reminder.id, changes);
+  }
+
+  async function deleteReminder(phone, position) {
+    const reminder = await getByPosition(phone, position);
+    if (!reminder) {
+      return null;
+    }
+    await storage.remove(reminder.id);
+    console.log(`[Reminders] Deleted reminder for ${reminder.medicine} for ${phone}`);
+    return reminder;
+  }
+
+  // Send every reminder that is due and schedule its next one
+  async function sendDueReminders() {
+    try {
+      const now = new Date().toISOString();
+      const reminders = await storage.findDue(now);
+      let sent = 0;
+
+      for (const reminder of reminders) {
+        try {
+          // Move the reminder to its next interval before sending; if another instance already did, it sends it
+          const dueAt = reminder.next_due_at;
+          const nextDueAt = new Date(Date.now() + reminder.interval_days * DAY_MS).toISOString();
+          const claimed = await storage.claim(reminder.id, dueAt, { next_due_at: nextDueAt });
+          if (!claimed) {
+            continue;
+          }
+
+          let result = false;
+          try {
+            result = await sendReminder(reminder);
+          } catch (error) {
+            console.error(`[Reminders] Error sending reminder ${reminder.id}: ${error.message}`);
+          }
+
+          if (!result) {
+            // Put it back so the next check tries again, unless the customer changed it meanwhile
+            await storage.claim(reminder.id, claimed.next_due_at, { next_due_at: dueAt });
+          } else if (result !== 'skipped') {
+            await storage.update(reminder.id, { last_sent_at: now });
+            sent++;
+          }
+        } catch (error) {
+          console.error(`[Reminders] Error sending reminder ${reminder.id}: ${error.message}`);
+        }
+      }
+
+      if (sent > 0) {
+        console.log(`[Reminders] Sent ${sent} refill reminder(s)`);
+      }
+      return sent;
+    } catch (error) {
+      console.error(`[Reminders] Error checking for due reminders: ${error.message}`);
+      return 0;
+    }
+  }
+
+  function start() {
+    if (!pollTimer) {
+      pollTimer = setInterval(sendDueReminders, pollIntervalMs);
+      pollTimer.unref();
+    }
+  }
+
+  function stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  return {
+    listReminders,
+    addReminder,
+    pauseReminder,
+    resumeReminder,
+    deleteReminder,
+    sendDueReminders,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createRefillReminderService,
+  createMemoryReminderStorage,
+  createSupabaseReminderStorage,
+  estimateRefills,
+  MAX_INTERVAL_DAYS
+};
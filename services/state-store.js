@@ -0,0 +1,118 @@
+// Pluggable key/value store for per-user conversation state.
+// The in-memory store is the default; the Supabase store keeps state in a table
+// so that restarts and additional bot instances share the same context.
+
+// In-memory store backed by a plain object
+function createMemoryStateStore() {
+  const entries = {};
+
+  return {
+    type: 'memory',
+
+    async get(key) {
+      const entry = entries[key];
+      if (!entry) {
+        return null;
+      }
+
+      // Drop entries whose TTL has passed
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        delete entries[key];
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries[key] = {
+        value,
+        expiresAt: ttlMs ? Date.now() + ttlMs : null
+      };
+      return value;
+    },
+
+    async delete(key) {
+      delete entries[key];
+    }
+  };
+}
+
+// Supabase-backed store. Expects a table with the columns:
+//   key text primary key, value jsonb, expires_at timestamptz, updated_at timestamptz
+function createSupabaseStateStore(supabase, tableName = 'bot_user_states') {
+  return {
+    type: 'supabase',
+
+    async get(key) {
+      const { data, error } = await supabase
+        .from(tableName)
+        .select('value, expires_at')
+        .eq('key', key)
+        .maybeSingle();
+
+      if (error) {
+        console.error(`[State] Error reading state for ${key}: ${error.message}`);
+        return null;
+      }
+
+      if (!data) {
+        return null;
+      }
+
+      if (data.expires_at && new Date(data.expires_at).getTime() <= Date.now()) {
+        await this.delete(key);
+        return null;
+      }
+
+      return data.value;
+    },
+
+    async set(key, value, ttlMs) {
+      const { error } = await supabase
+        .from(tableName)
+        .upsert({
+          key,
+          value,
+          expires_at: ttlMs ? new Date(Date.now() + ttlMs).toISOString() : null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'key' });
+
+      if (error) {
+        console.error(`[State] Error saving state for ${key}: ${error.message}`);
+      }
+
+      return value;
+    },
+
+    async delete(key) {
+      const { error } = await supabase
+        .from(tableName)
+        .delete()
+        .eq('key', key);
+
+      if (error) {
+        console.error(`[State] Error deleting state for ${key}: ${error.message}`);
+      }
+    }
+  };
+}
+
+// Pick a store based on configuration (STATE_STORE=memory|supabase)
+function createStateStore({ driver = 'memory', supabase, tableName } = {}) {
+  if (driver === 'supabase') {
+    if (!supabase) {
+      console.warn('[State] Supabase state store requested without a client, using in-memory store');
+      return createMemoryStateStore();
+    }
+    return createSupabaseStateStore(supabase, tableName);
+  }
+
+  return createMemoryStateStore();
+}
+
+module.exports = {
+  createStateStore,
+  createMemoryStateStore,
+  createSupabaseStateStore
+};
@@ -0,0 +1,27 @@
+// Helpers shared by the services that keep their data in memory or in Supabase.
+// Each service has a *_STORE setting that picks its storage; see "Storage" in the README.
+
+// Run a Supabase query and return its data, throwing "Could not <action>: ..." on errors
+async function runQuery(query, action) {
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Could not ${action}: ${error.message}`);
+  }
+  return data;
+}
+
+// Create the storage named by a *_STORE setting, e.g.
+// selectStorage('HANDOFF_STORE', { supabase: () => ..., memory: () => ... }, 'memory')
+// An unknown value stops startup instead of quietly falling back to another store.
+function selectStorage(setting, stores, defaultStore) {
+  const name = process.env[setting] || defaultStore;
+  if (!stores[name]) {
+    throw new Error(`${setting} must be one of: ${Object.keys(stores).join(', ')} (got "${name}")`);
+  }
+  return stores[name]();
+}
+
+module.exports = {
+  runQuery,
+  selectStorage
+};
@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+const { runQuery } = require('./storage');
+
+// Conversation transcripts: every inbound message and outbound reply, with the
+// intent the bot detected and references to any media.
+// Entries older than the retention period are purged on a timer.
+//
+// Entry: { id, phone, direction: 'inbound' | 'outbound', channel, body, intent, media, message_id, created_at }
+
+function matchesFilters(entry, { phone, intent, direction, from, to }) {
+  return (!phone || entry.phone === phone) &&
+    (!intent || entry.intent === intent) &&
+    (!direction || entry.direction === direction) &&
+    (!from || entry.created_at >= from) &&
+    (!to || entry.created_at <= to);
+}
+
+// In-memory storage, for development
+function createMemoryTranscriptStorage() {
+  let entries = [];
+
+  return {
+    async insert(entry) {
+      entries.push(entry);
+      return entry;
+    },
+
+    // Newest first, with the total number of matches for paging
+    async query(filters, { offset, limit }) {
+      const matches = entries
+        .filter(entry => matchesFilters(entry, filters))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      return { entries: matches.slice(offset, offset + limit), total: matches.length };
+    },
+
+    async deleteBefore(before) {
+      const count = entries.length;
+      entries = entries.filter(entry => entry.created_at >= before);
+      return count - entries.length;
+    }
+  };
+}
+
+// Supabase storage. Expects a conversation_transcripts table (see README).
+function createSupabaseTranscriptStorage(supabase, tableName = 'conversation_transcripts') {
+  return {
+    async insert(entry) {
+      await runQuery(supabase.from(tableName).insert([entry]), 'store transcript entry');
+      return entry;
+    },
+
+    async query({ phone, intent, direction, from, to }, { offset, limit }) {
+      let query = supabase.from(tableName).select('*', { count: 'exact' });
+      if (phone) {
+        query = query.eq('phone', phone);
+      }
+      if (intent) {
+        query = query.eq('intent', intent);
+      }
+      if (direction) {
+        query = query.eq('direction', direction);
+      }
+      if (from) {
+        query = query.gte('created_at', from);
+      }
+      if (to) {
+        query = query.lte('created_at', to);
+      }
+
+      const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Could not read transcripts: ${error.message}`);
+      }
+      return { entries: data || [], total: count || 0 };
+    },
+
+    async deleteBefore(before) {
+      const data = await runQuery(supabase.from(tableName).delete().lt('created_at', before).select('id'), 'purge transcripts');
+      return data ? data.length : 0;
+    }
+  };
+}
+
+function createTranscriptService({ storage, retentionDays = 90, purgeIntervalMs = 24 * 60 * 60 * 1000 }) {
+  let purgeTimer = null;
+
+  // Store one message. Never throws: a transcript problem must not stop the bot from replying.
+  // createdAt lets an inbound message keep the time it arrived, ahead of any reply sent while handling it.
+  async function record({ phone, direction, channel, body, intent, media, messageId, createdAt }) {
+    try {
+      await storage.insert({
+        id: uuidv4(),
+        phone,
+        direction,
+        channel: channel || null,
+        body: body || '',
+        intent: intent || null,
+        media: (media || []).map(item => ({ url: item.url, contentType: item.contentType })),
+        message_id: messageId || null,
+        created_at: createdAt || new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[Transcripts] ${error.message}`);
+    }
+  }
+
+  // Page through entries, newest first. page starts at 1.
+  async function query(filters = {}, { page = 1, limit = 50 } = {}) {
+    const { entries, total } = await storage.query(filters, { offset: (page - 1) * limit, limit });
+    return {
+      entries,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(Math.ceil(total / limit), 1)
+    };
+  }
+
+  // Delete everything older than the retention period
+  async function purge() {
+    if (!retentionDays) {
+      return 0;
+    }
+
+    try {
+      const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const removed = await storage.deleteBefore(before);
+      if (removed > 0) {
+        console.log(`[Transcripts] Purged ${removed} entries older than ${retentionDays} days`);
+      }
+      return removed;
+    } catch (error) {
+      console.error(`[Transcripts] Error purging old entries: ${error.message}`);
+      return 0;
+    }
+  }
+
+  function start() {
+    if (!purgeTimer) {
+      purge();
+      purgeTimer = setInterval(purge, purgeIntervalMs);
+      purgeTimer.unref();
+    }
+  }
+
+  function stop() {
+    if (purgeTimer) {
+      clearInterval(purgeTimer);
+      purgeTimer = null;
+    }
+  }
+
+  return {
+    record,
+    query,
+    purge,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createTranscriptService,
+  createMemoryTranscriptStorage,
+  createSupabaseTranscriptStorage
+};
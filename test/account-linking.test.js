@@ -0,0 +1,40 @@
+// Account link codes must never be stored in plain text, in the transcript or the outbound queue
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { muteConsole, createTestBot } = require('./helpers');
+
+const NEW_NUMBER = 'whatsapp:+447700900123';
+
+describe('linking a WhatsApp number with a code', () => {
+  const testBot = createTestBot();
+  const { bot, supabase, twilio, queueFile } = testBot;
+
+  muteConsole('log');
+
+  after(() => testBot.cleanup());
+
+  function send(body) {
+    return bot.handleIncomingMessage({ from: NEW_NUMBER, body, media: [], channel: 'twilio' });
+  }
+
+  test('keeps the code out of transcripts and the queue', async () => {
+    await send('my account');
+    await send('9876543210');
+
+    const codeMessage = twilio.sent.find(message => /verification code is \d+/.test(message.body));
+    assert.ok(codeMessage, 'the code was sent over WhatsApp');
+    const code = codeMessage.body.match(/verification code is (\d+)/)[1];
+
+    assert.match(await send(code), /now linked/);
+
+    const transcripts = JSON.stringify(supabase.tables.conversation_transcripts || []);
+    assert.ok(transcripts.includes('verification code is ******'));
+    assert.ok(!transcripts.includes(code));
+
+    const queued = fs.existsSync(queueFile) ? fs.readFileSync(queueFile, 'utf8') : '';
+    assert.ok(!queued.includes(code));
+    assert.ok(!JSON.stringify(supabase.tables.outbound_messages || []).includes(code));
+  });
+});
@@ -0,0 +1,42 @@
+// Analytics are saved per day and instance, and read back as the total of every instance
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { createAnalytics, createSupabaseAnalyticsStorage } = require('../services/analytics');
+const { createStubSupabase } = require('../scripts/simulator/stubs');
+
+describe('analytics storage', () => {
+  test('adds up the counts of every instance, including ones that stopped', async () => {
+    const storage = createSupabaseAnalyticsStorage(createStubSupabase({}));
+    const first = createAnalytics({ storage });
+    const second = createAnalytics({ storage });
+
+    first.recordMessage('search', 100);
+    first.recordSearch('Dolo 650', 0);
+    await first.stop();
+    second.recordMessage('search', 300);
+    second.recordMessage('track_order', 200);
+    second.recordSearch('dolo  650', 3);
+    second.recordOutcome('track_order', 'not_found');
+    // The periodic save of the instance that is still running
+    await second.flush();
+
+    // A process started after the others, e.g. after a restart
+    const [day] = await createAnalytics({ storage }).getDailyStats();
+
+    assert.strictEqual(day.date, new Date().toISOString().slice(0, 10));
+    assert.deepStrictEqual(day.messages.byIntent, { search: 2, track_order: 1 });
+    assert.strictEqual(day.messages.total, 3);
+    assert.strictEqual(day.messages.p50Ms, 200);
+    assert.deepStrictEqual(day.searches.topQueries, [{ query: 'dolo 650', count: 2 }]);
+    assert.strictEqual(day.searches.zeroResults, 1);
+    assert.strictEqual(day.orderLookups.notFound, 1);
+  });
+
+  test('returns nothing outside the requested dates', async () => {
+    const analytics = createAnalytics({ storage: createSupabaseAnalyticsStorage(createStubSupabase({})) });
+    analytics.recordMessage('greeting', 50);
+
+    assert.deepStrictEqual(await analytics.getDailyStats({ from: '2000-01-01', to: '2000-01-31' }), []);
+  });
+});
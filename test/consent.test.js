@@ -0,0 +1,115 @@
+// Consent: opted-out customers get no proactive messages but still get replies, and with consent
+// kept in memory the bot sends nothing on its own initiative
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { muteConsole, createTestBot } = require('./helpers');
+
+const API_KEY = 'test-api-key';
+
+describe('proactive messages with CONSENT_STORE=memory', () => {
+  let testBot;
+  let server;
+  let origin;
+
+  muteConsole('log', 'warn');
+
+  before(async () => {
+    process.env.CONSENT_STORE = 'memory';
+    process.env.NOTIFICATIONS_API_KEY = API_KEY;
+    process.env.ADMIN_API_KEY = API_KEY;
+
+    testBot = createTestBot();
+    server = await new Promise(resolve => {
+      const listener = testBot.bot.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    testBot.cleanup();
+    delete process.env.CONSENT_STORE;
+  });
+
+  function post(pathname, body) {
+    return fetch(`${origin}${pathname}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('refuses order status notifications', async () => {
+    const response = await post('/api/notifications/order-status', { orderId: 'c0ffee12', status: 'shipped', phone: '9876543210' });
+    assert.strictEqual(response.status, 503);
+  });
+
+  test('refuses to send a campaign', async () => {
+    const response = await post('/api/admin/campaigns', { name: 'Monsoon', segment: {}, template: 'Stay healthy this monsoon' });
+    assert.strictEqual(response.status, 503);
+  });
+
+  test('still previews a campaign as a dry run', async () => {
+    const response = await post('/api/admin/campaigns', { name: 'Monsoon', segment: {}, template: 'Stay healthy this monsoon', dryRun: true });
+    assert.strictEqual(response.status, 200);
+  });
+});
+
+describe('messages to a customer who opted out', () => {
+  const CUSTOMER = 'whatsapp:+919876543210';
+  let testBot;
+  let server;
+  let origin;
+
+  muteConsole('log');
+
+  before(async () => {
+    process.env.AGENT_API_KEY = API_KEY;
+    process.env.NOTIFICATIONS_API_KEY = API_KEY;
+    process.env.TWILIO_PHONE_NUMBER = '+14155238886';
+
+    testBot = createTestBot();
+    server = await new Promise(resolve => {
+      const listener = testBot.bot.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    testBot.cleanup();
+  });
+
+  function send(body) {
+    return testBot.bot.handleIncomingMessage({ from: CUSTOMER, body, media: [], channel: 'twilio' });
+  }
+
+  test('still delivers an agent\'s reply', async () => {
+    await send('talk to agent');
+    await send('STOP');
+
+    const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` };
+    const list = await (await fetch(`${origin}/api/agent/conversations`, { headers })).json();
+    const ticket = list.conversations.find(conversation => conversation.phone.includes('9876543210'));
+
+    const response = await fetch(`${origin}/api/agent/conversations/${ticket.id}/reply`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ message: 'Your refund was approved', agent: 'Priya' })
+    });
+    assert.strictEqual(response.status, 200);
+    assert.ok(testBot.twilio.sent.some(message => message.body.includes('Your refund was approved')));
+  });
+
+  test('sends no order status notification', async () => {
+    const sentBefore = testBot.twilio.sent.length;
+    const response = await fetch(`${origin}/api/notifications/order-status`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
+      body: JSON.stringify({ orderId: 'c0ffee12-0000-4000-8000-000000000000', status: 'shipped', phone: '9876543210' })
+    });
+    assert.strictEqual((await response.json()).optedOut, true);
+    assert.strictEqual(testBot.twilio.sent.length, sentBefore);
+  });
+});
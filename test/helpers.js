@@ -0,0 +1,64 @@
+// Shared setup for the tests. Not a test file itself: npm run test:unit only runs test/*.test.js.
+const { before, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStubSupabase, createStubTwilio } = require('../scripts/simulator/stubs');
+const fixtures = require('../scripts/simulator/fixtures');
+
+// Main server client that fails every call, so the bot falls back to Supabase
+const offlineHttpClient = {
+  get: () => Promise.reject(new Error('offline')),
+  post: () => Promise.reject(new Error('offline'))
+};
+
+// Silence console methods while the current suite runs and put them back afterwards,
+// so the test runner and later suites still print their errors
+function muteConsole(...methods) {
+  const saved = {};
+
+  before(() => {
+    for (const method of methods) {
+      saved[method] = console[method];
+      console[method] = () => {};
+    }
+  });
+
+  after(() => {
+    for (const method of methods) {
+      console[method] = saved[method];
+    }
+  });
+}
+
+let botCount = 0;
+
+// A bot on the simulator's stub Supabase (seeded with the fixtures) and stub Twilio client (messages the
+// bot sends are in twilio.sent), with an offline main server unless one is passed.
+// Call cleanup() to stop it and remove its queue file.
+function createTestBot({ supabase = createStubSupabase(fixtures.tables), httpClient = offlineHttpClient, devChat = false } = {}) {
+  const { createApp } = require('../app');
+
+  const queueFile = path.join(os.tmpdir(), `medihut-test-${process.pid}-${++botCount}.json`);
+  process.env.MESSAGE_QUEUE_FILE = queueFile;
+  const twilio = createStubTwilio();
+  const bot = createApp({ supabase, twilioClient: twilio, httpClient, devChat });
+
+  return {
+    bot,
+    supabase,
+    twilio,
+    queueFile,
+    cleanup() {
+      bot.stop();
+      fs.rmSync(queueFile, { force: true });
+    }
+  };
+}
+
+module.exports = {
+  offlineHttpClient,
+  muteConsole,
+  createTestBot
+};
@@ -0,0 +1,36 @@
+// The language a customer chooses is kept in Supabase, so a restarted bot still replies in it
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createStubSupabase } = require('../scripts/simulator/stubs');
+const fixtures = require('../scripts/simulator/fixtures');
+const { muteConsole, createTestBot } = require('./helpers');
+
+const CUSTOMER = 'whatsapp:+919876543210';
+
+describe('language choice', () => {
+  const testBots = [];
+
+  muteConsole('log');
+
+  afterEach(() => {
+    testBots.splice(0).forEach(testBot => testBot.cleanup());
+  });
+
+  function startBot(supabase) {
+    const testBot = createTestBot({ supabase });
+    testBots.push(testBot);
+    return body => testBot.bot.handleIncomingMessage({ from: CUSTOMER, body, media: [], channel: 'twilio' });
+  }
+
+  test('survives a restart with the default STATE_STORE', async () => {
+    const supabase = createStubSupabase(fixtures.tables);
+    const send = startBot(supabase);
+    await send('language');
+    await send('hindi');
+    testBots.pop().cleanup();
+
+    const sendAfterRestart = startBot(supabase);
+    assert.match(await sendAfterRestart('language'), /कृपया अपनी भाषा चुनें/);
+  });
+});
@@ -0,0 +1,14 @@
+// Every locale must define every message key of the base locale
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { locales, listKeys, BASE_LANGUAGE } = require('../i18n');
+
+const baseKeys = listKeys(locales[BASE_LANGUAGE]);
+
+for (const [language, catalog] of Object.entries(locales)) {
+  test(`${language} defines every ${BASE_LANGUAGE} key`, () => {
+    const keys = listKeys(catalog);
+    assert.deepStrictEqual(baseKeys.filter(key => !keys.includes(key)), []);
+  });
+}
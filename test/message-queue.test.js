@@ -0,0 +1,154 @@
+// Outbound queue: a message must not be sent twice when the poller runs during an attempt
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMessageQueue, createFileQueueStorage, createSupabaseQueueStorage } = require('../services/message-queue');
+const { createStubSupabase } = require('../scripts/simulator/stubs');
+const { muteConsole } = require('./helpers');
+
+// A send that waits until released, so the test can run the poller while it is in flight
+function createSlowSend() {
+  const calls = [];
+  let release;
+  const gate = new Promise(resolve => {
+    release = resolve;
+  });
+  return {
+    calls,
+    release: () => release(),
+    send: async (to, body) => {
+      calls.push({ to, body });
+      await gate;
+      return { id: `SM${calls.length}` };
+    }
+  };
+}
+
+function testStorage(name, createStorage, cleanup = () => {}) {
+  describe(`message queue with ${name}`, () => {
+    let storage;
+
+    // Failed attempts are logged as errors on purpose
+    muteConsole('log', 'error');
+
+    beforeEach(() => {
+      storage = createStorage();
+    });
+
+    afterEach(cleanup);
+
+    test('the poller skips a message while its first attempt is in flight', async () => {
+      const slow = createSlowSend();
+      const queue = createMessageQueue({ storage, send: slow.send });
+
+      const sending = queue.enqueue('whatsapp:+919876543210', 'Your order has shipped');
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(await queue.processDue(), 0);
+
+      slow.release();
+      const record = await sending;
+      assert.strictEqual(record.status, 'sent');
+      assert.strictEqual(slow.calls.length, 1);
+    });
+
+    test('only one of two pollers claims a due message', async () => {
+      const slow = createSlowSend();
+      const failing = createMessageQueue({ storage, send: async () => { throw new Error('offline'); }, baseDelayMs: 0 });
+      await failing.enqueue('whatsapp:+919876543210', 'Your order has shipped');
+
+      const first = createMessageQueue({ storage, send: slow.send });
+      const second = createMessageQueue({ storage, send: slow.send });
+      const firstRun = first.processDue();
+      const secondRun = second.processDue();
+      slow.release();
+
+      const counts = await Promise.all([firstRun, secondRun]);
+      assert.strictEqual(counts[0] + counts[1], 1);
+      assert.strictEqual(slow.calls.length, 1);
+    });
+
+    test('a message whose sender died mid-send is retried after the lease', async () => {
+      const slow = createSlowSend();
+      const crashed = createMessageQueue({ storage, send: slow.send, sendingLeaseMs: 0 });
+      crashed.enqueue('whatsapp:+919876543210', 'Your order has shipped');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const sent = [];
+      const queue = createMessageQueue({ storage, send: async (to) => { sent.push(to); return { id: 'SM2' }; } });
+      assert.strictEqual(await queue.processDue(), 1);
+      assert.deepStrictEqual(sent, ['whatsapp:+919876543210']);
+    });
+
+    test('retry refuses a message that was sent', async () => {
+      const sent = [];
+      const queue = createMessageQueue({ storage, send: async (to) => { sent.push(to); return { id: 'SM1' }; } });
+      const record = await queue.enqueue('whatsapp:+919876543210', 'Your order has shipped');
+
+      const { error } = await queue.retry(record.id);
+      assert.strictEqual(error, 'not_retryable');
+      assert.strictEqual(sent.length, 1);
+    });
+
+    test('two retries of a dead message send it once', async () => {
+      const failing = createMessageQueue({ storage, send: async () => { throw new Error('offline'); }, maxAttempts: 1 });
+      const record = await failing.enqueue('whatsapp:+919876543210', 'Your order has shipped');
+      assert.strictEqual(record.status, 'dead');
+
+      const slow = createSlowSend();
+      const first = createMessageQueue({ storage, send: slow.send });
+      const second = createMessageQueue({ storage, send: slow.send });
+      const retries = Promise.all([first.retry(record.id), second.retry(record.id)]);
+      await new Promise(resolve => setImmediate(resolve));
+      slow.release();
+
+      const results = await retries;
+      assert.strictEqual(slow.calls.length, 1);
+      assert.deepStrictEqual(results.map(result => result.error || result.message.status).sort(), ['not_retryable', 'sent']);
+    });
+
+    test('retries a message the provider reported as undelivered', async () => {
+      const sent = [];
+      const queue = createMessageQueue({ storage, send: async (to) => { sent.push(to); return { id: `SM${sent.length}` }; } });
+      const record = await queue.enqueue('whatsapp:+919876543210', 'Your order has shipped');
+      await queue.recordDeliveryStatus('SM1', 'undelivered', '63016');
+
+      const { message } = await queue.retry(record.id);
+      assert.strictEqual(message.status, 'sent');
+      assert.strictEqual(message.message_sid, 'SM2');
+      assert.strictEqual(sent.length, 2);
+    });
+  });
+}
+
+const queueFile = path.join(os.tmpdir(), `medihut-queue-test-${process.pid}.json`);
+testStorage('file storage', () => createFileQueueStorage(queueFile), () => fs.rmSync(queueFile, { force: true }));
+testStorage('Supabase storage', () => createSupabaseQueueStorage(createStubSupabase({ outbound_messages: [] })));
+
+describe('file queue storage', () => {
+  afterEach(() => fs.rmSync(queueFile, { force: true }));
+
+  test('drops sent and dead messages older than the retention window', async () => {
+    const old = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    const now = new Date().toISOString();
+    const storage = createFileQueueStorage(queueFile, { retentionDays: 7 });
+    await storage.insert({ id: 'old-sent', status: 'sent', next_attempt_at: old, created_at: old, updated_at: old });
+    await storage.insert({ id: 'old-dead', status: 'dead', next_attempt_at: old, created_at: old, updated_at: old });
+    await storage.insert({ id: 'old-retrying', status: 'retrying', next_attempt_at: old, created_at: old, updated_at: old });
+    await storage.insert({ id: 'new-sent', status: 'sent', next_attempt_at: now, created_at: now, updated_at: now });
+
+    const saved = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+    assert.deepStrictEqual(Object.keys(saved).sort(), ['new-sent', 'old-retrying']);
+  });
+
+  test('keeps every change when writes overlap', async () => {
+    const storage = createFileQueueStorage(queueFile);
+    const now = new Date().toISOString();
+    await Promise.all(['a', 'b', 'c'].map(id => storage.insert({ id, status: 'queued', next_attempt_at: now, created_at: now, updated_at: now })));
+
+    const reloaded = createFileQueueStorage(queueFile);
+    assert.strictEqual((await reloaded.list({ limit: 10 })).length, 3);
+  });
+});
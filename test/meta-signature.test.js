@@ -0,0 +1,51 @@
+// Meta webhook signature checks, with requests signed locally the way Meta signs them
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { createMetaChannel } = require('../channels/meta');
+
+const APP_SECRET = 'test-app-secret';
+
+function sign(body, appSecret = APP_SECRET) {
+  return `sha256=${crypto.createHmac('sha256', appSecret).update(body).digest('hex')}`;
+}
+
+// Run the middleware on a fake request; resolves with the status it sent, or 'next'
+function verify(channel, body, signature) {
+  return new Promise(resolve => {
+    const req = {
+      rawBody: body,
+      get: name => (name === 'X-Hub-Signature-256' ? signature : undefined)
+    };
+    const res = { sendStatus: status => resolve(status) };
+    channel.verifyRequest(req, res, () => resolve('next'));
+  });
+}
+
+const body = JSON.stringify({ entry: [{ changes: [{ value: { messages: [{ from: '919876543210', type: 'text', text: { body: 'hi' } }] } }] }] });
+
+describe('meta channel verifyRequest', () => {
+  const channel = createMetaChannel({ appSecret: APP_SECRET });
+
+  test('accepts a correctly signed request', async () => {
+    assert.strictEqual(await verify(channel, body, sign(body)), 'next');
+  });
+
+  test('rejects a request whose body was changed after signing', async () => {
+    assert.strictEqual(await verify(channel, body.replace('919876543210', '919999999999'), sign(body)), 403);
+  });
+
+  test('rejects a request without a signature', async () => {
+    assert.strictEqual(await verify(channel, body, undefined), 403);
+  });
+
+  test('rejects a request signed with a different secret', async () => {
+    assert.strictEqual(await verify(channel, body, sign(body, 'wrong-secret')), 403);
+  });
+
+  test('rejects every request when no app secret is configured', async () => {
+    const unconfigured = createMetaChannel({ appSecret: undefined });
+    assert.strictEqual(await verify(unconfigured, body, sign(body)), 403);
+  });
+});
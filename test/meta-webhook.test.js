@@ -0,0 +1,92 @@
+// Meta webhooks are acknowledged before the messages are handled, and redelivered messages are ignored
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { muteConsole, offlineHttpClient, createTestBot } = require('./helpers');
+
+const APP_SECRET = 'test-app-secret';
+
+function signedPost(origin, payload) {
+  const body = JSON.stringify(payload);
+  return fetch(`${origin}/api/webhook/meta`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': `sha256=${crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex')}`
+    },
+    body,
+    // A webhook that waits for the handling to finish fails here instead of hanging the test
+    signal: AbortSignal.timeout(2000)
+  });
+}
+
+function messagePayload(id, text) {
+  return { entry: [{ changes: [{ value: { messages: [{ from: '919876543210', id, type: 'text', text: { body: text } }] } }] }] };
+}
+
+describe('Meta webhook', () => {
+  let testBot;
+  let server;
+  let origin;
+  let releaseServer;
+  const serverGate = new Promise(resolve => {
+    releaseServer = resolve;
+  });
+
+  // Replies can't be sent without Meta credentials; those errors are expected here
+  muteConsole('log', 'error');
+
+  before(async () => {
+    process.env.META_APP_SECRET = APP_SECRET;
+    // The main server doesn't answer until the test lets it
+    const httpClient = {
+      ...offlineHttpClient,
+      get: async () => {
+        await serverGate;
+        return offlineHttpClient.get();
+      }
+    };
+    testBot = createTestBot({ httpClient });
+    server = await new Promise(resolve => {
+      const listener = testBot.bot.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    testBot.cleanup();
+    delete process.env.META_APP_SECRET;
+  });
+
+  function inboundEntries(messageId) {
+    return (testBot.supabase.tables.conversation_transcripts || [])
+      .filter(entry => entry.direction === 'inbound' && entry.message_id === messageId);
+  }
+
+  async function waitFor(check) {
+    for (let i = 0; i < 100 && !check(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  test('acknowledges before the message is handled', async () => {
+    const response = await signedPost(origin, messagePayload('wamid.track', 'track order 12345678'));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(inboundEntries('wamid.track').length, 0);
+
+    releaseServer();
+    await waitFor(() => inboundEntries('wamid.track').length > 0);
+    assert.strictEqual(inboundEntries('wamid.track').length, 1);
+  });
+
+  test('handles a redelivered message only once', async () => {
+    await signedPost(origin, messagePayload('wamid.hi', 'hi'));
+    await signedPost(origin, messagePayload('wamid.hi', 'hi'));
+    await waitFor(() => inboundEntries('wamid.hi').length > 0);
+    // Give a second handling time to show up
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(inboundEntries('wamid.hi').length, 1);
+  });
+});
@@ -0,0 +1,56 @@
+// Order status notifications are sent in the language the customer chose in the chat
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { muteConsole, createTestBot } = require('./helpers');
+
+const API_KEY = 'test-api-key';
+const CUSTOMER = 'whatsapp:+919876543210';
+
+describe('order status notifications', () => {
+  let testBot;
+  let server;
+  let origin;
+
+  muteConsole('log');
+
+  before(async () => {
+    process.env.NOTIFICATIONS_API_KEY = API_KEY;
+    process.env.TWILIO_PHONE_NUMBER = '+14155238886';
+
+    testBot = createTestBot();
+    server = await new Promise(resolve => {
+      const listener = testBot.bot.app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    testBot.cleanup();
+  });
+
+  async function notify(status) {
+    const response = await fetch(`${origin}/api/notifications/order-status`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
+      body: JSON.stringify({ orderId: 'c0ffee12-0000-4000-8000-000000000000', status, phone: '9876543210', courier: 'Delhivery' })
+    });
+    assert.strictEqual((await response.json()).sent, true);
+    return testBot.twilio.sent[testBot.twilio.sent.length - 1].body;
+  }
+
+  test('uses the default language for a customer who never chose one', async () => {
+    assert.match(await notify('shipped'), /Your order #c0ffee12 has been shipped via Delhivery\./);
+  });
+
+  test('uses the language the customer chose', async () => {
+    const send = body => testBot.bot.handleIncomingMessage({ from: CUSTOMER, body, media: [], channel: 'twilio' });
+    await send('language');
+    await send('hindi');
+
+    const message = await notify('delivered');
+    assert.match(message, /आपका ऑर्डर #c0ffee12 डिलीवर हो गया है/);
+    assert.match(message, /अपने ऑर्डर का विवरण देखने के लिए भेजें: \*#c0ffee12\*/);
+  });
+});
@@ -0,0 +1,71 @@
+// Cancelling an order when the main server is unavailable and the bot updates Supabase itself
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createStubSupabase } = require('../scripts/simulator/stubs');
+const fixtures = require('../scripts/simulator/fixtures');
+const { offlineHttpClient, muteConsole, createTestBot } = require('./helpers');
+
+const CUSTOMER = 'whatsapp:+919876543210';
+
+describe('cancelling an order through the database', () => {
+  let supabase;
+  let bot;
+  let testBot;
+
+  muteConsole('log');
+
+  afterEach(() => testBot.cleanup());
+
+  function startBot(options) {
+    testBot = createTestBot(options);
+    ({ bot, supabase } = testBot);
+  }
+
+  function send(body) {
+    return bot.handleIncomingMessage({ from: CUSTOMER, body, media: [], channel: 'twilio' });
+  }
+
+  function findOrder(prefix) {
+    return supabase.tables.orders.find(order => order.id.startsWith(prefix));
+  }
+
+  test('cancels a confirmed order', async () => {
+    startBot();
+    await send('cancel #face1234');
+    assert.match(await send('yes'), /has been cancelled/);
+    assert.strictEqual(findOrder('face1234').status, 'Cancelled');
+  });
+
+  test('refuses when the order was packed after it was checked', async () => {
+    startBot();
+    await send('cancel #face1234');
+    // Packed in the warehouse while the customer was confirming, after the bot re-read the order
+    const from = supabase.from.bind(supabase);
+    supabase.from = (table) => {
+      const query = from(table);
+      const update = query.update.bind(query);
+      query.update = (changes) => {
+        findOrder('face1234').status = 'Packed';
+        return update(changes);
+      };
+      return query;
+    };
+
+    assert.match(await send('yes'), /can no longer be cancelled/);
+    assert.strictEqual(findOrder('face1234').status, 'Packed');
+  });
+
+  test('does not treat an order the server returns without a user_id or phone as the customer\'s', async () => {
+    supabase = createStubSupabase(fixtures.tables);
+    const order = { ...findOrder('face1234') };
+    delete order.user_id;
+    startBot({
+      supabase,
+      httpClient: { ...offlineHttpClient, get: async (url) => (url.includes('/track') ? { data: { order } } : offlineHttpClient.get()) }
+    });
+    findOrder('face1234').user_id = 'someone-else';
+
+    assert.match(await send('cancel #face1234'), /couldn't find order #face1234/);
+  });
+});
@@ -0,0 +1,53 @@
+// Prescription lookups must only return prescriptions uploaded from the asking number
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { createPrescriptionService } = require('../services/prescriptions');
+const { createStubSupabase } = require('../scripts/simulator/stubs');
+const { muteConsole } = require('./helpers');
+
+// A main server that returns the given records for every lookup
+function createServer(records) {
+  return {
+    get: async (url) => ({
+      data: url.includes('prescriptions-by-phone') ? { prescriptions: records } : { prescription: records[0] }
+    })
+  };
+}
+
+function createService(records) {
+  return createPrescriptionService({
+    supabase: createStubSupabase({ prescriptions: [] }),
+    serverUrl: 'http://main-server.test',
+    httpClient: createServer(records)
+  });
+}
+
+describe('prescription ownership', () => {
+  muteConsole('log');
+
+  test('returns a prescription uploaded from the same number', async () => {
+    const service = createService([{ id: 'rx-1', user_phone: '9876543210', status: 'approved' }]);
+    const prescription = await service.getPrescription('rx-1', 'whatsapp:+919876543210');
+    assert.strictEqual(prescription.id, 'rx-1');
+  });
+
+  test('treats a prescription from another number as not found', async () => {
+    const service = createService([{ id: 'rx-1', user_phone: '9123456789', status: 'approved' }]);
+    assert.strictEqual(await service.getPrescription('rx-1', 'whatsapp:+919876543210'), null);
+  });
+
+  test('treats a prescription without a phone as not found', async () => {
+    const service = createService([{ id: 'rx-1', status: 'approved' }]);
+    assert.strictEqual(await service.getPrescription('rx-1', 'whatsapp:+919876543210'), null);
+  });
+
+  test('leaves prescriptions without a phone out of the list', async () => {
+    const service = createService([
+      { id: 'rx-1', user_phone: '9876543210', status: 'approved' },
+      { id: 'rx-2', status: 'approved' }
+    ]);
+    const prescriptions = await service.listPrescriptions('whatsapp:+919876543210');
+    assert.deepStrictEqual(prescriptions.map(prescription => prescription.id), ['rx-1']);
+  });
+});
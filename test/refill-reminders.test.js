@@ -0,0 +1,75 @@
+// Sending due refill reminders once, and estimating refills from order history
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { createRefillReminderService, createMemoryReminderStorage, estimateRefills } = require('../services/refill-reminders');
+const { muteConsole } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('sending due reminders', () => {
+  muteConsole('log', 'error');
+
+  async function createDueReminder(storage) {
+    const reminder = await storage.insert({
+      id: 'reminder-1',
+      phone: 'whatsapp:+919876543210',
+      medicine: 'Dolo 650',
+      quantity: 1,
+      interval_days: 30,
+      next_due_at: new Date(Date.now() - 60 * 1000).toISOString(),
+      status: 'active',
+      created_at: new Date().toISOString()
+    });
+    return { ...reminder };
+  }
+
+  test('sends a reminder once when two checks run at the same time', async () => {
+    const storage = createMemoryReminderStorage();
+    await createDueReminder(storage);
+    const sent = [];
+    // Two instances polling the same table
+    const services = [1, 2].map(() => createRefillReminderService({
+      storage,
+      sendReminder: async (reminder) => {
+        sent.push(reminder.id);
+        return true;
+      }
+    }));
+
+    await Promise.all(services.map(service => service.sendDueReminders()));
+
+    assert.deepStrictEqual(sent, ['reminder-1']);
+    const [reminder] = await storage.listByPhone('whatsapp:+919876543210');
+    assert.ok(new Date(reminder.next_due_at).getTime() > Date.now() + 29 * DAY_MS);
+    assert.ok(reminder.last_sent_at);
+  });
+
+  test('keeps a reminder due when it could not be sent', async () => {
+    const storage = createMemoryReminderStorage();
+    const { next_due_at: dueAt } = await createDueReminder(storage);
+    const service = createRefillReminderService({ storage, sendReminder: async () => false });
+
+    assert.strictEqual(await service.sendDueReminders(), 0);
+    const [reminder] = await storage.listByPhone('whatsapp:+919876543210');
+    assert.strictEqual(reminder.next_due_at, dueAt);
+  });
+});
+
+describe('estimating refills', () => {
+  const now = Date.parse('2026-06-01T00:00:00Z');
+
+  function order(daysAgo, quantity) {
+    return { status: 'Delivered', created_at: new Date(now - daysAgo * DAY_MS).toISOString(), items: [{ name: 'Dolo 650', quantity }] };
+  }
+
+  test('learns how long a unit lasts from the gap between purchases', () => {
+    const [refill] = estimateRefills([order(40, 1), order(20, 1)], { now });
+    assert.strictEqual(refill.intervalDays, 20);
+  });
+
+  test('uses daysPerUnit for purchases made on the same day', () => {
+    const [refill] = estimateRefills([order(5, 1), order(5, 1)], { daysPerUnit: 30, now });
+    assert.strictEqual(refill.intervalDays, 60);
+  });
+});
@@ -0,0 +1,243 @@
+// Webhook signature checks, with requests signed locally the way Twilio signs them, and the
+// dev chat page that skips them
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const twilio = require('twilio');
+
+const { createTwilioSignatureMiddleware } = require('../middleware/twilio-signature');
+const { muteConsole, createTestBot } = require('./helpers');
+
+const AUTH_TOKEN = 'test-auth-token';
+
+// Sign form params for a URL, as Twilio does for form-encoded webhooks
+function signForm(url, params, authToken = AUTH_TOKEN) {
+  return twilio.getExpectedTwilioSignature(authToken, url, params);
+}
+
+// Sign a JSON body: the body's hash goes in the bodySHA256 query parameter and only the URL is signed
+function signJson(url, body, authToken = AUTH_TOKEN) {
+  const signedUrl = `${url}?bodySHA256=${twilio.getExpectedBodyHash(body)}`;
+  return { signedUrl, signature: twilio.getExpectedTwilioSignature(authToken, signedUrl, {}) };
+}
+
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  return { server, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+function postForm(url, params, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+  });
+}
+
+// A webhook route behind the middleware, with the same body parsers as app.js
+function createWebhookApp(options) {
+  const app = express();
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    }
+  }));
+  app.post('/api/webhook', createTwilioSignatureMiddleware(options), (req, res) => res.sendStatus(200));
+  return app;
+}
+
+const params = { From: 'whatsapp:+919876543210', Body: 'hi', MessageSid: 'SM123' };
+
+describe('createTwilioSignatureMiddleware', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    ({ server, origin } = await listen(createWebhookApp({ authToken: AUTH_TOKEN })));
+  });
+
+  after(() => server.close());
+
+  test('accepts a correctly signed form-encoded request', async () => {
+    const url = `${origin}/api/webhook`;
+    const response = await postForm(url, params, { 'X-Twilio-Signature': signForm(url, params) });
+    assert.strictEqual(response.status, 200);
+  });
+
+  test('rejects a form-encoded request whose body was changed after signing', async () => {
+    const url = `${origin}/api/webhook`;
+    const signature = signForm(url, params);
+    const response = await postForm(url, { ...params, From: 'whatsapp:+919999999999' }, { 'X-Twilio-Signature': signature });
+    assert.strictEqual(response.status, 403);
+  });
+
+  test('rejects a request without the X-Twilio-Signature header', async () => {
+    const response = await postForm(`${origin}/api/webhook`, params);
+    assert.strictEqual(response.status, 403);
+  });
+
+  test('rejects a request signed with a different auth token', async () => {
+    const url = `${origin}/api/webhook`;
+    const response = await postForm(url, params, { 'X-Twilio-Signature': signForm(url, params, 'wrong-token') });
+    assert.strictEqual(response.status, 403);
+  });
+
+  test('accepts a correctly signed JSON request (bodySHA256)', async () => {
+    const body = JSON.stringify({ From: 'whatsapp:+919876543210', Body: 'hi' });
+    const { signedUrl, signature } = signJson(`${origin}/api/webhook`, body);
+    const response = await fetch(signedUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Twilio-Signature': signature },
+      body
+    });
+    assert.strictEqual(response.status, 200);
+  });
+
+  test('rejects a JSON request whose body was changed after signing', async () => {
+    const body = JSON.stringify({ From: 'whatsapp:+919876543210', Body: 'hi' });
+    const { signedUrl, signature } = signJson(`${origin}/api/webhook`, body);
+    const response = await fetch(signedUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Twilio-Signature': signature },
+      body: JSON.stringify({ From: 'whatsapp:+919999999999', Body: 'hi' })
+    });
+    assert.strictEqual(response.status, 403);
+  });
+
+  test('checks the URL from X-Forwarded-Proto and X-Forwarded-Host behind a proxy', async () => {
+    const publicUrl = 'https://bot.example.com/api/webhook';
+    const headers = {
+      'X-Forwarded-Proto': 'https',
+      'X-Forwarded-Host': 'bot.example.com',
+      'X-Twilio-Signature': signForm(publicUrl, params)
+    };
+    assert.strictEqual((await postForm(`${origin}/api/webhook`, params, headers)).status, 200);
+
+    // Signed for the local URL Twilio never called
+    const localSignature = signForm(`${origin}/api/webhook`, params);
+    const forged = await postForm(`${origin}/api/webhook`, params, { ...headers, 'X-Twilio-Signature': localSignature });
+    assert.strictEqual(forged.status, 403);
+  });
+});
+
+describe('createTwilioSignatureMiddleware with a base URL', () => {
+  const baseUrl = 'https://abc123.ngrok.io/';
+  let server;
+  let origin;
+
+  before(async () => {
+    ({ server, origin } = await listen(createWebhookApp({ authToken: AUTH_TOKEN, baseUrl })));
+  });
+
+  after(() => server.close());
+
+  test('checks the signature against the configured base URL', async () => {
+    const signature = signForm('https://abc123.ngrok.io/api/webhook', params);
+    const response = await postForm(`${origin}/api/webhook`, params, {
+      'X-Twilio-Signature': signature,
+      // Ignored when a base URL is configured
+      'X-Forwarded-Host': 'attacker.example.com'
+    });
+    assert.strictEqual(response.status, 200);
+  });
+
+  test('rejects a request signed for the local URL', async () => {
+    const url = `${origin}/api/webhook`;
+    const response = await postForm(url, params, { 'X-Twilio-Signature': signForm(url, params) });
+    assert.strictEqual(response.status, 403);
+  });
+});
+
+describe('createTwilioSignatureMiddleware without an auth token', () => {
+  test('rejects every request', async () => {
+    const { server, origin } = await listen(createWebhookApp({ authToken: undefined }));
+    try {
+      const url = `${origin}/api/webhook`;
+      const response = await postForm(url, params, { 'X-Twilio-Signature': signForm(url, params) });
+      assert.strictEqual(response.status, 403);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('webhook routes of the bot', () => {
+  let testBot;
+  let server;
+  let origin;
+
+  // The bot logs every message it handles
+  muteConsole('log');
+
+  before(async () => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    delete process.env.WEBHOOK_BASE_URL;
+    delete process.env.NGROK_URL;
+
+    testBot = createTestBot();
+    ({ server, origin } = await listen(testBot.bot.app));
+  });
+
+  after(() => {
+    server.close();
+    testBot.cleanup();
+  });
+
+  test('accepts a signed request through the /webhook alias', async () => {
+    const url = `${origin}/webhook`;
+    const response = await postForm(url, params, { 'X-Twilio-Signature': signForm(url, params) });
+    assert.strictEqual(response.status, 200);
+    assert.match(await response.text(), /<Response>/);
+  });
+
+  test('rejects a tampered request through the /webhook alias', async () => {
+    const url = `${origin}/webhook`;
+    const signature = signForm(url, params);
+    const response = await postForm(url, { ...params, Body: 'my orders' }, { 'X-Twilio-Signature': signature });
+    assert.strictEqual(response.status, 403);
+  });
+
+  test('rejects an unsigned request to /api/webhook', async () => {
+    const response = await postForm(`${origin}/api/webhook`, params);
+    assert.strictEqual(response.status, 403);
+  });
+});
+
+describe('dev chat page', () => {
+  const nodeEnv = process.env.NODE_ENV;
+
+  muteConsole('log', 'warn', 'error');
+
+  after(() => {
+    if (nodeEnv === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  async function getDevChat() {
+    const testBot = createTestBot({ devChat: true });
+    const { server, origin } = await listen(testBot.bot.app);
+    try {
+      return (await fetch(`${origin}/dev/chat/`)).status;
+    } finally {
+      server.close();
+      testBot.cleanup();
+    }
+  }
+
+  test('is served when enabled outside production', async () => {
+    delete process.env.NODE_ENV;
+    assert.strictEqual(await getDevChat(), 200);
+  });
+
+  test('is not mounted with NODE_ENV=production', async () => {
+    process.env.NODE_ENV = 'production';
+    assert.strictEqual(await getDevChat(), 404);
+  });
+});